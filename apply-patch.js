@@ -2,33 +2,74 @@
 
 const fs = require("fs")
 
+const { readTextFile, writeTextFile, encodeText, decodeText, NO_NEWLINE } = require("./text.js")
+
 const DIFF_HEADER_PREFIX_RM = "---"
 const DIFF_HEADER_PREFIX_ADD = "+++"
 const HUNK_HEADER = "@@"
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/
 const PREFIX_RM = "-"
 const PREFIX_ADD = "+"
 const PREFIX_CONTEXT = " "
+const PREFIX_NO_NEWLINE = "\\"
 const OP_TYPE_REMOVE = "remove"
 const OP_TYPE_ADD = "add"
+const OP_TYPE_CONTEXT = "context"
 const EXPECTED_ARG_COUNT = 2
+// context lines a hunk may drop at either end to be located, like patch's default fuzz factor
+const DEFAULT_FUZZ = 2
+
+// The flags (of hunk, resolve & rebase-continue) that set `options.whitespace` of applyHunks, named like git diff's
+const WHITESPACE_FLAGS = {
+	"-b": "ignoreSpaceChange",
+	"--ignore-space-change": "ignoreSpaceChange",
+	"-w": "ignoreAllSpace",
+	"--ignore-all-space": "ignoreAllSpace",
+	"--ignore-blank-lines": "ignoreBlankLines",
+}
 
-const HELP_TEXT = "Usage: apply-patch.js <target_file> <diff_file>"
+const HELP_TEXT = "Usage: apply-patch.js <target_file> <diff_file>\nExits with 1 if any hunk could not be applied."
 
 function applyPatch(argv = process.argv.slice(2)) {
 	const { targetFile, diffFile } = parseArgs(argv)
 
-	const targetContent = fs.readFileSync(targetFile, "utf-8")
-	const targetLines = targetContent.split("\n").map((line, idx, arr) => {
-		return idx < arr.length - 1 || line !== "" ? line + "\n" : line
-	})
+	const target = readTextFile(targetFile)
+	if (target.error) {
+		const message = `${targetFile}: ${target.error}, refusing to patch it`
+		if (module.parent) {
+			throw new Error(message)
+		}
+		console.error(`Error: ${message}`)
+		process.exit(1)
+	}
+
+	// patch with LF line endings & without the BOM, but the final newline as is, since the diff may change it
+	const { text, format } = target
+	const targetContent = encodeText(text, { finalNewline: format.finalNewline })
 
-	const diffContent = fs.readFileSync(diffFile, "utf-8")
+	const diffContent = decodeText(fs.readFileSync(diffFile, "utf-8")).text
 
-	const operations = parseUnifiedDiff(diffContent)
+	const hunks = parseUnifiedDiff(diffContent)
 
-	const resultLines = applyOperations(targetLines, operations)
+	// like patch, the hunks that can be located are applied either way
+	const { lines, rejected } = applyHunks(splitLines(targetContent), hunks)
+	writeTextFile(targetFile, lines.join(""), { ...format, finalNewline: undefined })
 
-	fs.writeFileSync(targetFile, resultLines.join(""))
+	if (rejected.length > 0) {
+		// required here, since diff.js depends on this module
+		const { formatUnifiedDiff } = require("./diff.js")
+		const message = `${rejected.length} of ${hunks.length} hunk(s) could not be located in ${targetFile}:\n` +
+			formatUnifiedDiff(rejected, { oldLabel: targetFile, newLabel: targetFile })
+		if (module.parent) {
+			throw new Error(message)
+		}
+		console.error(`Error: ${message}`)
+		process.exit(1)
+	}
+}
+
+function patchContent(targetContent, hunks, options) {
+	return applyOperations(splitLines(targetContent), hunks, options).join("")
 }
 
 function parseArgs(argv) {
@@ -46,60 +87,373 @@ function parseArgs(argv) {
 	}
 }
 
+function splitLines(content) {
+	const lines = content.split("\n").map(line => line + "\n")
+	const last = lines.pop().slice(0, -1)
+	if (last !== "") {
+		lines.push(last)
+	}
+	return lines
+}
+
+// Keep hunk headers & context lines, so that each hunk
+// can be located in a target that differs from the diff's source.
+// A line followed by "\ No newline at end of file" ends with NO_NEWLINE
 function parseUnifiedDiff(diffContent) {
-	const lines = diffContent.trim().split("\n")
-	const operations = []
+	const lines = diffContent.split("\n")
+	const hunks = []
+
+	let hunk = null
+	let oldRemaining = 0
+	let newRemaining = 0
 
 	for (const line of lines) {
-		if (line.startsWith(DIFF_HEADER_PREFIX_RM) || line.startsWith(DIFF_HEADER_PREFIX_ADD) || line.startsWith(HUNK_HEADER)) {
+		if (hunk && hunk.operations.length > 0 && line.startsWith(PREFIX_NO_NEWLINE)) {
+			hunk.operations[hunk.operations.length - 1][1] += NO_NEWLINE
+			continue
+		}
+
+		if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+			if (line.startsWith(PREFIX_RM)) {
+				hunk.operations.push([OP_TYPE_REMOVE, line.slice(1)])
+				oldRemaining--
+			} else if (line.startsWith(PREFIX_ADD)) {
+				hunk.operations.push([OP_TYPE_ADD, line.slice(1)])
+				newRemaining--
+			} else if (line.startsWith(PREFIX_CONTEXT) || line === "") {
+				// some tools strip the trailing space of empty context lines
+				hunk.operations.push([OP_TYPE_CONTEXT, line.slice(1)])
+				oldRemaining--
+				newRemaining--
+			}
 			continue
 		}
-		if (line.startsWith(PREFIX_RM)) {
-			operations.push([OP_TYPE_REMOVE, line.slice(1)])
-		} else if (line.startsWith(PREFIX_ADD)) {
-			operations.push([OP_TYPE_ADD, line.slice(1)])
-		} else if (line.startsWith(PREFIX_CONTEXT)) {
+
+		if (line.startsWith(DIFF_HEADER_PREFIX_RM) || line.startsWith(DIFF_HEADER_PREFIX_ADD)) {
 			continue
 		}
+
+		if (line.startsWith(HUNK_HEADER)) {
+			const match = line.match(HUNK_HEADER_REGEX)
+			if (!match) {
+				continue
+			}
+
+			hunk = {
+				oldStart: Number(match[1]),
+				oldCount: match[2] === undefined ? 1 : Number(match[2]),
+				newStart: Number(match[3]),
+				newCount: match[4] === undefined ? 1 : Number(match[4]),
+				operations: [],
+			}
+			oldRemaining = hunk.oldCount
+			newRemaining = hunk.newCount
+			hunks.push(hunk)
+		}
 	}
 
-	return operations
+	return hunks
 }
 
-function applyOperations(targetLines, operations) {
-	const result = []
-	let i = 0
+// Locate each hunk by its context & removed lines, searching outwards from
+// the position in its header (like `patch`). If the context does not match,
+// drop leading/trailing context lines one at a time (fuzz), up to `options.fuzz` (DEFAULT_FUZZ) at each end.
+// Lines are compared ignoring trailing whitespace, and whatever `options.whitespace` sets
+// ({ ignoreSpaceChange, ignoreAllSpace, ignoreBlankLines }, like git diff's -b, -w & --ignore-blank-lines);
+// added lines are re-indented like the lines the hunk was located by, if they all were re-indented the same.
+// Hunks that cannot be located are skipped, and returned as `rejected`.
+// For each applied hunk, `matches` tell how well it matched: the context lines dropped (`fuzz`),
+// whether lines only matched when ignoring trailing whitespace (`exact`), whether
+// the lines it was located by are found elsewhere in the target as well (`ambiguous`, `count` places),
+// and whether it had any lines to be located by (`located`), rather than its line number alone
+function applyHunks(targetLines, hunks, options = {}) {
+	const fuzz = options.fuzz === undefined ? DEFAULT_FUZZ : options.fuzz
+	const whitespace = options.whitespace || {}
+	const result = targetLines.slice()
 
-	while (i < targetLines.length) {
-		const line = targetLines[i]
-		let removed = false
+	const rejected = []
+	const matches = []
+	let minPosition = 0
+	let shift = 0
 
-		for (const [opType, opLine] of operations) {
-			if (opType === OP_TYPE_REMOVE && line.trimEnd() === opLine.trimEnd()) {
-				removed = true
-				break
-			}
+	for (const hunk of hunks) {
+		const expected = getExpectedPosition(hunk) + shift
+		const match = locateHunk(result, hunk, expected, minPosition, fuzz, whitespace)
+
+		if (!match) {
+			rejected.push(hunk)
+			continue
 		}
 
-		if (!removed) {
-			result.push(line)
+		// a hunk without such lines (e.g. one adding lines to an empty section) would match anywhere
+		const located = match.expectedLines.length > 0 || result.length === 0
+		const count = located ? countMatches(result, match.expectedLines, minPosition, whitespace) : 0
+		matches.push({
+			hunk,
+			position: match.position,
+			fuzz: match.leading + match.trailing,
+			exact: match.pairs.every(([line, idx]) => isExactMatch(result[idx], line, whitespace)),
+			ambiguous: count > 1,
+			count,
+			located,
+		})
+
+		const replacement = buildReplacement(result, match)
+		const replacedCount = match.end - match.position
+		result.splice(match.position, replacedCount, ...replacement)
+
+		minPosition = match.position + replacement.length
+		shift = (match.position - match.leading) - getExpectedPosition(hunk) + (replacement.length - replacedCount)
+	}
+
+	// a last line without a newline that lines were added after
+	for (let i = 0; i < result.length - 1; i++) {
+		if (!result[i].endsWith("\n")) {
+			result[i] += "\n"
 		}
+	}
+
+	return { lines: result, rejected, matches }
+}
+
+function applyOperations(targetLines, hunks, options) {
+	return applyHunks(targetLines, hunks, options).lines
+}
+
+function getExpectedPosition(hunk) {
+	// a hunk that only adds lines declares the line *after* which to add them
+	return hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1
+}
+
+function countLeadingContext(operations) {
+	let count = 0
+	while (count < operations.length && operations[count][0] === OP_TYPE_CONTEXT) {
+		count++
+	}
+	return count
+}
+
+function locateHunk(targetLines, hunk, expected, minPosition, maxFuzz, whitespace) {
+	const leadingContext = countLeadingContext(hunk.operations)
+	const trailingContext = leadingContext === hunk.operations.length
+		? 0
+		: countLeadingContext(hunk.operations.slice().reverse())
 
-		i++
+	const maxLeading = Math.min(leadingContext, maxFuzz)
+	const maxTrailing = Math.min(trailingContext, maxFuzz)
+
+	const fuzzPairs = []
+	for (let leading = 0; leading <= maxLeading; leading++) {
+		for (let trailing = 0; trailing <= maxTrailing; trailing++) {
+			fuzzPairs.push([leading, trailing])
+		}
 	}
+	fuzzPairs.sort((a, b) => (a[0] + a[1]) - (b[0] + b[1]) || Math.max(...a) - Math.max(...b))
+
+	const hasLines = hunk.operations.some(([opType]) => opType !== OP_TYPE_ADD)
+
+	for (const [leading, trailing] of fuzzPairs) {
+		const operations = hunk.operations.slice(leading, hunk.operations.length - trailing)
+		const expectedLines = operations
+			.filter(([opType]) => opType !== OP_TYPE_ADD)
+			.map(([, opLine]) => opLine)
 
-	const additions = operations
-		.filter(([opType]) => opType === OP_TYPE_ADD)
-		.map(([, opLine]) => opLine + "\n")
+		// never drop every line a hunk is located by, which would leave it to be placed by its line number alone
+		if (hasLines && expectedLines.length === 0) {
+			continue
+		}
 
-	if (additions.length > 0) {
-		return [...additions, ...result]
+		const match = findNearestMatch(targetLines, expectedLines, expected + leading, minPosition, whitespace)
+
+		if (match) {
+			// each expected line with the index of the target line it matched
+			const pairs = expectedLines.map((line, idx) => [line, match.indices[idx]]).filter(([, idx]) => idx !== -1)
+			return { ...match, operations, expectedLines, pairs, leading, trailing }
+		}
 	}
 
-	return result
+	return null
 }
 
-module.exports = { applyPatch, parseUnifiedDiff, applyOperations }
+// Returns { position, indices, end } (see matchLinesAt), or null
+function findNearestMatch(targetLines, expectedLines, expected, minPosition, whitespace) {
+	const maxPosition = targetLines.length - getMinMatchLength(expectedLines, whitespace)
+	if (maxPosition < minPosition) {
+		return null
+	}
+
+	const start = Math.min(Math.max(expected, minPosition), maxPosition)
+
+	for (let distance = 0; ; distance++) {
+		const after = start + distance
+		const before = start - distance
+
+		if (after > maxPosition && before < minPosition) {
+			return null
+		}
+
+		const afterMatch = after <= maxPosition && matchLinesAt(targetLines, expectedLines, after, whitespace)
+		if (afterMatch) {
+			return { position: after, ...afterMatch }
+		}
+
+		const beforeMatch = distance > 0 && before >= minPosition && matchLinesAt(targetLines, expectedLines, before, whitespace)
+		if (beforeMatch) {
+			return { position: before, ...beforeMatch }
+		}
+	}
+}
+
+function countMatches(targetLines, expectedLines, minPosition, whitespace) {
+	let count = 0
+	for (let position = minPosition; position <= targetLines.length - getMinMatchLength(expectedLines, whitespace); position++) {
+		if (matchLinesAt(targetLines, expectedLines, position, whitespace)) {
+			count++
+		}
+	}
+	return count
+}
+
+function getMinMatchLength(expectedLines, whitespace) {
+	return whitespace.ignoreBlankLines ? expectedLines.filter(line => !isBlank(line)).length : expectedLines.length
+}
+
+// Whether the expected lines are found at `position` of the target: { indices, end }, where `indices` are
+// the index of the target line that each expected line matched (-1 for a blank line the target does not have)
+// and `end` is the index after the last one, or null.
+// With `whitespace.ignoreBlankLines`, blank lines either side does not have are skipped within the match
+function matchLinesAt(targetLines, expectedLines, position, whitespace) {
+	const indices = []
+	let cursor = position
+	let matched = false
+
+	for (const line of expectedLines) {
+		while (whitespace.ignoreBlankLines && matched && !isBlank(line) && cursor < targetLines.length && isBlank(targetLines[cursor])) {
+			cursor++
+		}
+
+		if (cursor < targetLines.length && normalizeLine(targetLines[cursor], whitespace) === normalizeLine(line, whitespace)) {
+			indices.push(cursor)
+			cursor++
+			matched = true
+		} else if (whitespace.ignoreBlankLines && isBlank(line)) {
+			indices.push(-1)
+		} else {
+			return null
+		}
+	}
+
+	return { indices, end: cursor }
+}
+
+// Trailing whitespace is always ignored
+function normalizeLine(line, whitespace) {
+	if (whitespace.ignoreAllSpace) {
+		return line.replace(/\s+/g, "")
+	}
+	if (whitespace.ignoreSpaceChange) {
+		return line.trimEnd().replace(/\s+/g, " ")
+	}
+	return line.trimEnd()
+}
+
+// Lines that only differ by the whitespace that is ignored on purpose still match exactly
+function isExactMatch(targetLine, expectedLine, whitespace) {
+	if (whitespace.ignoreAllSpace || whitespace.ignoreSpaceChange) {
+		return normalizeLine(targetLine, whitespace) === normalizeLine(expectedLine, whitespace)
+	}
+	return stripNewline(targetLine) === stripNewline(expectedLine)
+}
+
+function isBlank(line) {
+	return line.trim() === ""
+}
+
+function stripNewline(line) {
+	return line.endsWith("\n") ? line.slice(0, -1) : line
+}
+
+function buildReplacement(targetLines, match) {
+	const replacement = []
+	const indentChange = getIndentChange(targetLines, match.pairs)
+	let cursor = match.position
+	let expectedIdx = 0
+
+	for (const [opType, opLine] of match.operations) {
+		if (opType === OP_TYPE_ADD) {
+			replacement.push(reindent(opLine.endsWith(NO_NEWLINE) ? stripNewline(opLine) : opLine + "\n", indentChange))
+			continue
+		}
+
+		const idx = match.indices[expectedIdx++]
+		if (idx === -1) {
+			continue
+		}
+
+		// blank lines of the target that the hunk does not have stay
+		replacement.push(...targetLines.slice(cursor, idx))
+		if (opType === OP_TYPE_CONTEXT) {
+			// keep the target's own version of the line
+			replacement.push(targetLines[idx])
+		}
+		cursor = idx + 1
+	}
+
+	return replacement
+}
+
+// How the lines a hunk was located by are indented differently in the target, as [from, to]
+// where the `from` of their indentation became `to` (e.g. ["", "\t"] when the target wrapped them in a block),
+// or null if they are indented the same, or not all of them changed the same way
+function getIndentChange(targetLines, pairs) {
+	let change = null
+
+	for (const [line, idx] of pairs) {
+		if (isBlank(line)) {
+			continue
+		}
+
+		const [from, to] = stripCommonSuffix(getIndent(line), getIndent(targetLines[idx]))
+		if (change && (change[0] !== from || change[1] !== to)) {
+			return null
+		}
+		change = [from, to]
+	}
+
+	return change && change[0] !== change[1] ? change : null
+}
+
+function reindent(line, indentChange) {
+	if (!indentChange || isBlank(line) || !line.startsWith(indentChange[0])) {
+		return line
+	}
+	return indentChange[1] + line.slice(indentChange[0].length)
+}
+
+function getIndent(line) {
+	return line.match(/^[ \t]*/)[0]
+}
+
+function stripCommonSuffix(a, b) {
+	let length = 0
+	while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+		length++
+	}
+	return [a.slice(0, a.length - length), b.slice(0, b.length - length)]
+}
+
+module.exports = {
+	applyPatch,
+	parseUnifiedDiff,
+	applyHunks,
+	applyOperations,
+	patchContent,
+	splitLines,
+	OP_TYPE_REMOVE,
+	OP_TYPE_ADD,
+	OP_TYPE_CONTEXT,
+	WHITESPACE_FLAGS,
+}
 
 if (!module.parent) {
 	applyPatch()
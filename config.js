@@ -0,0 +1,96 @@
+const os = require("os")
+const fs = require("fs")
+const path = require("path")
+
+const { getRepoRoot, getConfigValue } = require("./git.js")
+
+const CONFIG_DIR = path.join(os.homedir(), ".config", "git-conflict-resolver")
+const USER_CONFIG_FILE = path.join(CONFIG_DIR, "config.json")
+const REPO_CONFIG_FILE = ".git-conflict-resolver.json"
+// The rule modules & lockfile commands of a repository's config run its code,
+// so they are only taken once the repository is trusted by this variable of its (local, never cloned) git config
+const TRUST_CONFIG_VARIABLE = "gitConflictResolver.trustRepoConfig"
+
+const configCache = new Map()
+
+// The user config, overridden by the config at the root of the repository of `dir`.
+// Rule modules of both are kept, the repository's first -- if the repository is trusted, see TRUST_CONFIG_VARIABLE.
+// Invalid config files are skipped with a warning
+function loadConfig(dir = process.cwd()) {
+	let root = null
+	try {
+		root = getRepoRoot(dir)
+	} catch (error) {
+		// not in a repository, only the user config applies
+	}
+
+	const cacheKey = root || ""
+	if (configCache.has(cacheKey)) {
+		return configCache.get(cacheKey)
+	}
+
+	const configFiles = root ? [path.join(root, REPO_CONFIG_FILE), USER_CONFIG_FILE] : [USER_CONFIG_FILE]
+
+	const config = { rules: [] }
+	for (const configFile of configFiles.reverse()) {
+		let fileConfig = readConfigFile(configFile)
+		if (!fileConfig) {
+			continue
+		}
+		if (configFile !== USER_CONFIG_FILE && getConfigValue(TRUST_CONFIG_VARIABLE, root, "bool") !== "true") {
+			fileConfig = withoutCommands(fileConfig, configFile)
+		}
+		const rules = (fileConfig.rules || []).map(rule => ({ module: rule, configFile }))
+		Object.assign(config, fileConfig, { rules: [...rules, ...config.rules] })
+	}
+
+	configCache.set(cacheKey, config)
+	return config
+}
+
+// The config without what would run code: rule modules & lockfile commands (turning a lockfile command off stays)
+function withoutCommands(config, configFile) {
+	const { rules = [], lockfiles = {}, ...rest } = config
+	const kept = Object.fromEntries(Object.entries(lockfiles).filter(([, command]) => command === null))
+
+	if (rules.length > 0 || Object.keys(kept).length !== Object.keys(lockfiles).length) {
+		console.error(`Warning: ignoring the rule modules & lockfile commands of ${configFile}, ` +
+			`run \`git config ${TRUST_CONFIG_VARIABLE} true\` in the repository to trust them`)
+	}
+
+	return { ...rest, lockfiles: kept }
+}
+
+function readConfigFile(configFile) {
+	if (!fs.existsSync(configFile)) {
+		return null
+	}
+
+	try {
+		const config = JSON.parse(fs.readFileSync(configFile, "utf-8"))
+		if (config === null || typeof config !== "object" || Array.isArray(config)) {
+			throw new Error("expected a JSON object")
+		}
+		if (config.rules !== undefined && !Array.isArray(config.rules)) {
+			throw new Error("\"rules\" must be a list of modules")
+		}
+		if (config.union !== undefined && (!Array.isArray(config.union) || config.union.some(pattern => typeof pattern !== "string"))) {
+			throw new Error("\"union\" must be a list of path patterns")
+		}
+		if (config.lockfiles !== undefined && (config.lockfiles === null || typeof config.lockfiles !== "object" || Array.isArray(config.lockfiles))) {
+			throw new Error("\"lockfiles\" must map file names to commands")
+		}
+		return config
+	} catch (error) {
+		console.error(`Warning: ignoring config file ${configFile}: ${error.message}`)
+		return null
+	}
+}
+
+module.exports = {
+	loadConfig,
+	CONFIG_DIR,
+	USER_CONFIG_FILE,
+	REPO_CONFIG_FILE,
+	TRUST_CONFIG_VARIABLE,
+}
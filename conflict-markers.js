@@ -0,0 +1,165 @@
+const DEFAULT_MARKER_SIZE = 7
+
+const MARKER_OURS = "<"
+const MARKER_BASE = "|"
+const MARKER_SEPARATOR = "="
+const MARKER_THEIRS = ">"
+
+// Like git (see `is_cmarker` in rerere.c): a marker is exactly `size` marker characters,
+// followed by a space and a label for <<< and >>>, or by whitespace / end of line for ||| and ===.
+// Returns the label ("" if none), or null if the line is not such a marker
+function matchMarker(line, char, size) {
+	if (line.length < size || line[size] === char) {
+		return null
+	}
+
+	for (let i = 0; i < size; i++) {
+		if (line[i] !== char) {
+			return null
+		}
+	}
+
+	const rest = line.slice(size)
+	const labelRequired = char === MARKER_OURS || char === MARKER_THEIRS
+
+	if (rest === "" || rest === "\r") {
+		return labelRequired ? null : ""
+	}
+
+	if (labelRequired ? rest[0] !== " " : !/^\s/.test(rest)) {
+		return null
+	}
+
+	return rest.slice(1).replace(/\r$/, "")
+}
+
+// Size of the <<< marker the line starts with, 0 if it does not
+function matchStartMarker(line) {
+	let size = 0
+	while (line[size] === MARKER_OURS) {
+		size++
+	}
+
+	if (size === 0 || matchMarker(line, MARKER_OURS, size) === null) {
+		return 0
+	}
+
+	return size
+}
+
+// Find the conflict regions in a list of lines.
+//
+// Markers must be exactly `markerSize` long (the `conflict-marker-size` attribute).
+// Inside a region, start markers at least as long as the region's open nested regions --
+// e.g. conflicts that recursive merges leave in the virtual ancestor, with 2 extra characters.
+// Each region's markers must be of the same size as its start marker.
+//
+// Line numbers are 0-based, section ranges are [start, end).
+// Malformed regions are not returned, but reported in `errors` with 1-based line numbers.
+function parseConflictRegions(lines, { markerSize = DEFAULT_MARKER_SIZE } = {}) {
+	const regions = []
+	const errors = []
+	const stack = []
+
+	const closeSection = (region, idx) => {
+		region[region.current][1] = idx
+	}
+
+	for (let idx = 0; idx < lines.length; idx++) {
+		const line = lines[idx]
+		const region = stack[stack.length - 1]
+
+		if (region) {
+			const size = region.markerSize
+
+			const baseLabel = matchMarker(line, MARKER_BASE, size)
+			if (baseLabel !== null) {
+				if (region.current !== "ours") {
+					errors.push({ line: idx + 1, message: `unexpected ${MARKER_BASE.repeat(size)} marker in conflict starting at line ${region.startLine + 1}` })
+					region.malformed = true
+					continue
+				}
+				closeSection(region, idx)
+				region.base = [idx + 1, idx + 1]
+				region.labels.base = baseLabel
+				region.current = "base"
+				continue
+			}
+
+			if (matchMarker(line, MARKER_SEPARATOR, size) !== null) {
+				if (region.current === "theirs") {
+					errors.push({ line: idx + 1, message: `duplicate ${MARKER_SEPARATOR.repeat(size)} marker in conflict starting at line ${region.startLine + 1}` })
+					region.malformed = true
+					continue
+				}
+				closeSection(region, idx)
+				region.theirs = [idx + 1, idx + 1]
+				region.current = "theirs"
+				continue
+			}
+
+			const theirsLabel = matchMarker(line, MARKER_THEIRS, size)
+			if (theirsLabel !== null) {
+				stack.pop()
+				if (region.current !== "theirs") {
+					errors.push({ line: idx + 1, message: `conflict at lines ${region.startLine + 1}-${idx + 1} has no ${MARKER_SEPARATOR.repeat(size)} marker` })
+					continue
+				}
+				closeSection(region, idx)
+				region.endLine = idx
+				region.labels.theirs = theirsLabel
+
+				const parent = stack[stack.length - 1]
+				if (!region.malformed) {
+					delete region.current
+					delete region.malformed
+					if (parent) {
+						parent.children.push(region)
+					} else {
+						regions.push(region)
+					}
+				}
+				continue
+			}
+		}
+
+		const startSize = matchStartMarker(line)
+		if (region ? startSize >= region.markerSize : startSize === markerSize) {
+			stack.push({
+				startLine: idx,
+				endLine: -1,
+				markerSize: startSize,
+				labels: { ours: line.slice(startSize + 1).replace(/\r$/, ""), base: null, theirs: null },
+				ours: [idx + 1, idx + 1],
+				base: null,
+				theirs: null,
+				children: [],
+				current: "ours",
+				malformed: false,
+			})
+			continue
+		}
+
+		if (!region && matchMarker(line, MARKER_THEIRS, markerSize) !== null) {
+			errors.push({ line: idx + 1, message: `${MARKER_THEIRS.repeat(markerSize)} marker without a matching ${MARKER_OURS.repeat(markerSize)} marker` })
+		}
+	}
+
+	for (const region of stack) {
+		errors.push({ line: region.startLine + 1, message: `conflict starting at line ${region.startLine + 1} is not terminated` })
+	}
+
+	errors.sort((a, b) => a.line - b.line)
+
+	return { regions, errors }
+}
+
+module.exports = {
+	parseConflictRegions,
+	matchMarker,
+	DEFAULT_MARKER_SIZE,
+	MARKER_OURS,
+	MARKER_BASE,
+	MARKER_SEPARATOR,
+	MARKER_THEIRS,
+}
@@ -0,0 +1,339 @@
+const { OP_TYPE_REMOVE, OP_TYPE_ADD, OP_TYPE_CONTEXT } = require("./apply-patch.js")
+const { NO_NEWLINE, NO_NEWLINE_MARKER } = require("./text.js")
+
+const DEFAULT_CONTEXT = 3
+
+function toLines(text) {
+	if (text === "") {
+		return []
+	}
+	const lines = text.split("\n")
+	if (lines[lines.length - 1] === "") {
+		lines.pop()
+	}
+	return lines
+}
+
+function fromLines(lines) {
+	return lines.map(line => line + "\n").join("")
+}
+
+// Line diff using Myers' O(ND) algorithm (in linear space), after stripping the common prefix & suffix.
+// Returns a list of [opType, line] in order.
+function diffLines(oldLines, newLines) {
+	let prefix = 0
+	while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+		prefix++
+	}
+
+	let suffix = 0
+	while (
+		suffix < oldLines.length - prefix &&
+		suffix < newLines.length - prefix &&
+		oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+	) {
+		suffix++
+	}
+
+	const a = oldLines.slice(prefix, oldLines.length - suffix)
+	const b = newLines.slice(prefix, newLines.length - suffix)
+
+	const edits = [
+		...oldLines.slice(0, prefix).map(line => [OP_TYPE_CONTEXT, line]),
+		...slideChanges(myers(a, b)),
+		...oldLines.slice(oldLines.length - suffix).map(line => [OP_TYPE_CONTEXT, line]),
+	]
+
+	return edits
+}
+
+// Slide each run of only removed or only added lines up, then down, as far as it goes (like git does),
+// so that runs join wherever they can -- of the equally short edit scripts, the one git would show
+function slideChanges(edits) {
+	const result = edits.slice()
+
+	for (const up of [true, false]) {
+		for (let start = 0; start < result.length; start++) {
+			const opType = result[start][0]
+			if (opType === OP_TYPE_CONTEXT) {
+				continue
+			}
+
+			let end = start
+			while (end < result.length && result[end][0] === opType) {
+				end++
+			}
+
+			// the line on the other side of the run, and the line of the run it can be swapped with
+			const [neighbor, swapped] = up ? [start - 1, end - 1] : [end, start]
+			if (neighbor < 0 || neighbor >= result.length || result[neighbor][0] !== OP_TYPE_CONTEXT || result[neighbor][1] !== result[swapped][1]) {
+				start = end - 1
+				continue
+			}
+
+			const lines = up ? result.slice(start - 1, end).map(([, line]) => line) : result.slice(start, end + 1).map(([, line]) => line)
+			const slid = up
+				? [...lines.slice(0, -1).map(line => [opType, line]), [OP_TYPE_CONTEXT, lines[lines.length - 1]]]
+				: [[OP_TYPE_CONTEXT, lines[0]], ...lines.slice(1).map(line => [opType, line])]
+			result.splice(up ? start - 1 : start, lines.length, ...slid)
+
+			// look at the run again from where it is now, joined with the run before it, if any
+			start = up ? Math.max(start - 2, -1) : start
+			while (up && start >= 0 && result[start][0] === opType) {
+				start--
+			}
+		}
+	}
+
+	return result
+}
+
+// The linear space variant: find where an optimal path crosses the middle (see findSplit),
+// and diff both halves on either side of it, so that memory stays linear in the number of lines
+function myers(a, b) {
+	// compare integers instead of strings in the hot loops
+	const ids = new Map()
+	const intern = line => {
+		if (!ids.has(line)) {
+			ids.set(line, ids.size)
+		}
+		return ids.get(line)
+	}
+	const aIds = a.map(intern)
+	const bIds = b.map(intern)
+
+	const edits = []
+	const diffRange = (aStart, aEnd, bStart, bEnd) => {
+		while (aStart < aEnd && bStart < bEnd && aIds[aStart] === bIds[bStart]) {
+			edits.push([OP_TYPE_CONTEXT, a[aStart]])
+			aStart++
+			bStart++
+		}
+
+		let suffix = 0
+		while (aEnd - suffix > aStart && bEnd - suffix > bStart && aIds[aEnd - 1 - suffix] === bIds[bEnd - 1 - suffix]) {
+			suffix++
+		}
+		aEnd -= suffix
+		bEnd -= suffix
+
+		if (aStart === aEnd) {
+			b.slice(bStart, bEnd).forEach(line => edits.push([OP_TYPE_ADD, line]))
+		} else if (bStart === bEnd) {
+			a.slice(aStart, aEnd).forEach(line => edits.push([OP_TYPE_REMOVE, line]))
+		} else {
+			const [x, y] = findSplit(aIds, bIds, aStart, aEnd, bStart, bEnd)
+			diffRange(aStart, x, bStart, y)
+			diffRange(x, aEnd, y, bEnd)
+		}
+
+		a.slice(aEnd, aEnd + suffix).forEach(line => edits.push([OP_TYPE_CONTEXT, line]))
+	}
+
+	diffRange(0, a.length, 0, b.length)
+	return edits
+}
+
+// A point [x, y] (indices of a & b) that an optimal path goes through, found by searching
+// from both ends of the ranges at once until the paths overlap (Myers' "middle snake").
+// The ranges must not be empty, nor start or end with the same line
+function findSplit(aIds, bIds, aStart, aEnd, bStart, bEnd) {
+	const n = aEnd - aStart
+	const m = bEnd - bStart
+	const maxD = Math.ceil((n + m) / 2)
+	const offset = maxD
+	// the furthest x reached on each diagonal k (x - y), forwards & backwards from the end, -1 if not reached yet
+	const forward = new Int32Array(2 * maxD + 2).fill(-1)
+	const backward = new Int32Array(2 * maxD + 2).fill(-1)
+	forward[offset + 1] = 0
+	backward[offset + 1] = 0
+
+	const delta = n - m
+	// with an odd delta, the forward paths are the ones to run into the backward paths
+	const forwardOverlaps = delta % 2 !== 0
+	// diagonals whose paths went past the edges are not followed any further
+	let forwardStart = 0
+	let forwardEnd = 0
+	let backwardStart = 0
+	let backwardEnd = 0
+
+	for (let d = 0; d < maxD; d++) {
+		for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+			let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+				? forward[offset + k + 1]
+				: forward[offset + k - 1] + 1
+			let y = x - k
+			while (x < n && y < m && aIds[aStart + x] === bIds[bStart + y]) {
+				x++
+				y++
+			}
+			forward[offset + k] = x
+
+			if (x > n) {
+				forwardEnd += 2
+			} else if (y > m) {
+				forwardStart += 2
+			} else if (forwardOverlaps) {
+				const backwardK = offset + delta - k
+				if (backwardK >= 0 && backwardK < backward.length && backward[backwardK] !== -1 && x >= n - backward[backwardK]) {
+					return [aStart + x, bStart + y]
+				}
+			}
+		}
+
+		for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+			let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+				? backward[offset + k + 1]
+				: backward[offset + k - 1] + 1
+			let y = x - k
+			while (x < n && y < m && aIds[aEnd - 1 - x] === bIds[bEnd - 1 - y]) {
+				x++
+				y++
+			}
+			backward[offset + k] = x
+
+			if (x > n) {
+				backwardEnd += 2
+			} else if (y > m) {
+				backwardStart += 2
+			} else if (!forwardOverlaps) {
+				const forwardK = offset + delta - k
+				if (forwardK >= 0 && forwardK < forward.length && forward[forwardK] !== -1 && forward[forwardK] >= n - x) {
+					const forwardX = forward[forwardK]
+					return [aStart + forwardX, bStart + forwardX - (delta - k)]
+				}
+			}
+		}
+	}
+
+	// no common lines at all
+	return [aEnd, bStart]
+}
+
+// Group an edit script into unified diff hunks (same shape as `parseUnifiedDiff` returns),
+// with `context` unchanged lines around each change, merging hunks that would overlap.
+function createHunks(oldLines, newLines, context = DEFAULT_CONTEXT) {
+	const edits = diffLines(oldLines, newLines)
+
+	const oldBefore = [0]
+	const newBefore = [0]
+	for (const [opType] of edits) {
+		oldBefore.push(oldBefore[oldBefore.length - 1] + (opType === OP_TYPE_ADD ? 0 : 1))
+		newBefore.push(newBefore[newBefore.length - 1] + (opType === OP_TYPE_REMOVE ? 0 : 1))
+	}
+
+	const groups = []
+	edits.forEach(([opType], idx) => {
+		if (opType === OP_TYPE_CONTEXT) {
+			return
+		}
+		const group = groups[groups.length - 1]
+		if (group && idx - group.last - 1 <= 2 * context) {
+			group.last = idx
+		} else {
+			groups.push({ first: idx, last: idx })
+		}
+	})
+
+	return groups.map(({ first, last }) => {
+		const from = Math.max(0, first - context)
+		const to = Math.min(edits.length, last + context + 1)
+		const oldCount = oldBefore[to] - oldBefore[from]
+		const newCount = newBefore[to] - newBefore[from]
+
+		return {
+			// like `diff -u`, an empty range points at the line before it
+			oldStart: oldCount === 0 ? oldBefore[from] : oldBefore[from] + 1,
+			oldCount,
+			newStart: newCount === 0 ? newBefore[from] : newBefore[from] + 1,
+			newCount,
+			operations: edits.slice(from, to),
+		}
+	})
+}
+
+function formatRange(start, count) {
+	return count === 1 ? `${start}` : `${start},${count}`
+}
+
+function formatUnifiedDiff(hunks, { oldLabel = "old", newLabel = "new" } = {}) {
+	if (hunks.length === 0) {
+		return ""
+	}
+
+	const prefixes = {
+		[OP_TYPE_CONTEXT]: " ",
+		[OP_TYPE_REMOVE]: "-",
+		[OP_TYPE_ADD]: "+",
+	}
+
+	const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`]
+	for (const hunk of hunks) {
+		lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`)
+		for (const [opType, line] of hunk.operations) {
+			if (line.endsWith(NO_NEWLINE)) {
+				lines.push(prefixes[opType] + line.slice(0, -NO_NEWLINE.length), NO_NEWLINE_MARKER)
+			} else {
+				lines.push(prefixes[opType] + line)
+			}
+		}
+	}
+
+	return lines.join("\n") + "\n"
+}
+
+function createUnifiedDiff(oldText, newText, options = {}) {
+	const hunks = createHunks(toDiffLines(oldText), toDiffLines(newText), options.context)
+	return formatUnifiedDiff(hunks, options)
+}
+
+// A last line without a newline is marked (see NO_NEWLINE), so that it differs from the same line with one
+function toDiffLines(text) {
+	const lines = toLines(text)
+	if (lines.length > 0 && !text.endsWith("\n")) {
+		lines[lines.length - 1] += NO_NEWLINE
+	}
+	return lines
+}
+
+const DIFF_COLORS = {
+	meta: "\x1b[1m",
+	fragment: "\x1b[36m",
+	[OP_TYPE_REMOVE]: "\x1b[31m",
+	[OP_TYPE_ADD]: "\x1b[32m",
+}
+const COLOR_RESET = "\x1b[m"
+
+// Color a unified diff the way `git diff` does.
+// Header lines are told apart from removed lines starting with "--" by coming before the first "@@"
+function colorizeDiff(diffText) {
+	let inHeader = true
+	return toLines(diffText).map(line => {
+		let color = null
+		if (line.startsWith("diff ")) {
+			inHeader = true
+			color = DIFF_COLORS.meta
+		} else if (line.startsWith("@@")) {
+			inHeader = false
+			color = DIFF_COLORS.fragment
+		} else if (inHeader) {
+			color = DIFF_COLORS.meta
+		} else if (line.startsWith("-")) {
+			color = DIFF_COLORS[OP_TYPE_REMOVE]
+		} else if (line.startsWith("+")) {
+			color = DIFF_COLORS[OP_TYPE_ADD]
+		}
+		return (color ? color + line + COLOR_RESET : line) + "\n"
+	}).join("")
+}
+
+module.exports = {
+	toLines,
+	fromLines,
+	diffLines,
+	createHunks,
+	formatUnifiedDiff,
+	createUnifiedDiff,
+	colorizeDiff,
+	DEFAULT_CONTEXT,
+}
@@ -0,0 +1,132 @@
+const fs = require("fs")
+
+const { getAttribute } = require("./git.js")
+
+const ENCODING_UTF8 = "utf-8"
+const ENCODING_UTF16LE = "utf-16le"
+const ENCODING_UTF16BE = "utf-16be"
+const ENCODING_LATIN1 = "latin1"
+
+// like git, a NUL byte within the first 8000 bytes makes a file binary
+const BINARY_CHECK_LENGTH = 8000
+
+const UTF16LE_BOM = Buffer.from([0xff, 0xfe])
+const UTF16BE_BOM = Buffer.from([0xfe, 0xff])
+
+// `working-tree-encoding` values (lowercased) that can be read & written back byte for byte.
+// Single-byte encodings other than Latin-1 still round-trip as Latin-1, since conflict markers are ASCII.
+// "utf-16" is told apart by its BOM
+const ENCODING_ALIASES = {
+	"utf-8": ENCODING_UTF8,
+	"utf8": ENCODING_UTF8,
+	"utf-16le": ENCODING_UTF16LE,
+	"utf-16le-bom": ENCODING_UTF16LE,
+	"utf-16be": ENCODING_UTF16BE,
+	"utf-16be-bom": ENCODING_UTF16BE,
+	"latin1": ENCODING_LATIN1,
+	"latin-1": ENCODING_LATIN1,
+	"iso-8859-1": ENCODING_LATIN1,
+	"iso-8859-15": ENCODING_LATIN1,
+	"windows-1252": ENCODING_LATIN1,
+	"cp1252": ENCODING_LATIN1,
+	"us-ascii": ENCODING_LATIN1,
+	"ascii": ENCODING_LATIN1,
+}
+
+function isBinary(buffer) {
+	return buffer.subarray(0, BINARY_CHECK_LENGTH).includes(0)
+}
+
+// The encoding to read the file with: the `working-tree-encoding` attribute if it is set,
+// otherwise UTF-16 by its BOM, UTF-8 if it is valid, and Latin-1 if not (which any bytes are).
+// Returns { encoding }, or { error } for binary content & unsupported encodings, with `binary` set for the former
+function detectEncoding(buffer, declared = null) {
+	if (declared) {
+		const name = declared.toLowerCase()
+		let encoding = ENCODING_ALIASES[name]
+		if (name === "utf-16") {
+			encoding = buffer.subarray(0, 2).equals(UTF16BE_BOM) ? ENCODING_UTF16BE : ENCODING_UTF16LE
+		}
+		if (!encoding) {
+			return { error: `unsupported working-tree-encoding: ${declared}` }
+		}
+		if (!roundTrips(buffer, encoding)) {
+			return { error: `not valid ${declared}` }
+		}
+		return { encoding }
+	}
+
+	if (buffer.subarray(0, 2).equals(UTF16LE_BOM) && roundTrips(buffer, ENCODING_UTF16LE)) {
+		return { encoding: ENCODING_UTF16LE }
+	}
+	if (buffer.subarray(0, 2).equals(UTF16BE_BOM) && roundTrips(buffer, ENCODING_UTF16BE)) {
+		return { encoding: ENCODING_UTF16BE }
+	}
+
+	if (isBinary(buffer)) {
+		return { error: "binary file", binary: true }
+	}
+
+	if (roundTrips(buffer, ENCODING_UTF8)) {
+		return { encoding: ENCODING_UTF8 }
+	}
+
+	return { encoding: ENCODING_LATIN1 }
+}
+
+// Whether decoding & encoding gives back the same bytes
+function roundTrips(buffer, encoding) {
+	return encodeString(decodeBuffer(buffer, encoding), encoding).equals(buffer)
+}
+
+function decodeBuffer(buffer, encoding) {
+	if (encoding === ENCODING_UTF16BE) {
+		// swap16 needs an even length, an odd one does not round-trip anyway
+		const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2))).swap16()
+		return swapped.toString("utf16le")
+	}
+	return buffer.toString(encoding === ENCODING_UTF16LE ? "utf16le" : encoding)
+}
+
+function encodeString(content, encoding) {
+	if (encoding === ENCODING_UTF16BE) {
+		return Buffer.from(content, "utf16le").swap16()
+	}
+	return Buffer.from(content, encoding === ENCODING_UTF16LE ? "utf16le" : encoding)
+}
+
+// Returns { content, encoding }, or { error } (see detectEncoding)
+function readEncodedFile(filename) {
+	const buffer = fs.readFileSync(filename)
+	const detected = detectEncoding(buffer, getAttribute(filename, "working-tree-encoding"))
+
+	if (detected.error) {
+		return detected
+	}
+
+	return { content: decodeBuffer(buffer, detected.encoding), encoding: detected.encoding }
+}
+
+function writeEncodedFile(filename, content, encoding = ENCODING_UTF8) {
+	fs.writeFileSync(filename, encodeString(content, encoding))
+}
+
+// The encoding of the file's blobs in the index & history: git converts
+// files with a `working-tree-encoding` to UTF-8, and stores the others as they are
+function getBlobEncoding(filename, encoding) {
+	return getAttribute(filename, "working-tree-encoding") ? ENCODING_UTF8 : encoding
+}
+
+module.exports = {
+	detectEncoding,
+	decodeBuffer,
+	encodeString,
+	readEncodedFile,
+	writeEncodedFile,
+	getBlobEncoding,
+	isBinary,
+	ENCODING_UTF8,
+	ENCODING_UTF16LE,
+	ENCODING_UTF16BE,
+	ENCODING_LATIN1,
+}
@@ -0,0 +1,83 @@
+const path = require("path")
+const { execFileSync } = require("child_process")
+
+// `encoding` is "buffer" for the raw output
+function git(args, cwd = process.cwd(), encoding = "utf-8") {
+	return execFileSync("git", args, {
+		cwd,
+		encoding,
+		stdio: ["ignore", "pipe", "pipe"],
+	})
+}
+
+function getRepoRoot(cwd) {
+	return git(["rev-parse", "--show-toplevel"], cwd).trim()
+}
+
+// Absolute path of a file in the git directory, e.g. REBASE_HEAD
+function getGitPath(name, cwd = process.cwd()) {
+	return path.resolve(cwd, git(["rev-parse", "--git-path", name], cwd).trim())
+}
+
+// Paths are relative to the repository root
+function getUnmergedFiles(cwd) {
+	const output = git(["diff", "--name-only", "--diff-filter=U", "-z"], cwd)
+	return [...new Set(output.split("\0").filter(Boolean))]
+}
+
+function addFiles(files, cwd) {
+	if (files.length === 0) {
+		return
+	}
+	git(["add", "--", ...files], cwd)
+}
+
+// Content of the file at an index stage (1 = base, 2 = ours, 3 = theirs),
+// or null if there is no such stage. `encoding` as for `git`
+function readIndexStage(file, stage, encoding = "utf-8") {
+	try {
+		return git(["show", `:${stage}:./${path.basename(file)}`], path.dirname(path.resolve(file)), encoding)
+	} catch (error) {
+		return null
+	}
+}
+
+// The value of a gitattribute of the file, or null if it is not set (or outside of a repository)
+function getAttribute(file, name) {
+	let output
+	try {
+		output = git(["check-attr", name, "--", path.basename(file)], path.dirname(path.resolve(file)))
+	} catch (error) {
+		return null
+	}
+
+	const value = output.trim().split(": ").pop()
+	return value === "unspecified" || value === "unset" ? null : value
+}
+
+// The value of a git config variable of the repository of `cwd`, or null if it is not set
+function getConfigValue(name, cwd = process.cwd(), type = null) {
+	try {
+		return git(["config", ...(type ? [`--type=${type}`] : []), "--get", name], cwd).trim()
+	} catch (error) {
+		return null
+	}
+}
+
+// The `conflict-marker-size` attribute of the file, or null if it is not set
+function getConflictMarkerSize(file) {
+	const value = Number(getAttribute(file, "conflict-marker-size"))
+	return Number.isInteger(value) && value > 0 ? value : null
+}
+
+module.exports = {
+	git,
+	getRepoRoot,
+	getGitPath,
+	getUnmergedFiles,
+	addFiles,
+	readIndexStage,
+	getAttribute,
+	getConfigValue,
+	getConflictMarkerSize,
+}
@@ -1,53 +1,139 @@
 #!/usr/bin/env node
 
-const os = require("os")
 const fs = require("fs")
 const path = require("path")
-const crypto = require("crypto")
-const { execSync } = require("child_process")
 
-const { applyPatch } = require("./apply-patch.js")
+const { OP_TYPE_ADD, OP_TYPE_REMOVE, OP_TYPE_CONTEXT, WHITESPACE_FLAGS } = require("./apply-patch.js")
+const { diffLines, toLines, fromLines, createUnifiedDiff, colorizeDiff } = require("./diff.js")
+const { getRepoRoot, readIndexStage, getConflictMarkerSize } = require("./git.js")
+const { parseConflictRegions, DEFAULT_MARKER_SIZE, MARKER_OURS } = require("./conflict-markers.js")
+const {
+	applyRules,
+	transplantDelta,
+	loadRulesFor,
+	getBuiltinRules,
+	DIRECTIONS,
+	DIRECTION_THEIRS,
+	DIRECTION_OURS,
+	VERDICT_CLEAN,
+} = require("./strategies.js")
+const { formatJsonOutput } = require("./json-output.js")
+const { getJournalScope, recordOperation, undoOperation, redoOperation } = require("./journal.js")
+const { readTextFile, decodeText, encodeText } = require("./text.js")
+const { readEncodedFile, writeEncodedFile, decodeBuffer, getBlobEncoding, ENCODING_UTF8 } = require("./encoding.js")
+const { getFileFormat, getLockfileCommand, mergeStructured, validateStructured, FORMAT_LOCKFILE } = require("./semantic.js")
 
-const CONFIG_DIR = path.join(os.homedir(), ".config", "git-conflict-resolver")
-const UNDO_STATE_FILE = path.join(CONFIG_DIR, "last-hunk.json")
-const TEMP_FILE_PREFIX = "git-conflict-resolver"
-const DIFF_EXIT_CODE_FILES_DIFFER = 1
-
-const CONFLICT_START = "<<<<<<<" 
-const CONFLICT_MIDDLE_OLD = "|||||||"
-const CONFLICT_SEPARATOR = "======="
-const CONFLICT_END = ">>>>>>>"
+const COLOR_ALWAYS = "always"
+const COLOR_NEVER = "never"
+const COLOR_AUTO = "auto"
+const COLOR_MODES = [COLOR_ALWAYS, COLOR_NEVER, COLOR_AUTO]
 
 const HUNK_HELP_TEXT = `\
-usage: hunk <FILE> [-a|--apply] [--undo] [-h|--help]
+usage: hunk <FILE> [-a|--apply] [--all] [--allow-fuzzy] [--direction ours|theirs|auto] [-b|-w] [--ignore-blank-lines] [--json] [-h|--help]
+       hunk <FILE> --diff [--all] [--allow-fuzzy] [--direction ours|theirs|auto] [-b|-w] [--ignore-blank-lines] [--color[=WHEN]]
+       hunk [FILE] -i
+       hunk [FILE] --undo|--redo
 
 Find and resolve first 3-way diff conflict in FILE
 
 Flags:
-    -a, --apply    apply the resolution to the file
-    --undo         undo the last hunk operation
+    -a, --apply    apply the resolution to the file, if it is clean:
+                   every change was located exactly, and in one place only
+    --all          resolve every conflict in FILE, not just the first.
+                   conflicts that cannot be resolved safely keep their markers
+    --allow-fuzzy  apply fuzzy resolutions as well, where changes were located
+                   only by dropping context lines or ignoring trailing whitespace,
+                   or in a place that is not the only candidate
+    --direction ours|theirs|auto
+                   which side's changes to transplant onto the other side:
+                   theirs (default) applies OLD -> NEW_OLD onto NEW,
+                   ours applies OLD -> NEW onto NEW_OLD,
+                   auto applies the smaller of both, if both agree
+    -b, --ignore-space-change
+                   locate the changes to transplant even where the amount of whitespace
+                   differs, e.g. where the other side re-indented the lines.
+                   lines added where the lines around them were re-indented are re-indented too
+    -w, --ignore-all-space
+                   same, but ignoring whitespace altogether
+    --ignore-blank-lines
+                   locate them even where blank lines were added or removed
+    --diff         dry run: print what -a would change in FILE as a unified diff,
+                   which \`git apply\` takes from anywhere in the repository
+    --color[=WHEN] color the --diff output: always, never or auto (default),
+                   when printing to a terminal and NO_COLOR is not set
+    --json         print the conflicts, their resolutions & whether they were
+                   applied as JSON (see README), instead of the resolved text
+    -i, --interactive
+                   review every conflict in FILE, or in all unmerged files
+                   of the repository if FILE is omitted, one by one
+    --undo         undo the last operation applied in the repository of FILE,
+                   or of the current directory. Can be repeated
+    --redo         redo the last undone operation
     -h, --help     show help and exit
 
+Exits with 1 if -a (or --diff, its dry run) leaves the conflict unresolved --
+with --all, if it leaves any conflict hunk unresolved, or FILE has malformed conflict markers.
+
 
 Examples:
     hunk conflicted-file.txt
     hunk conflicted-file.txt -a
-    hunk conflicted-file.txt --undo
+    hunk conflicted-file.txt --all -a
+    hunk conflicted-file.txt --direction auto
+    hunk conflicted-file.txt --all -a -b
+    hunk conflicted-file.txt --all --json
+    hunk conflicted-file.txt --all --diff | git apply --check
+    hunk conflicted-file.txt -i
+    hunk -i
+    hunk --undo
+    hunk --redo
 `
 
 function parseHunkArgs(argv) {
 	const flags = {
 		apply: false,
+		all: false,
+		interactive: false,
 		undo: false,
+		redo: false,
+		direction: DIRECTION_THEIRS,
+		allowFuzzy: false,
+		whitespace: {},
+		json: false,
+		diff: false,
+		color: COLOR_AUTO,
 		help: false,
 	}
 	
 	const args = []
-	for (const arg of argv) {
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i]
 		if (arg === "-a" || arg === "--apply") {
 			flags.apply = true
+		} else if (arg === "--all") {
+			flags.all = true
+		} else if (arg === "-i" || arg === "--interactive") {
+			flags.interactive = true
 		} else if (arg === "--undo") {
 			flags.undo = true
+		} else if (arg === "--redo") {
+			flags.redo = true
+		} else if (arg === "--allow-fuzzy") {
+			flags.allowFuzzy = true
+		} else if (Object.hasOwn(WHITESPACE_FLAGS, arg)) {
+			flags.whitespace[WHITESPACE_FLAGS[arg]] = true
+		} else if (arg === "--json") {
+			flags.json = true
+		} else if (arg === "--diff") {
+			flags.diff = true
+		} else if (arg === "--color") {
+			flags.color = COLOR_ALWAYS
+		} else if (arg.startsWith("--color=")) {
+			flags.color = arg.slice("--color=".length)
+		} else if (arg === "--direction") {
+			flags.direction = argv[++i]
+		} else if (arg.startsWith("--direction=")) {
+			flags.direction = arg.slice("--direction=".length)
 		} else if (arg === "-h" || arg === "--help") {
 			flags.help = true
 		} else {
@@ -66,8 +152,40 @@ function handleHunkCommand(argv) {
 		process.exit(0)
 	}
 	
-	if (flags.undo) {
-		performUndo()
+	if (!DIRECTIONS.includes(flags.direction)) {
+		console.error(`Error: Invalid direction: ${flags.direction} (expected one of ${DIRECTIONS.join(", ")})`)
+		process.exit(1)
+	}
+	
+	if (!COLOR_MODES.includes(flags.color)) {
+		console.error(`Error: Invalid color mode: ${flags.color} (expected one of ${COLOR_MODES.join(", ")})`)
+		process.exit(1)
+	}
+	
+	if (flags.json && (flags.interactive || flags.undo || flags.redo)) {
+		console.error("Error: --json cannot be combined with -i, --undo or --redo")
+		process.exit(1)
+	}
+	
+	if (flags.diff && (flags.apply || flags.json || flags.interactive || flags.undo || flags.redo)) {
+		console.error("Error: --diff cannot be combined with -a, --json, -i, --undo or --redo")
+		process.exit(1)
+	}
+	
+	if (flags.undo || flags.redo) {
+		const dir = args.length > 0 ? path.dirname(args[0]) : process.cwd()
+		if (flags.undo) {
+			performUndo(dir)
+		} else {
+			performRedo(dir)
+		}
+		return
+	}
+	
+	if (flags.interactive && args.length <= 1) {
+		// required here, since interactive.js itself depends on this module
+		const { handleInteractive } = require("./interactive.js")
+		handleInteractive(args)
 		return
 	}
 	
@@ -84,285 +202,838 @@ function handleHunkCommand(argv) {
 		process.exit(1)
 	}
 	
-	const fileContent = fs.readFileSync(filename, "utf-8")
+	// line endings, BOM, final newline & encoding are restored on output, see text.js
+	const file = readTextFile(filename)
+	
+	if (file.error) {
+		console.error(`Error: ${filename}: ${file.error}, refusing to resolve it`)
+		process.exit(1)
+	}
+	
+	const { text: fileContent, format } = file
+	
+	const { conflictInfos, errors } = scanConflictHunksInFile(filename, fileContent)
 	
-	const conflictInfo = findFirstConflictHunk(fileContent)
+	if (!flags.json) {
+		process.stderr.write(formatScanErrors(filename, errors))
+	}
 	
-	if (!conflictInfo) {
+	if (conflictInfos.length === 0) {
 		console.error("Error: No conflict markers found in file")
 		process.exit(1)
 	}
 	
-	const sections = parseConflictMarkers(conflictInfo.hunkText)
+	if (flags.json) {
+		handleJsonHunks(filename, fileContent, format, conflictInfos, errors, flags)
+		return
+	}
+	
+	if (flags.diff) {
+		handleDiffHunks(filename, fileContent, format, conflictInfos, errors, flags)
+		return
+	}
+	
+	if (flags.all) {
+		handleAllHunks(filename, fileContent, format, conflictInfos, errors, flags)
+		return
+	}
+	
+	const conflictInfo = conflictInfos[0]
+	
+	let sections = parseConflictMarkers(conflictInfo.hunkText)
 	
 	if (!sections) {
 		console.error("Error: Invalid conflict marker format")
 		process.exit(1)
 	}
 	
-	// Check if it's 2-way format (no OLD section)
+	// Check if it's 2-way format (no OLD section), and try to recover it from the index
 	if (!sections.old) {
-		console.error("Error: 2-way conflict format detected. Please use diff3 format.")
-		console.error("Run: git config --global merge.conflictstyle diff3")
-		process.exit(1)
+		const recovered = recoverOldSections(filename, fileContent, conflictInfos, format.encoding)
+		
+		if (recovered.error) {
+			console.error(`Error: 2-way conflict format detected, and ${recovered.error}`)
+			console.error("Please use diff3 format. Run: git config --global merge.conflictstyle diff3")
+			process.exit(1)
+		}
+		
+		sections = recovered.sections[0]
 	}
 	
-	const resolvedContent = resolveHunk(sections)
+	const options = { direction: flags.direction, allowFuzzy: flags.allowFuzzy, whitespace: flags.whitespace }
+	// structured files are merged as a whole, see resolveAllHunks
+	const result = getFileFormat(filename)
+		? resolveAllHunks(conflictInfos, { filename, fileContent, encoding: format.encoding }, options).results[0]
+		: tryResolveSections(sections, loadRulesFor(filename, options), options)
 	
 	if (!flags.apply) {
-		// Just print the resolved content
-		process.stdout.write(resolvedContent)
+		// Just print the resolved content. Without any resolution, show the changes that can be located
+		const content = result.content === undefined ? resolveHunk(sections, flags.direction, flags.whitespace) : result.content
+		process.stdout.write(encodeText(content, { eol: format.eol }))
+		if (!result.resolved) {
+			process.stderr.write(`Warning: ${result.reason}\n` + formatVerdictDetails(result, "  "))
+		}
+	} else if (!result.resolved) {
+		console.error(`Error: ${result.reason}`)
+		process.stderr.write(formatVerdictDetails(result, "  "))
+		console.error(`The conflict markers were left in ${filename}`)
+		process.exit(1)
 	} else {
 		// Apply the resolution to the file
-		applyResolvedHunk(filename, conflictInfo, resolvedContent)
+		applyResolvedHunk(filename, conflictInfo, result.content)
 		console.log(`Resolved first conflict in ${filename}`)
 	}
 }
 
-function findFirstConflictHunk(fileContent) {
-	const lines = fileContent.split("\n")
-	let startIdx = -1
-	let endIdx = -1
+// Same as the other modes, but report every hunk (or just the first one) as JSON
+function handleJsonHunks(filename, fileContent, format, conflictInfos, errors, flags) {
+	const { results } = resolveAllHunks(conflictInfos, { filename, fileContent, encoding: format.encoding }, {
+		direction: flags.direction,
+		allowFuzzy: flags.allowFuzzy,
+		whitespace: flags.whitespace,
+	})
+	
+	const selected = flags.all ? results : results.slice(0, 1)
+	const resolutions = selected
+		.filter(result => result.resolved)
+		.map(({ conflictInfo, content }) => ({ conflictInfo, resolvedContent: content }))
+	
+	if (flags.apply && resolutions.length > 0) {
+		applyResolvedHunks(filename, resolutions)
+	}
+	
+	process.stdout.write(formatJsonOutput("hunk", [{
+		file: filename,
+		hunks: selected.map(result => ({ result, applied: flags.apply && result.resolved })),
+		errors,
+	}]))
+	
+	// like without --json, leaving conflicts unresolved is an error
+	if (flags.apply && isLeftUnresolved(selected, flags.all && errors)) {
+		process.exit(1)
+	}
+}
+
+// Dry run of -a: print the change to the file as a unified diff, the report goes to stderr
+function handleDiffHunks(filename, fileContent, format, conflictInfos, errors, flags) {
+	const { results } = resolveAllHunks(conflictInfos, { filename, fileContent, encoding: format.encoding }, {
+		direction: flags.direction,
+		allowFuzzy: flags.allowFuzzy,
+		whitespace: flags.whitespace,
+	})
+	
+	const selected = flags.all ? results : results.slice(0, 1)
+	const resolutions = selected
+		.filter(result => result.resolved)
+		.map(({ conflictInfo, content }) => ({ conflictInfo, resolvedContent: content }))
+	
+	const diff = formatResolutionDiff(filename, fileContent, format, resolutions)
+	process.stdout.write(shouldColor(flags.color) ? colorizeDiff(diff) : diff)
+	
+	if (flags.all) {
+		process.stderr.write(formatHunksReport(filename, results))
+		if (isLeftUnresolved(results, errors)) {
+			process.exit(1)
+		}
+	} else if (!selected[0].resolved) {
+		// like -a, failing to resolve the first conflict is an error
+		console.error(`Error: ${selected[0].reason}`)
+		process.stderr.write(formatVerdictDetails(selected[0], "  "))
+		process.exit(1)
+	}
+}
+
+// The change that applying the resolutions makes to the file (written in its `format`), as a git diff.
+// Paths are relative to the repository root (or the current directory outside of one), like `git diff` has them
+function formatResolutionDiff(filename, fileContent, format, resolutions) {
+	const { content } = replaceConflictHunks(fileContent, resolutions)
+	const diffPath = getDiffPath(filename)
+	
+	const diff = createUnifiedDiff(encodeText(fileContent, format), encodeText(content, format), {
+		oldLabel: `a/${diffPath}`,
+		newLabel: `b/${diffPath}`,
+	})
+	if (diff === "") {
+		return ""
+	}
+	
+	return `diff --git a/${diffPath} b/${diffPath}\n` + diff
+}
+
+function getDiffPath(filename) {
+	// git reports the root with symlinks resolved
+	const filepath = fs.realpathSync(filename)
 	
-	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i]
+	let root
+	try {
+		root = getRepoRoot(path.dirname(filepath))
+	} catch (error) {
+		root = process.cwd()
+	}
+	
+	return path.relative(root, filepath).split(path.sep).join("/")
+}
+
+function shouldColor(mode) {
+	if (mode === COLOR_AUTO) {
+		return Boolean(process.stdout.isTTY) && !process.env.NO_COLOR
+	}
+	return mode === COLOR_ALWAYS
+}
+
+function handleAllHunks(filename, fileContent, format, conflictInfos, errors, flags) {
+	const { results, resolutions } = resolveAllHunks(conflictInfos, { filename, fileContent, encoding: format.encoding }, {
+		direction: flags.direction,
+		allowFuzzy: flags.allowFuzzy,
+		whitespace: flags.whitespace,
+	})
+	
+	const report = formatHunksReport(filename, results)
+	
+	if (!flags.apply) {
+		// Print the whole file as it would look, report goes to stderr
+		process.stdout.write(encodeText(replaceConflictHunks(fileContent, resolutions).content, format))
+		process.stderr.write(report)
+	} else {
+		if (resolutions.length > 0) {
+			applyResolvedHunks(filename, resolutions)
+		}
+		process.stdout.write(report)
+		// like resolve, so that scripts can tell the markers that are left
+		if (isLeftUnresolved(results, errors)) {
+			process.exit(1)
+		}
+	}
+}
+
+// Whether any of the conflict hunks is left with its markers, or there are malformed ones (if `errors` are given)
+function isLeftUnresolved(results, errors) {
+	return results.some(result => !result.resolved) || (errors && errors.length > 0)
+}
+
+// With `file` ({ filename, fileContent, encoding }, the normalized text, see text.js) given, the OLD section of 2-way conflicts
+// is recovered from the index stages of the file, the rules from its config apply,
+// and structured files (e.g. JSON, see semantic.js) are merged as a whole first.
+// `options` are { direction, allowFuzzy, whitespace }, see tryResolveSections & getBuiltinRules
+function resolveAllHunks(conflictInfos, file, options = {}) {
+	if (conflictInfos.length === 0) {
+		return withResolutions([])
+	}
+	
+	const format = file ? getFileFormat(file.filename) : null
+	const structured = format ? resolveStructuredHunks(conflictInfos, file, format, options) : null
+	if (structured && structured.results) {
+		return withResolutions(structured.results)
+	}
+	
+	const results = resolveHunksByLines(conflictInfos, file, options)
+	
+	// a line by line resolution of the whole file still has to parse
+	if (structured && !structured.unparsable && results.every(result => result.resolved)) {
+		const { content } = replaceConflictHunks(file.fileContent, withResolutions(results).resolutions)
+		const error = validateStructured(format, content)
+		if (error) {
+			return withResolutions(results.map(result => ({ ...result, resolved: false, reason: `${structured.reason}, and resolving it line by line gives ${error}` })))
+		}
+	}
+	
+	return withResolutions(results)
+}
+
+function withResolutions(results) {
+	const resolutions = results
+		.filter(result => result.resolved)
+		.map(({ conflictInfo, content }) => ({ conflictInfo, resolvedContent: content }))
+	
+	return { results, resolutions }
+}
+
+function resolveHunksByLines(conflictInfos, file, options) {
+	const rules = file ? loadRulesFor(file.filename, options) : getBuiltinRules(options)
+	let recovered = null
+	
+	return conflictInfos.map((conflictInfo, idx) => {
+		const result = tryResolveHunk(conflictInfo.hunkText, rules, options)
 		
-		if (line.startsWith(CONFLICT_START)) {
-			startIdx = i
+		if (result.resolved || !result.sections || result.sections.old !== null || !file) {
+			return { conflictInfo, ...result }
 		}
 		
-		if (startIdx !== -1 && line.startsWith(CONFLICT_END)) {
-			endIdx = i
-			break
+		if (!recovered) {
+			recovered = recoverOldSections(file.filename, file.fileContent, conflictInfos, file.encoding)
+		}
+		
+		if (recovered.error) {
+			return { conflictInfo, ...result, reason: `${result.reason}, and ${recovered.error}` }
+		}
+		
+		return { conflictInfo, ...tryResolveSections(recovered.sections[idx], rules, options) }
+	})
+}
+
+// Merge the whole versions of a structured file (see semantic.js), and split the merge back into the hunks.
+// Returns { results }, or { reason } (with `unparsable` set if a version cannot be parsed) to resolve it line by line instead.
+// Lockfiles are left to be regenerated
+function resolveStructuredHunks(conflictInfos, file, format, options) {
+	const sectionsOf = conflictInfos.map(conflictInfo => parseConflictMarkers(conflictInfo.hunkText))
+	
+	if (format === FORMAT_LOCKFILE) {
+		const reason = `lockfile, regenerate it instead (resolve -a runs \`${getLockfileCommand(file.filename)}\`)`
+		return { results: conflictInfos.map((conflictInfo, idx) => ({ conflictInfo, resolved: false, sections: sectionsOf[idx], reason })) }
+	}
+	
+	if (sectionsOf.some(sections => !sections)) {
+		return { reason: "invalid conflict marker format", unparsable: true }
+	}
+	
+	// 2-way conflicts lack OLD, so the versions are the index stages, which the file has to be made of
+	let versions
+	if (sectionsOf.some(sections => sections.old === null)) {
+		const { base, ours, theirs } = readIndexStages(file.filename, file.encoding)
+		if (base === null || ours === null || theirs === null) {
+			return { reason: "2-way conflict format (no OLD section), and no index stages to merge", unparsable: true }
 		}
+		versions = { old: base, newOld: ours, new: theirs }
+	} else {
+		versions = joinVersions(file.fileContent, conflictInfos, sectionsOf)
 	}
 	
-	if (startIdx === -1 || endIdx === -1) {
-		return null
+	const merged = mergeStructured(format, versions, options)
+	if (merged.reason) {
+		return merged
 	}
 	
-	const hunkLines = lines.slice(startIdx, endIdx + 1)
-	const hunkText = hunkLines.join("\n") + "\n"
+	const onto = options.direction === DIRECTION_OURS ? "newOld" : "new"
+	const contents = splitMergedContent(file.fileContent, conflictInfos, sectionsOf.map(sections => sections[onto]), merged.content)
+	if (!contents) {
+		return { reason: "the merge changes lines outside of the conflicts" }
+	}
 	
+	const accepted = merged.verdict === VERDICT_CLEAN || options.allowFuzzy
 	return {
-		startLine: startIdx,
-		endLine: endIdx,
-		hunkText: hunkText
+		results: conflictInfos.map((conflictInfo, idx) => ({
+			conflictInfo,
+			resolved: accepted,
+			verdict: merged.verdict,
+			content: contents[idx],
+			rule: format,
+			unmatchedRemovals: [],
+			ambiguousMatches: [],
+			contextNotFound: [],
+			sections: sectionsOf[idx],
+			...(accepted ? {} : { reason: `only a fuzzy resolution was found (by ${format}), use --allow-fuzzy to apply it` }),
+		})),
 	}
 }
 
-function parseConflictMarkers(hunkText) {
-	const lines = hunkText.split("\n")
+// The whole file as OLD, NEW_OLD & NEW have it: the lines outside of the hunks, and each hunk's section
+function joinVersions(fileContent, conflictInfos, sections) {
+	const { stable, tail } = splitStableLines(fileContent, conflictInfos)
+	const join = side => fromLines([...stable.flatMap((lines, idx) => [...lines, ...toLines(sections[idx][side])]), ...tail])
+	
+	return { old: join("old"), newOld: join("newOld"), new: join("new") }
+}
+
+// The lines before each hunk, and after the last one
+function splitStableLines(fileContent, conflictInfos) {
+	const lines = toLines(fileContent)
+	let cursor = 0
 	
-	let newOldStart = -1
-	let oldStart = -1
-	let newStart = -1
-	let endIdx = -1
+	const stable = conflictInfos.map(conflictInfo => {
+		const before = lines.slice(cursor, conflictInfo.startLine)
+		cursor = conflictInfo.endLine + 1
+		return before
+	})
 	
-	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i]
-		
-		if (line.startsWith(CONFLICT_START)) {
-			newOldStart = i
-		} else if (line.startsWith(CONFLICT_MIDDLE_OLD)) {
-			oldStart = i
-		} else if (line.startsWith(CONFLICT_SEPARATOR)) {
-			newStart = i
-		} else if (line.startsWith(CONFLICT_END)) {
-			endIdx = i
-			break
+	return { stable, tail: lines.slice(cursor) }
+}
+
+// The content of each hunk in `merged`, which the file would be with `ontoSections` in place of the hunks,
+// had the merge not changed any line outside of them. Returns null if it did
+function splitMergedContent(fileContent, conflictInfos, ontoSections, merged) {
+	const { stable, tail } = splitStableLines(fileContent, conflictInfos)
+	const segments = [...stable, tail]
+	const ontoLines = segments.flatMap((lines, idx) => idx < ontoSections.length ? [...lines, ...toLines(ontoSections[idx])] : lines)
+	const mergedLines = toLines(merged)
+	
+	// where each line of the onto version is in the merge, null if it is not
+	const positions = []
+	let mergedIdx = 0
+	for (const [opType] of diffLines(ontoLines, mergedLines)) {
+		if (opType === OP_TYPE_CONTEXT) {
+			positions.push(mergedIdx++)
+		} else if (opType === OP_TYPE_REMOVE) {
+			positions.push(null)
+		} else {
+			mergedIdx++
 		}
 	}
 	
-	// Check if we have a valid conflict
-	if (newOldStart === -1 || newStart === -1 || endIdx === -1) {
+	// [start, end) of each stable segment in the merge, which has to have it whole
+	let offset = 0
+	const ranges = segments.map((lines, idx) => {
+		const segmentPositions = positions.slice(offset, offset + lines.length)
+		offset += lines.length + (idx < ontoSections.length ? toLines(ontoSections[idx]).length : 0)
+		
+		if (segmentPositions.some((position, lineIdx) => position === null || position !== segmentPositions[0] + lineIdx)) {
+			return undefined
+		}
+		return lines.length === 0 ? null : [segmentPositions[0], segmentPositions[0] + lines.length]
+	})
+	
+	if (ranges.includes(undefined) || (ranges[0] && ranges[0][0] !== 0)) {
 		return null
 	}
 	
-	// If oldStart is -1, it's a 2-way conflict (no ||||||| marker)
-	if (oldStart === -1) {
-		return {
-			newOld: lines.slice(newOldStart + 1, newStart).join("\n") + "\n",
-			old: null,
-			new: lines.slice(newStart + 1, endIdx).join("\n") + "\n"
+	// each hunk is what lies between the stable segments around it
+	const contents = []
+	let previousEnd = ranges[0] ? ranges[0][1] : 0
+	for (let idx = 1; idx < ranges.length; idx++) {
+		const isTail = idx === ranges.length - 1
+		// hunks right next to each other cannot be told apart
+		const range = ranges[idx] || (isTail ? [mergedLines.length, mergedLines.length] : null)
+		if (!range || range[0] < previousEnd) {
+			return null
+		}
+		contents.push(fromLines(mergedLines.slice(previousEnd, range[0])))
+		previousEnd = range[1]
+	}
+	
+	return previousEnd === mergedLines.length ? contents : null
+}
+
+function formatHunksReport(filename, results) {
+	const resolvedCount = results.filter(result => result.resolved).length
+	
+	let report = `Resolved ${resolvedCount} of ${results.length} conflicts in ${filename}\n`
+	results.forEach((result, idx) => {
+		const position = `hunk ${idx + 1} (lines ${result.conflictInfo.startLine + 1}-${result.conflictInfo.endLine + 1})`
+		if (result.resolved) {
+			report += `  ${position}: resolved (${result.rule}, ${result.verdict})\n`
+		} else {
+			report += `  ${position}: left unresolved: ${result.reason}\n`
 		}
+		report += formatVerdictDetails(result, "    ")
+	})
+	
+	return report
+}
+
+function findFirstConflictHunk(fileContent, options) {
+	return findAllConflictHunks(fileContent, options)[0] || null
+}
+
+function findAllConflictHunks(fileContent, options) {
+	return scanConflictHunks(fileContent, options).conflictInfos
+}
+
+// Conflict hunks, plus the malformed regions that were skipped.
+// `options.markerSize` is the length of the conflict markers, 7 by default
+function scanConflictHunks(fileContent, options = {}) {
+	const lines = fileContent.split("\n")
+	const { regions, errors } = parseConflictRegions(lines, options)
+	
+	const conflictInfos = regions.map(region => ({
+		startLine: region.startLine,
+		endLine: region.endLine,
+		hunkText: lines.slice(region.startLine, region.endLine + 1).join("\n") + "\n"
+	}))
+	
+	return { conflictInfos, errors }
+}
+
+// Same, honoring the file's `conflict-marker-size` attribute
+function scanConflictHunksInFile(filename, fileContent) {
+	return scanConflictHunks(fileContent, { markerSize: getConflictMarkerSize(filename) || DEFAULT_MARKER_SIZE })
+}
+
+function formatScanErrors(filename, errors) {
+	return errors.map(error => `Warning: ${filename}:${error.line}: ${error.message}\n`).join("")
+}
+
+function parseConflictMarkers(hunkText) {
+	const sections = splitConflictSections(hunkText)
+	
+	if (!sections) {
+		return null
 	}
 	
-	// 3-way conflict
 	return {
-		newOld: lines.slice(newOldStart + 1, oldStart).join("\n") + "\n",
-		old: lines.slice(oldStart + 1, newStart).join("\n") + "\n",
-		new: lines.slice(newStart + 1, endIdx).join("\n") + "\n"
+		newOld: fromLines(sections.newOld),
+		old: sections.old && fromLines(sections.old),
+		new: fromLines(sections.new)
 	}
 }
 
-function resolveHunk(sections) {
-	// Create temp files for OLD, NEW_OLD, NEW
-	const tempOld = createTempFile("old")
-	const tempNewOld = createTempFile("new_old")
-	const tempNew = createTempFile("new")
+// Lines of each section. `old` is null for a 2-way conflict (no ||||||| marker).
+// The marker size is taken from the hunk's first line
+function splitConflictSections(hunkText) {
+	const lines = hunkText.split("\n")
 	
-	try {
-		fs.writeFileSync(tempOld, sections.old)
-		fs.writeFileSync(tempNewOld, sections.newOld)
-		fs.writeFileSync(tempNew, sections.new)
+	let markerSize = 0
+	while (lines[0][markerSize] === MARKER_OURS) {
+		markerSize++
+	}
+	
+	const region = parseConflictRegions(lines, { markerSize }).regions[0]
+	
+	// Check if we have a valid conflict
+	if (!region || region.startLine !== 0) {
+		return null
+	}
+	
+	const slice = range => lines.slice(range[0], range[1])
+	
+	return {
+		newOld: slice(region.ours),
+		old: region.base && slice(region.base),
+		new: slice(region.theirs)
+	}
+}
+
+// For 2-way conflicts, rebuild the OLD section of each hunk from the index stages
+// (1 = base, 2 = ours, 3 = theirs) of an unmerged file:
+// reconstruct the ours & theirs versions from the file, check that they match stages 2 & 3,
+// then take the base lines lying between the lines that each side kept unchanged around the hunk.
+function recoverOldSections(filename, fileContent, conflictInfos, encoding = ENCODING_UTF8) {
+	const { base, ours, theirs } = readIndexStages(filename, encoding)
+	
+	if (ours === null || theirs === null) {
+		return { error: "no index stages to recover it from (is the file unmerged?)" }
+	}
+	
+	const split = conflictInfos.map(conflictInfo => splitConflictSections(conflictInfo.hunkText))
+	if (split.some(sections => !sections)) {
+		return { error: "invalid conflict marker format" }
+	}
+	
+	const fileLines = fileContent.split("\n")
+	const oursLines = []
+	const theirsLines = []
+	const ranges = []
+	// where each line outside of the conflicts is in oursLines & theirsLines
+	const stable = []
+	let cursor = 0
+	const pushStable = lines => {
+		lines.forEach((line, idx) => stable.push([oursLines.length + idx, theirsLines.length + idx]))
+		oursLines.push(...lines)
+		theirsLines.push(...lines)
+	}
+	
+	conflictInfos.forEach((conflictInfo, idx) => {
+		pushStable(fileLines.slice(cursor, conflictInfo.startLine))
 		
-		// Use existing resolveConflict logic
-		const tempDiffFile = createTempDiffFile()
+		const range = { ours: [oursLines.length], theirs: [theirsLines.length] }
+		oursLines.push(...split[idx].newOld)
+		theirsLines.push(...split[idx].new)
+		range.ours.push(oursLines.length)
+		range.theirs.push(theirsLines.length)
+		ranges.push(range)
 		
-		try {
-			const diffOutput = generateDiff(tempOld, tempNewOld)
-			
-			if (!diffOutput || diffOutput.trim() === "") {
-				// No difference between OLD and NEW_OLD, just return NEW
-				return sections.new
-			}
-			
-			fs.writeFileSync(tempDiffFile, diffOutput)
-			
-			// Apply patch to temp NEW file
-			applyPatch([tempNew, tempDiffFile])
-			
-			// Read the resolved content
-			const resolvedContent = fs.readFileSync(tempNew, "utf-8")
-			return resolvedContent
-			
-		} finally {
-			if (fs.existsSync(tempDiffFile)) {
-				fs.unlinkSync(tempDiffFile)
+		cursor = conflictInfo.endLine + 1
+	})
+	pushStable(fileLines.slice(cursor))
+	
+	// outside of the conflicts, git merged the changes of both sides -- so each side is lined up with its stage:
+	// every line of its conflict sections has to be there, and every line outside of the conflicts in either stage
+	const [oursStageLines, theirsStageLines] = [ours, theirs].map(stage => stage.split("\n"))
+	const oursToStage = mapLinesToBase(oursStageLines, oursLines)
+	const theirsToStage = mapLinesToBase(theirsStageLines, theirsLines)
+	const inStage = (mapping, [start, end]) => mapping.slice(start, end).every(stageIdx => stageIdx !== -1)
+	if (
+		stable.some(([oursIdx, theirsIdx]) => oursToStage[oursIdx] === -1 && theirsToStage[theirsIdx] === -1) ||
+		ranges.some(range => !inStage(oursToStage, range.ours) || !inStage(theirsToStage, range.theirs))
+	) {
+		return { error: "the file no longer matches its index stages" }
+	}
+	
+	// both sides added the file
+	const baseLines = base === null ? [] : base.split("\n")
+	// index in base of each line of oursLines & theirsLines that its stage kept unchanged, -1 for the others
+	const toBase = (stageLines, toStage) => {
+		const stageToBase = mapLinesToBase(baseLines, stageLines)
+		return toStage.map(stageIdx => stageIdx === -1 ? -1 : stageToBase[stageIdx])
+	}
+	const oursToBase = toBase(oursStageLines, oursToStage)
+	const theirsToBase = toBase(theirsStageLines, theirsToStage)
+	
+	const sections = split.map((hunkSections, idx) => {
+		if (hunkSections.old) {
+			return {
+				newOld: fromLines(hunkSections.newOld),
+				old: fromLines(hunkSections.old),
+				new: fromLines(hunkSections.new),
 			}
 		}
 		
-	} finally {
-		// Clean up temp files
-		if (fs.existsSync(tempOld)) fs.unlinkSync(tempOld)
-		if (fs.existsSync(tempNewOld)) fs.unlinkSync(tempNewOld)
-		if (fs.existsSync(tempNew)) fs.unlinkSync(tempNew)
-	}
+		const fromOurs = getBaseRange(oursToBase, ranges[idx].ours, baseLines.length)
+		const fromTheirs = getBaseRange(theirsToBase, ranges[idx].theirs, baseLines.length)
+		
+		return {
+			newOld: fromLines(hunkSections.newOld),
+			old: fromLines(baseLines.slice(Math.min(fromOurs[0], fromTheirs[0]), Math.max(fromOurs[1], fromTheirs[1]))),
+			new: fromLines(hunkSections.new),
+		}
+	})
+	
+	return { sections }
 }
 
-function createTempFile(suffix) {
-	const randomHex = crypto.randomBytes(8).toString("hex")
-	return path.join(os.tmpdir(), `${TEMP_FILE_PREFIX}.${suffix}.${randomHex}.txt`)
+// The normalized text of each index stage of an unmerged file, null for the missing ones.
+// `encoding` is the file's, see getBlobEncoding
+function readIndexStages(filename, encoding = ENCODING_UTF8) {
+	const blobEncoding = getBlobEncoding(filename, encoding)
+	const [base, ours, theirs] = [1, 2, 3].map(stage => {
+		const content = readIndexStage(filename, stage, "buffer")
+		return content === null ? null : decodeText(decodeBuffer(content, blobEncoding)).text
+	})
+	
+	return { base, ours, theirs }
 }
 
-function createTempDiffFile() {
-	const randomHex = crypto.randomBytes(8).toString("hex")
-	return path.join(os.tmpdir(), `${TEMP_FILE_PREFIX}.${randomHex}.diff`)
+// Index in base of each line that was kept unchanged, -1 for added lines
+function mapLinesToBase(baseLines, otherLines) {
+	const mapping = []
+	let baseIdx = 0
+	
+	for (const [opType] of diffLines(baseLines, otherLines)) {
+		if (opType === OP_TYPE_CONTEXT) {
+			mapping.push(baseIdx)
+			baseIdx++
+		} else if (opType === OP_TYPE_ADD) {
+			mapping.push(-1)
+		} else {
+			baseIdx++
+		}
+	}
+	
+	return mapping
 }
 
-function generateDiff(oldFile, newOldFile) {
-	let diffOutput
-	try {
-		diffOutput = execSync(`diff -u "${oldFile}" "${newOldFile}"`, {
-			encoding: "utf-8"
-		})
-	} catch (error) {
-		diffOutput = error.stdout || ""
-		if (error.status !== DIFF_EXIT_CODE_FILES_DIFFER) {
-			throw error
+// The base lines between the nearest unchanged lines before & after [start, end)
+function getBaseRange(mapping, [start, end], baseLength) {
+	let baseStart = 0
+	for (let i = start - 1; i >= 0; i--) {
+		if (mapping[i] !== -1) {
+			baseStart = mapping[i] + 1
+			break
+		}
+	}
+	
+	let baseEnd = baseLength
+	for (let i = end; i < mapping.length; i++) {
+		if (mapping[i] !== -1) {
+			baseEnd = mapping[i]
+			break
 		}
 	}
-	return diffOutput
+	
+	return [baseStart, Math.max(baseStart, baseEnd)]
 }
 
-function applyResolvedHunk(filename, conflictInfo, resolvedContent) {
-	const fileContent = fs.readFileSync(filename, "utf-8")
-	const lines = fileContent.split("\n")
+function resolveHunk(sections, direction, whitespace) {
+	return resolveSections(sections, direction, whitespace).content
+}
+
+// Transplant one side's changes onto the other (OLD -> NEW_OLD onto NEW by default, see DIRECTIONS),
+// even if some of them cannot be located
+function resolveSections(sections, direction, whitespace) {
+	const { prefix, suffix, ...inner } = splitCommonLines(sections)
+	
+	const { lines, rejected } = transplantDelta(joinSections(inner), direction, whitespace)
+	return { content: fromLines(prefix) + lines.join("") + fromLines(suffix), rejected }
+}
+
+function joinSections(sections) {
+	return { newOld: fromLines(sections.newOld), old: fromLines(sections.old), new: fromLines(sections.new) }
+}
+
+// Lines that NEW_OLD & NEW both start or end with were agreed upon by both sides.
+// diff3 keeps them inside the conflict, while zdiff3 moves them out of it (but keeps OLD whole) --
+// take them out here as well (and from OLD, if it has them too), so that both styles resolve the same
+function splitCommonLines(sections) {
+	const old = toLines(sections.old)
+	const newOld = toLines(sections.newOld)
+	const newLines = toLines(sections.new)
+	
+	const maxLength = Math.min(newOld.length, newLines.length)
 	
-	// Replace the conflict hunk with resolved content
-	const beforeConflict = lines.slice(0, conflictInfo.startLine)
-	const afterConflict = lines.slice(conflictInfo.endLine + 1)
+	let prefixLength = 0
+	while (prefixLength < maxLength && newOld[prefixLength] === newLines[prefixLength]) {
+		prefixLength++
+	}
 	
-	// Remove trailing newline from resolvedContent if it exists to avoid double newlines
-	const resolvedLines = resolvedContent.split("\n")
-	if (resolvedLines[resolvedLines.length - 1] === "") {
-		resolvedLines.pop()
+	let suffixLength = 0
+	while (
+		suffixLength < maxLength - prefixLength &&
+		newOld[newOld.length - 1 - suffixLength] === newLines[newLines.length - 1 - suffixLength]
+	) {
+		suffixLength++
 	}
 	
-	const newLines = [...beforeConflict, ...resolvedLines, ...afterConflict]
-	const newContent = newLines.join("\n")
+	const prefix = newOld.slice(0, prefixLength)
+	const suffix = newOld.slice(newOld.length - suffixLength)
 	
-	// Save undo state with resolved line count
-	saveUndoState(filename, conflictInfo, resolvedLines.length)
+	const oldHasPrefix = prefixLength <= old.length && prefix.every((line, idx) => old[idx] === line)
+	const oldStart = oldHasPrefix ? prefixLength : 0
+	const oldHasSuffix = suffixLength <= old.length - oldStart &&
+		suffix.every((line, idx) => old[old.length - suffixLength + idx] === line)
+	const oldEnd = oldHasSuffix ? old.length - suffixLength : old.length
 	
-	fs.writeFileSync(filename, newContent)
+	return {
+		prefix,
+		suffix,
+		old: old.slice(oldStart, oldEnd),
+		newOld: newOld.slice(prefixLength, newOld.length - suffixLength),
+		new: newLines.slice(prefixLength, newLines.length - suffixLength),
+	}
 }
 
-function saveUndoState(filename, conflictInfo, resolvedLineCount) {
-	// Ensure config directory exists
-	if (!fs.existsSync(CONFIG_DIR)) {
-		fs.mkdirSync(CONFIG_DIR, { recursive: true })
-	}
+// Resolve a conflict hunk only if it can be done safely,
+// otherwise report why it was left unresolved
+function tryResolveHunk(hunkText, rules, options) {
+	const sections = parseConflictMarkers(hunkText)
 	
-	const undoState = {
-		filepath: path.resolve(filename),
-		originalHunk: conflictInfo.hunkText,
-		lineStart: conflictInfo.startLine,
-		lineEnd: conflictInfo.endLine,
-		resolvedLineCount: resolvedLineCount,
-		timestamp: new Date().toISOString()
+	if (!sections) {
+		return { resolved: false, sections, reason: "invalid conflict marker format" }
 	}
 	
-	fs.writeFileSync(UNDO_STATE_FILE, JSON.stringify(undoState, null, 2))
+	return tryResolveSections(sections, rules, options)
 }
 
-function performUndo() {
-	if (!fs.existsSync(UNDO_STATE_FILE)) {
-		console.error("Error: No undo state found")
-		console.error(`Expected undo state file at: ${UNDO_STATE_FILE}`)
-		process.exit(1)
+// The first of the resolution rules (see strategies.js) that resolves the hunk cleanly wins,
+// its name is kept as `rule`. Fuzzy resolutions are accepted with `options.allowFuzzy`.
+// Unaccepted fuzzy & partial resolutions keep their `content` for display
+function tryResolveSections(sections, rules, options = {}) {
+	if (sections.old === null) {
+		return { resolved: false, sections, reason: "2-way conflict format (no OLD section)" }
 	}
 	
-	let undoState
-	try {
-		const content = fs.readFileSync(UNDO_STATE_FILE, "utf-8")
-		undoState = JSON.parse(content)
-	} catch (error) {
-		console.error("Error: Failed to parse undo state file")
-		process.exit(1)
+	const { prefix, suffix, ...inner } = splitCommonLines(sections)
+	
+	const result = applyRules(joinSections(inner), rules, options)
+	
+	if (result.content === undefined) {
+		return { ...result, sections }
 	}
 	
-	const { filepath, originalHunk, lineStart, resolvedLineCount } = undoState
+	return { ...result, sections, content: fromLines(prefix) + result.content + fromLines(suffix) }
+}
+
+// Lines listing the changes a resolution could not locate, or located ambiguously
+function formatVerdictDetails(result, indent = "") {
+	const lines = []
+	for (const line of result.unmatchedRemovals || []) {
+		lines.push(`${indent}unmatched removal: ${JSON.stringify(line)}`)
+	}
+	for (const { line, count } of result.ambiguousMatches || []) {
+		lines.push(`${indent}ambiguous match: line ${line} of the resolution, ${count} candidates`)
+	}
+	for (const line of result.contextNotFound || []) {
+		lines.push(`${indent}context not found: line ${line} of the resolution, placed by its position alone`)
+	}
+	for (const line of result.wordMerges || []) {
+		lines.push(`${indent}merged word by word: ${JSON.stringify(line)}`)
+	}
+	return lines.map(line => line + "\n").join("")
+}
+
+function applyResolvedHunk(filename, conflictInfo, resolvedContent) {
+	applyResolvedHunks(filename, [{ conflictInfo, resolvedContent }])
+}
+
+function applyResolvedHunks(filename, resolutions) {
+	const change = writeResolvedHunks(filename, resolutions)
 	
-	if (!fs.existsSync(filepath)) {
-		console.error(`Error: File not found: ${filepath}`)
-		process.exit(1)
+	const count = resolutions.length
+	recordOperation(`resolve ${count} conflict${count === 1 ? "" : "s"} in ${filename}`, [change])
+}
+
+// Write the resolutions without journaling them, for callers that
+// record several files as one operation.
+// Returns the change as { filepath, before, after }
+function writeResolvedHunks(filename, resolutions) {
+	const file = readEncodedFile(filename)
+	if (file.error) {
+		throw new Error(`${filename}: ${file.error}, refusing to write it`)
 	}
 	
-	const fileContent = fs.readFileSync(filepath, "utf-8")
-	const lines = fileContent.split("\n")
+	const before = file.content
+	const { text, format } = decodeText(before)
 	
-	// Restore the original conflict markers
-	// Use resolvedLineCount to know where the resolved content ends
-	const beforeConflict = lines.slice(0, lineStart)
-	const afterConflict = lines.slice(lineStart + resolvedLineCount)
+	const after = encodeText(replaceConflictHunks(text, resolutions).content, format)
 	
-	const hunkLines = originalHunk.split("\n")
-	if (hunkLines[hunkLines.length - 1] === "") {
-		hunkLines.pop()
-	}
+	writeEncodedFile(filename, after, file.encoding)
 	
-	const newLines = [...beforeConflict, ...hunkLines, ...afterConflict]
-	const newContent = newLines.join("\n")
+	return { filepath: path.resolve(filename), before, after, encoding: file.encoding }
+}
+
+// Replace each conflict hunk with its resolved content.
+// Resolutions must be sorted by their position in the file
+function replaceConflictHunks(fileContent, resolutions) {
+	const lines = fileContent.split("\n")
+	const newLines = []
+	let cursor = 0
 	
-	fs.writeFileSync(filepath, newContent)
+	for (const { conflictInfo, resolvedContent } of resolutions) {
+		// Remove trailing newline from resolvedContent if it exists to avoid double newlines
+		const resolvedLines = resolvedContent.split("\n")
+		if (resolvedLines[resolvedLines.length - 1] === "") {
+			resolvedLines.pop()
+		}
+		
+		newLines.push(...lines.slice(cursor, conflictInfo.startLine), ...resolvedLines)
+		cursor = conflictInfo.endLine + 1
+	}
 	
-	// Clear undo state
-	fs.unlinkSync(UNDO_STATE_FILE)
+	newLines.push(...lines.slice(cursor))
 	
-	console.log(`Undone last hunk operation in ${filepath}`)
+	return { content: newLines.join("\n") }
+}
+
+// Undo or redo the last operation journaled for the repository of `dir`
+function performUndo(dir) {
+	reportJournalStep(undoOperation(getJournalScope(dir)), "Undone")
+}
+
+function performRedo(dir) {
+	reportJournalStep(redoOperation(getJournalScope(dir)), "Redone")
+}
+
+function reportJournalStep(result, verb) {
+	if (result.error) {
+		console.error(`Error: ${result.error}`)
+		process.exit(1)
+	}
+	
+	for (const { filepath, reconciled } of result.files) {
+		const suffix = reconciled ? " (merged with the changes made since)" : ""
+		console.log(`${verb} ${result.description}: ${filepath}${suffix}`)
+	}
 }
 
 module.exports = {
 	handleHunkCommand,
+	HUNK_HELP_TEXT,
 	parseHunkArgs,
 	findFirstConflictHunk,
+	findAllConflictHunks,
+	scanConflictHunks,
+	scanConflictHunksInFile,
+	formatScanErrors,
+	formatVerdictDetails,
 	parseConflictMarkers,
+	splitConflictSections,
+	recoverOldSections,
 	resolveHunk,
+	tryResolveHunk,
+	tryResolveSections,
+	resolveAllHunks,
 	applyResolvedHunk,
-	saveUndoState,
+	applyResolvedHunks,
+	replaceConflictHunks,
+	formatResolutionDiff,
+	writeResolvedHunks,
 	performUndo,
-	CONFIG_DIR,
-	UNDO_STATE_FILE,
+	performRedo,
 }
@@ -6,4 +6,6 @@ PREFIX="${PREFIX:-$HOME/.local}"
 EXE="resolve-conflict.js"
 EXE_OUT="git-conflict-resolver"
 
+npm install --omit=dev
+
 ln -s "$PWD/$EXE" "$PREFIX/bin/$EXE_OUT"
@@ -0,0 +1,279 @@
+const os = require("os")
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const { spawnSync } = require("child_process")
+
+const {
+	scanConflictHunksInFile,
+	formatVerdictDetails,
+	resolveAllHunks,
+	applyResolvedHunk,
+} = require("./hunk.js")
+const { getRepoRoot, getUnmergedFiles } = require("./git.js")
+const { getJournalScope, undoOperation } = require("./journal.js")
+const { readTextFile, decodeText } = require("./text.js")
+
+const TEMP_FILE_PREFIX = "git-conflict-resolver"
+const CONTEXT_LINES = 3
+
+// how long to sleep in between reads of non-blocking input that cannot be reopened (ms)
+const INPUT_POLL_DELAY = 20
+const SLEEP_BUFFER = new Int32Array(new SharedArrayBuffer(4))
+
+// descriptors reopened by reopenBlocking
+const blockingFds = new Map()
+
+const ANSWER_YES = "y"
+const ANSWER_NO = "n"
+const ANSWER_UNDO = "u"
+const ANSWER_EDIT = "e"
+const ANSWER_SKIP = "s"
+const ANSWER_QUIT = "q"
+
+const PROMPT_HELP_TEXT = `\
+y - apply the resolution
+n - leave this conflict as is
+u - undo the last applied resolution
+e - edit the resolution in $EDITOR, then apply it
+s - skip the rest of the conflicts in this file
+q - quit
+`
+
+// Review the given files, or every unmerged file in the repository
+function handleInteractive(files) {
+	if (files.length === 0) {
+		try {
+			const root = getRepoRoot()
+			files = getUnmergedFiles(root).map(file => path.relative(process.cwd(), path.join(root, file)))
+		} catch (error) {
+			console.error(`Error: ${error.stderr || error.message}`.trimEnd())
+			process.exit(1)
+		}
+	}
+
+	files = files.filter(file => {
+		if (!fs.existsSync(file)) {
+			console.error(`Error: File not found: ${file}`)
+			return false
+		}
+		return true
+	})
+
+	if (files.length === 0) {
+		console.error("Error: No files to resolve")
+		process.exit(1)
+	}
+
+	runInteractive(files)
+}
+
+// Walk through every conflict hunk of every file, asking what to do with each.
+// Resolutions are written to the file as soon as they are accepted.
+function runInteractive(files, options = {}) {
+	const readLine = options.readLine || (() => readLineSync(0))
+	const write = options.write || (text => process.stdout.write(text))
+	const editor = options.editor || process.env.VISUAL || process.env.EDITOR || "vi"
+
+	const undoStack = []
+	const stats = { applied: 0, declined: 0 }
+
+	let fileIdx = 0
+	let position = 0
+
+	while (fileIdx < files.length) {
+		const filename = files[fileIdx]
+		const file = readTextFile(filename)
+		if (file.error) {
+			write(`${filename}: ${file.error}, skipping it\n`)
+			fileIdx++
+			position = 0
+			continue
+		}
+
+		const fileContent = file.text
+		const { conflictInfos } = scanConflictHunksInFile(filename, fileContent)
+
+		if (position >= conflictInfos.length) {
+			fileIdx++
+			position = 0
+			continue
+		}
+
+		const conflictInfo = conflictInfos[position]
+		// fuzzy resolutions are offered too, since each one is reviewed before it is applied
+		const result = resolveAllHunks(conflictInfos, { filename, fileContent, encoding: file.format.encoding }, { allowFuzzy: true }).results[position]
+
+		write(formatHunkPreview(filename, fileContent, conflictInfo, result, position, conflictInfos.length))
+
+		const choices = result.resolved ? "[Y/n/(u)ndo last/e(dit)/s(kip)/q(uit)]" : "[N/(u)ndo last/e(dit)/s(kip)/q(uit)]"
+		write(`Apply this resolution ${choices}? `)
+
+		const line = readLine()
+		if (line === null) {
+			write("\n")
+			break
+		}
+
+		const answer = (line.trim().toLowerCase() || (result.resolved ? ANSWER_YES : ANSWER_NO))[0]
+
+		if (answer === ANSWER_YES) {
+			if (!result.resolved) {
+				write("This conflict cannot be resolved automatically, use e(dit) instead\n")
+				continue
+			}
+			undoStack.push({ fileIdx, position })
+			applyResolvedHunk(filename, conflictInfo, result.content)
+			stats.applied++
+		} else if (answer === ANSWER_NO) {
+			position++
+			stats.declined++
+		} else if (answer === ANSWER_EDIT) {
+			const edited = editInEditor(editor, result.resolved ? result.content : conflictInfo.hunkText)
+			if (edited === null) {
+				write("Editor exited with an error, resolution not applied\n")
+				continue
+			}
+			undoStack.push({ fileIdx, position })
+			applyResolvedHunk(filename, conflictInfo, edited)
+			stats.applied++
+			// the edited text may still contain conflict markers
+			if (scanConflictHunksInFile(filename, edited).conflictInfos.length > 0) {
+				position++
+			}
+		} else if (answer === ANSWER_UNDO) {
+			// only resolutions of this session are undone, through the journal
+			const last = undoStack[undoStack.length - 1]
+			if (!last) {
+				write("Nothing to undo\n")
+				continue
+			}
+			const undone = undoOperation(getJournalScope(path.dirname(files[last.fileIdx])))
+			if (undone.error) {
+				write(`Cannot undo: ${undone.error}\n`)
+				continue
+			}
+			undoStack.pop()
+			fileIdx = last.fileIdx
+			position = last.position
+			stats.applied--
+			write(`Undone last resolution in ${files[last.fileIdx]}\n`)
+		} else if (answer === ANSWER_SKIP) {
+			fileIdx++
+			position = 0
+		} else if (answer === ANSWER_QUIT) {
+			break
+		} else {
+			write(PROMPT_HELP_TEXT)
+		}
+	}
+
+	write(`Applied ${stats.applied} resolution(s), left ${stats.declined} conflict(s) as is\n`)
+
+	return stats
+}
+
+function formatHunkPreview(filename, fileContent, conflictInfo, result, position, total) {
+	const lines = fileContent.split("\n")
+	const before = lines.slice(Math.max(0, conflictInfo.startLine - CONTEXT_LINES), conflictInfo.startLine)
+	const after = lines.slice(conflictInfo.endLine + 1, conflictInfo.endLine + 1 + CONTEXT_LINES)
+
+	const preview = [
+		`--- ${filename} (conflict ${position + 1}/${total}, lines ${conflictInfo.startLine + 1}-${conflictInfo.endLine + 1}) ---`,
+		...before,
+		conflictInfo.hunkText.replace(/\n$/, ""),
+		...after,
+	]
+
+	if (result.resolved) {
+		preview.push(`--- resolution (${result.rule}, ${result.verdict}) ---`, ...before, result.content.replace(/\n$/, ""), ...after)
+	} else {
+		preview.push(`--- cannot be resolved automatically: ${result.reason} ---`)
+	}
+
+	return preview.join("\n") + "\n" + formatVerdictDetails(result)
+}
+
+function editInEditor(editor, content) {
+	const randomHex = crypto.randomBytes(8).toString("hex")
+	const tempFile = path.join(os.tmpdir(), `${TEMP_FILE_PREFIX}.edit.${randomHex}.txt`)
+
+	try {
+		fs.writeFileSync(tempFile, content)
+
+		// $EDITOR may contain arguments, e.g. "code --wait"
+		const result = spawnSync("sh", ["-c", `${editor} "$1"`, "sh", tempFile], { stdio: "inherit" })
+		if (result.status !== 0) {
+			return null
+		}
+
+		return decodeText(fs.readFileSync(tempFile, "utf-8")).text
+	} finally {
+		if (fs.existsSync(tempFile)) {
+			fs.unlinkSync(tempFile)
+		}
+	}
+}
+
+// Read a single line from a file descriptor without consuming anything past it,
+// so that the editor & later prompts see the rest of the input.
+// Returns null at end of input.
+function readLineSync(fd) {
+	const buffer = Buffer.alloc(1)
+	const bytes = []
+	let inputFd = blockingFds.get(fd) || fd
+
+	for (;;) {
+		let bytesRead
+		try {
+			bytesRead = fs.readSync(inputFd, buffer, 0, 1, null)
+		} catch (error) {
+			if (error.code === "EAGAIN") {
+				// non-blocking input (e.g. stdin once node has opened it as a stream) -- wait for it
+				// on a blocking descriptor of the same input, or sleep in between if there is none
+				if (inputFd === fd && reopenBlocking(fd) !== null) {
+					inputFd = blockingFds.get(fd)
+				} else {
+					Atomics.wait(SLEEP_BUFFER, 0, 0, INPUT_POLL_DELAY)
+				}
+				continue
+			}
+			if (error.code === "EOF") {
+				bytesRead = 0
+			} else {
+				throw error
+			}
+		}
+
+		if (bytesRead === 0) {
+			return bytes.length > 0 ? Buffer.from(bytes).toString("utf-8") : null
+		}
+
+		if (buffer[0] === 0x0a) {
+			return Buffer.from(bytes).toString("utf-8")
+		}
+
+		bytes.push(buffer[0])
+	}
+}
+
+// Open the input of `fd` again, as a new blocking file description of its own.
+// Returns null if it cannot be (e.g. a socket, or no /proc)
+function reopenBlocking(fd) {
+	if (!blockingFds.has(fd)) {
+		try {
+			blockingFds.set(fd, fs.openSync(`/proc/self/fd/${fd}`, "r"))
+		} catch (error) {
+			blockingFds.set(fd, null)
+		}
+	}
+	return blockingFds.get(fd)
+}
+
+module.exports = {
+	handleInteractive,
+	runInteractive,
+	formatHunkPreview,
+	editInEditor,
+	readLineSync,
+}
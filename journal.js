@@ -0,0 +1,167 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+const { getRepoRoot } = require("./git.js")
+const { CONFIG_DIR } = require("./config.js")
+const { toLines, fromLines } = require("./diff.js")
+const { merge3, REGION_CONFLICT } = require("./merge3.js")
+const { decodeText, encodeText, mergeFormats } = require("./text.js")
+const { decodeBuffer, encodeString, ENCODING_UTF8 } = require("./encoding.js")
+
+const JOURNAL_DIR = path.join(CONFIG_DIR, "journal")
+const MAX_JOURNAL_ENTRIES = 100
+
+const DIRECTION_UNDO = "undo"
+const DIRECTION_REDO = "redo"
+
+// Operations are journaled per repository, or per directory for files outside of one
+function getJournalScope(dir = process.cwd()) {
+	try {
+		return getRepoRoot(dir)
+	} catch (error) {
+		return path.resolve(dir)
+	}
+}
+
+function getJournalFile(scope) {
+	const hash = crypto.createHash("sha1").update(scope).digest("hex")
+	return path.join(JOURNAL_DIR, `${hash}.json`)
+}
+
+function hashContent(content) {
+	return crypto.createHash("sha256").update(content).digest("hex")
+}
+
+function readJournal(scope) {
+	const journalFile = getJournalFile(scope)
+	if (!fs.existsSync(journalFile)) {
+		return { scope, undo: [], redo: [] }
+	}
+	return JSON.parse(fs.readFileSync(journalFile, "utf-8"))
+}
+
+function writeJournal(journal) {
+	fs.mkdirSync(JOURNAL_DIR, { recursive: true })
+	fs.writeFileSync(getJournalFile(journal.scope), JSON.stringify(journal, null, 2))
+}
+
+// `before` & `after` are the decoded contents, written back in `encoding` (see encoding.js)
+function createChange(filepath, before, after, encoding = ENCODING_UTF8) {
+	return {
+		filepath: path.resolve(filepath),
+		before,
+		after,
+		beforeHash: hashContent(before),
+		afterHash: hashContent(after),
+		encoding,
+	}
+}
+
+// Record an operation that changed the files from `before` to `after`.
+// All changes of one operation are undone and redone together
+function recordOperation(description, changes) {
+	if (changes.length === 0) {
+		return
+	}
+
+	const files = changes.map(({ filepath, before, after, encoding }) => createChange(filepath, before, after, encoding))
+	const journal = readJournal(getJournalScope(path.dirname(files[0].filepath)))
+
+	journal.undo.push({ description, timestamp: new Date().toISOString(), files })
+	journal.undo = journal.undo.slice(-MAX_JOURNAL_ENTRIES)
+	journal.redo = []
+
+	writeJournal(journal)
+}
+
+function undoOperation(scope) {
+	return stepOperation(scope, DIRECTION_UNDO)
+}
+
+function redoOperation(scope) {
+	return stepOperation(scope, DIRECTION_REDO)
+}
+
+// Move the files of the last undone/redone operation to the other side of the change.
+// A file that was edited since is reconciled with a 3-way merge, and nothing is
+// written if any of them cannot be reconciled.
+// Returns { description, files: [{ filepath, reconciled }] } or { error }
+function stepOperation(scope, direction) {
+	const journal = readJournal(scope)
+	const [fromStack, toStack] = direction === DIRECTION_UNDO ? [journal.undo, journal.redo] : [journal.redo, journal.undo]
+
+	const entry = fromStack[fromStack.length - 1]
+	if (!entry) {
+		return { error: `Nothing to ${direction}` }
+	}
+
+	const steps = []
+	for (const file of entry.files) {
+		const [expected, expectedHash, target] = direction === DIRECTION_UNDO
+			? [file.after, file.afterHash, file.before]
+			: [file.before, file.beforeHash, file.after]
+
+		if (!fs.existsSync(file.filepath)) {
+			return { error: `File not found: ${file.filepath}` }
+		}
+
+		// entries journaled before encodings were recorded are UTF-8
+		const encoding = file.encoding || ENCODING_UTF8
+		const current = decodeBuffer(fs.readFileSync(file.filepath), encoding)
+		if (hashContent(current) === expectedHash) {
+			steps.push({ filepath: file.filepath, current, content: target, encoding, reconciled: false })
+			continue
+		}
+
+		const content = reconcile(expected, current, target)
+		if (content === null) {
+			return { error: `${file.filepath} has changed since the operation was applied, and the changes overlap with it` }
+		}
+		steps.push({ filepath: file.filepath, current, content, encoding, reconciled: true })
+	}
+
+	for (const { filepath, content, encoding } of steps) {
+		fs.writeFileSync(filepath, encodeString(content, encoding))
+	}
+
+	fromStack.pop()
+	toStack.push({
+		description: entry.description,
+		timestamp: entry.timestamp,
+		files: steps.map(({ filepath, current, content, encoding }) => direction === DIRECTION_UNDO
+			? createChange(filepath, content, current, encoding)
+			: createChange(filepath, current, content, encoding)),
+	})
+	writeJournal(journal)
+
+	return {
+		description: entry.description,
+		files: steps.map(({ filepath, reconciled }) => ({ filepath, reconciled })),
+	}
+}
+
+// Apply the expected -> target change onto the current content,
+// or null if it overlaps with the edits made since
+function reconcile(expected, current, target) {
+	const [base, ours, theirs] = [expected, current, target].map(decodeText)
+	const regions = merge3(toLines(base.text), toLines(ours.text), toLines(theirs.text))
+
+	if (regions.some(region => region.type === REGION_CONFLICT)) {
+		return null
+	}
+
+	return encodeText(fromLines(regions.flatMap(region => region.lines)), mergeFormats(base.format, ours.format, theirs.format))
+}
+
+module.exports = {
+	getJournalScope,
+	getJournalFile,
+	hashContent,
+	readJournal,
+	recordOperation,
+	undoOperation,
+	redoOperation,
+	JOURNAL_DIR,
+	MAX_JOURNAL_ENTRIES,
+}
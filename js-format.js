@@ -0,0 +1,297 @@
+// JavaScript & TypeScript sources as trees for semantic.js, parsed by @babel/parser.
+// The statements of a file, the members of classes & interfaces, the properties of objects, and the names
+// that an import or export lists are mappings, keyed by what they declare -- everything else is a scalar of its source.
+// Nodes are made of their source text, with the comments & whitespace before them, so that printing a parsed tree
+// gives back the source as it was
+
+const { NODE_MAPPING, NODE_SCALAR } = require("./json-format.js")
+
+const PARSER_OPTIONS = {
+	sourceType: "unambiguous",
+	tokens: true,
+	allowReturnOutsideFunction: true,
+	allowUndeclaredExports: true,
+}
+
+// Returns { root }. Throws a SyntaxError if the source does not parse with the @babel/parser `plugins`
+function parseJs(text, plugins) {
+	// required here, so that the other commands work without the dependencies installed
+	const { parse } = require("@babel/parser")
+	const { program, tokens } = parse(text, { ...PARSER_OPTIONS, plugins })
+	const context = { text, tokens }
+
+	// the comments before the first statement stay at the top, like the hashbang
+	const children = [...program.directives, ...program.body]
+	const start = children.length > 0 ? children[0].start : 0
+	const root = buildMapping(context, { start: 0, open: start, close: text.length, end: text.length }, children, "")
+
+	if (root.canonical !== text) {
+		throw new SyntaxError("unsupported source")
+	}
+
+	return { root }
+}
+
+// A mapping of `children`, each with the text after the one before it (and the separator between them),
+// where [start, open) is its head and [close, end) its tail
+function buildMapping(context, { start, open, close, end }, children, separator) {
+	const { text } = context
+	const keys = getKeys(context, children)
+	const names = children.map(child => getName(context, child))
+
+	let cursor = open
+	const entries = children.map((child, idx) => {
+		const next = children[idx + 1]
+		let childEnd = child.end
+		let nextStart = child.end
+		if (next && separator) {
+			const token = findToken(context, separator, child.end, next.start)
+			if (!token) {
+				throw new SyntaxError(`expected "${separator}" at line ${child.loc.end.line}`)
+			}
+			childEnd = token.start
+			nextStart = token.end
+		}
+
+		const node = buildNode(context, child, cursor, childEnd)
+		cursor = nextStart
+		return { key: keys[idx], name: names[idx], node }
+	})
+
+	return makeMapping(entries, {
+		head: text.slice(start, open),
+		trailing: text.slice(children.length > 0 ? cursor : open, close),
+		tail: text.slice(close, end),
+		separator,
+	})
+}
+
+// The node of `child`, whose text is [start, end)
+function buildNode(context, child, start, end) {
+	const container = findContainer(context, child)
+	if (!container) {
+		const text = context.text.slice(start, end)
+		return { type: NODE_SCALAR, text, canonical: text }
+	}
+
+	const { children, open, close, separator } = container
+	return buildMapping(context, { start, open, close, end }, children, separator)
+}
+
+// The list within `node` that is merged key by key: { children, open, close, separator }, or null
+function findContainer(context, node) {
+	switch (node.type) {
+		case "ObjectExpression":
+		case "ObjectPattern":
+			return context.text[node.end - 1] === "}" ? withBraces(node, node.properties, ",") : null
+		case "ClassDeclaration":
+		case "ClassExpression":
+		case "TSInterfaceDeclaration":
+			return withBraces(node.body, node.body.body, "")
+		case "ImportDeclaration":
+		case "ExportNamedDeclaration":
+			if (node.declaration) {
+				return findContainer(context, node.declaration)
+			}
+			return findSpecifiers(context, node)
+		case "ExportDefaultDeclaration":
+			return findContainer(context, node.declaration)
+		case "VariableDeclaration": {
+			if (node.declarations.length !== 1) {
+				return null
+			}
+			const [{ id, init }] = node.declarations
+			return (init && findContainer(context, init)) || (id.type === "ObjectPattern" ? findContainer(context, id) : null)
+		}
+		case "ExpressionStatement":
+			return node.expression.type === "AssignmentExpression" ? findContainer(context, node.expression.right) : null
+		case "ObjectProperty":
+		case "ClassProperty":
+		case "ClassPrivateProperty":
+			return node.value ? findContainer(context, node.value) : null
+		case "CallExpression":
+			// e.g. `export default defineConfig({ ... })`
+			return node.arguments.length === 1 ? findContainer(context, node.arguments[0]) : null
+		case "TSAsExpression":
+		case "TSSatisfiesExpression":
+			return findContainer(context, node.expression)
+		default:
+			return null
+	}
+}
+
+function withBraces(node, children, separator) {
+	return { children, open: node.start + 1, close: node.end - 1, separator }
+}
+
+// The `{ ... }` of an import or export
+function findSpecifiers(context, node) {
+	const specifiers = node.specifiers.filter(specifier => specifier.type === "ImportSpecifier" || specifier.type === "ExportSpecifier")
+	if (specifiers.length === 0) {
+		return null
+	}
+
+	const open = findToken(context, "{", node.start, specifiers[0].start)
+	const close = findToken(context, "}", specifiers[specifiers.length - 1].end, node.end)
+	return open && close ? { children: specifiers, open: open.end, close: close.start, separator: "," } : null
+}
+
+// The first token of `label` (e.g. ",") within [from, to), or null
+function findToken({ tokens }, label, from, to) {
+	let low = 0
+	let high = tokens.length
+	while (low < high) {
+		const mid = (low + high) >> 1
+		if (tokens[mid].start < from) {
+			low = mid + 1
+		} else {
+			high = mid
+		}
+	}
+
+	for (let idx = low; idx < tokens.length && tokens[idx].start < to; idx++) {
+		if (tokens[idx].type.label === label) {
+			return tokens[idx]
+		}
+	}
+	return null
+}
+
+// What each child declares, e.g. `function main`, `import "react"` or a property name.
+// Children that declare nothing (e.g. `main()`, their `name` is null) are keyed by their source,
+// and keys that occur more than once (e.g. overloads) by their occurrence -- see mergeMappings in semantic.js
+function getKeys(context, children) {
+	const counts = new Map()
+
+	return children.map(child => {
+		const name = getName(context, child)
+		const key = name === null ? context.text.slice(child.start, child.end) : name
+
+		const count = (counts.get(key) || 0) + 1
+		counts.set(key, count)
+		return count === 1 ? key : `${key} #${count}`
+	})
+}
+
+function getName(context, node) {
+	const source = child => context.text.slice(child.start, child.end)
+
+	switch (node.type) {
+		case "Directive":
+			return source(node.value)
+		case "ImportDeclaration":
+			return `import ${node.importKind === "type" ? "type " : ""}${source(node.source)}`
+		case "ExportNamedDeclaration":
+			if (node.declaration) {
+				const name = getName(context, node.declaration)
+				return name === null ? null : `export ${name}`
+			}
+			return node.source ? `export from ${source(node.source)}` : "export"
+		case "ExportDefaultDeclaration":
+			return "export default"
+		case "ExportAllDeclaration":
+			return `export * from ${source(node.source)}`
+		case "FunctionDeclaration":
+		case "TSDeclareFunction":
+			return node.id ? `function ${node.id.name}` : null
+		case "ClassDeclaration":
+			return node.id ? `class ${node.id.name}` : null
+		case "TSInterfaceDeclaration":
+			return `interface ${node.id.name}`
+		case "TSTypeAliasDeclaration":
+			return `type ${node.id.name}`
+		case "TSEnumDeclaration":
+			return `enum ${node.id.name}`
+		case "TSModuleDeclaration":
+			return `namespace ${source(node.id)}`
+		case "VariableDeclaration": {
+			const [declaration] = node.declarations
+			if (node.declarations.length === 1 && declaration.id.type !== "Identifier") {
+				// e.g. `const { a, b } = require("x")`
+				return declaration.init ? `${node.kind} ... = ${source(declaration.init)}` : null
+			}
+			return `${node.kind} ${node.declarations.map(({ id }) => source(id)).join(", ")}`
+		}
+		case "ExpressionStatement":
+			return node.expression.type === "AssignmentExpression" ? source(node.expression.left) : null
+		case "ImportSpecifier":
+			return source(node.local)
+		case "ExportSpecifier":
+			return source(node.exported)
+		case "SpreadElement":
+		case "RestElement":
+			return source(node)
+		case "ObjectProperty":
+		case "ObjectMethod":
+		case "ClassProperty":
+		case "ClassPrivateProperty":
+		case "ClassAccessorProperty":
+		case "ClassMethod":
+		case "ClassPrivateMethod":
+		case "TSDeclareMethod":
+		case "TSPropertySignature":
+		case "TSMethodSignature": {
+			const key = node.computed ? `[${source(node.key)}]` : getPropertyName(node.key)
+			const kind = node.kind === "get" || node.kind === "set" ? `${node.kind} ` : ""
+			return `${node.static ? "static " : ""}${kind}${key}`
+		}
+		default:
+			return null
+	}
+}
+
+function getPropertyName(key) {
+	switch (key.type) {
+		case "Identifier":
+			return key.name
+		case "PrivateName":
+			return `#${key.id.name}`
+		default:
+			return String(key.value)
+	}
+}
+
+// `attributes` are { head, trailing, tail, separator }, see buildMapping.
+// Statements & members that would end up on the line of the one before them go on a line of their own
+function createMapping(entries, attributes) {
+	if (attributes.separator !== "") {
+		return makeMapping(entries, attributes)
+	}
+
+	return makeMapping(entries.map((entry, idx) => idx === 0 || /^\s/.test(entry.node.canonical) ? entry : { ...entry, node: withLineBreak(entry.node) }), attributes)
+}
+
+function withLineBreak(node) {
+	if (node.type === NODE_SCALAR) {
+		return { ...node, text: "\n" + node.text, canonical: "\n" + node.canonical }
+	}
+	return makeMapping(node.entries, { ...node, head: "\n" + node.head })
+}
+
+// The canonical form of a mapping is its source
+function makeMapping(entries, { head, trailing, tail, separator }) {
+	return {
+		type: NODE_MAPPING,
+		entries,
+		head,
+		trailing,
+		tail,
+		separator,
+		canonical: head + entries.map(entry => entry.node.canonical).join(separator) + trailing + tail,
+	}
+}
+
+function getAttributes(node) {
+	return node.type === NODE_MAPPING ? JSON.stringify([node.head, node.trailing, node.tail, node.separator]) : ""
+}
+
+function printJs(document, root) {
+	return root.canonical
+}
+
+module.exports = {
+	parseJs,
+	printJs,
+	createMapping,
+	getAttributes,
+}
@@ -0,0 +1,198 @@
+// JSON documents as trees for semantic.js.
+// Parsed nodes keep their source text (`raw`), so that unchanged values are printed back as they were --
+// only mappings & sequences built by a merge are printed anew: on one line if the one they were merged into was
+// (see `inline`), otherwise in the document's indentation.
+
+const NODE_MAPPING = "mapping"
+const NODE_SEQUENCE = "sequence"
+const NODE_SCALAR = "scalar"
+
+const STRING_REGEX = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y
+const NUMBER_REGEX = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y
+const LITERAL_REGEX = /true|false|null/y
+const WHITESPACE_REGEX = /[ \t\n\r]*/y
+
+// Returns { root, prefix, suffix, style }, where `prefix` & `suffix` are the whitespace around the root value.
+// Throws a SyntaxError for invalid JSON, and for duplicate keys (which a key-wise merge cannot tell apart)
+function parseJson(text) {
+	let position = 0
+
+	const fail = message => {
+		const line = text.slice(0, position).split("\n").length
+		throw new SyntaxError(`${message} at line ${line}`)
+	}
+
+	const skipWhitespace = () => {
+		WHITESPACE_REGEX.lastIndex = position
+		WHITESPACE_REGEX.exec(text)
+		position = WHITESPACE_REGEX.lastIndex
+	}
+
+	const match = regex => {
+		regex.lastIndex = position
+		const result = regex.exec(text)
+		if (!result) {
+			return null
+		}
+		position = regex.lastIndex
+		return result[0]
+	}
+
+	const expect = char => {
+		if (text[position] !== char) {
+			fail(`expected ${JSON.stringify(char)}`)
+		}
+		position++
+	}
+
+	const parseValue = () => {
+		const start = position
+		const char = text[position]
+
+		if (char === "{") {
+			position++
+			skipWhitespace()
+			const padding = text.slice(start + 1, position)
+			let separator = null
+			const entries = []
+			while (text[position] !== "}") {
+				if (entries.length > 0) {
+					const comma = position
+					expect(",")
+					skipWhitespace()
+					separator = separator || text.slice(comma, position)
+				}
+				const keyRaw = match(STRING_REGEX)
+				if (keyRaw === null) {
+					fail("expected a key")
+				}
+				const key = JSON.parse(keyRaw)
+				if (entries.some(entry => entry.key === key)) {
+					fail(`duplicate key ${keyRaw}`)
+				}
+				skipWhitespace()
+				expect(":")
+				skipWhitespace()
+				entries.push({ key, keyRaw, node: parseValue() })
+				skipWhitespace()
+			}
+			position++
+			const raw = text.slice(start, position)
+			return { ...createMapping(entries), raw, ...getInlineLayout(raw, entries, padding, separator) }
+		}
+
+		if (char === "[") {
+			position++
+			skipWhitespace()
+			const padding = text.slice(start + 1, position)
+			let separator = null
+			const items = []
+			while (text[position] !== "]") {
+				if (items.length > 0) {
+					const comma = position
+					expect(",")
+					skipWhitespace()
+					separator = separator || text.slice(comma, position)
+				}
+				items.push(parseValue())
+				skipWhitespace()
+			}
+			position++
+			const raw = text.slice(start, position)
+			return { ...createSequence(items), raw, ...getInlineLayout(raw, items, padding, separator) }
+		}
+
+		const raw = match(STRING_REGEX) || match(NUMBER_REGEX) || match(LITERAL_REGEX)
+		if (raw === null) {
+			fail(position >= text.length ? "unexpected end of input" : `unexpected ${JSON.stringify(char)}`)
+		}
+		return { type: NODE_SCALAR, raw, canonical: JSON.stringify(JSON.parse(raw)) }
+	}
+
+	skipWhitespace()
+	const prefix = text.slice(0, position)
+	const root = parseValue()
+	const end = position
+	skipWhitespace()
+	if (position < text.length) {
+		fail(`unexpected ${JSON.stringify(text[position])}`)
+	}
+
+	return { root, prefix, suffix: text.slice(end), style: detectStyle(text) }
+}
+
+// The indentation of one level, and what goes between keys & values
+function detectStyle(text) {
+	const indent = text.match(/^[{[][ \t]*\n([ \t]+)\S/m)
+	const colon = text.match(/"[ \t]*:([ \t]*)/)
+
+	return {
+		indent: indent ? indent[1] : "\t",
+		colon: colon ? ":" + colon[1] : ": ",
+	}
+}
+
+// `inline` is the padding inside the brackets & the separator between the children of a mapping or sequence
+// written on one line -- empty ones tell nothing, and are printed like the rest of the document
+function getInlineLayout(raw, children, padding, separator) {
+	if (children.length === 0 || raw.includes("\n")) {
+		return {}
+	}
+	return { inline: { padding, separator: separator || ", " } }
+}
+
+// `template` is the node the merge keeps the layout of
+function createMapping(entries, template) {
+	return {
+		type: NODE_MAPPING,
+		entries,
+		canonical: `{${entries.map(entry => JSON.stringify(entry.key) + ":" + entry.node.canonical).join(",")}}`,
+		...(template && template.inline ? { inline: template.inline } : {}),
+	}
+}
+
+function createSequence(items, template) {
+	return {
+		type: NODE_SEQUENCE,
+		items,
+		canonical: `[${items.map(item => item.canonical).join(",")}]`,
+		...(template && template.inline ? { inline: template.inline } : {}),
+	}
+}
+
+// Print `root` as `document` (see parseJson) would have it
+function printJson(document, root) {
+	return document.prefix + printNode(root, document.style, 0) + document.suffix
+}
+
+function printNode(node, style, depth) {
+	if (node.raw !== undefined) {
+		return node.raw
+	}
+
+	const children = node.type === NODE_MAPPING
+		? node.entries.map(entry => entry.keyRaw + style.colon + printNode(entry.node, style, depth + 1))
+		: node.items.map(item => printNode(item, style, depth + 1))
+	const [open, close] = node.type === NODE_MAPPING ? ["{", "}"] : ["[", "]"]
+
+	if (children.length === 0) {
+		return open + close
+	}
+	if (node.inline) {
+		const { padding, separator } = node.inline
+		return open + padding + children.join(separator) + padding + close
+	}
+
+	const inner = style.indent.repeat(depth + 1)
+	return `${open}\n${children.map(child => inner + child).join(",\n")}\n${style.indent.repeat(depth)}${close}`
+}
+
+module.exports = {
+	parseJson,
+	printJson,
+	createMapping,
+	createSequence,
+	NODE_MAPPING,
+	NODE_SEQUENCE,
+	NODE_SCALAR,
+}
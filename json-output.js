@@ -0,0 +1,50 @@
+// Machine-readable output of `hunk --json` & `resolve --json`.
+// Bump JSON_SCHEMA_VERSION on any change that is not a pure addition.
+const JSON_SCHEMA_VERSION = 1
+
+// `files` are { file, hunks: [{ result, applied }], errors, ...extra fields },
+// where `result` is one of resolveAllHunks' results, and `errors` come from scanConflictHunks
+function formatJsonOutput(command, files) {
+	const output = {
+		version: JSON_SCHEMA_VERSION,
+		command,
+		files: files.map(({ file, hunks, errors = [], ...extra }) => ({
+			file,
+			...extra,
+			hunks: hunks.map(({ result, applied }, index) => formatJsonHunk(result, index, applied)),
+			errors: errors.map(({ line, message }) => ({ line, message })),
+		})),
+	}
+
+	return JSON.stringify(output, null, 2) + "\n"
+}
+
+// Line numbers are 1-based and inclusive, sections & resolution are null when unknown
+function formatJsonHunk(result, index, applied) {
+	const { conflictInfo, sections } = result
+
+	return {
+		index,
+		startLine: conflictInfo.startLine + 1,
+		endLine: conflictInfo.endLine + 1,
+		sections: sections
+			? { newOld: sections.newOld, old: sections.old, new: sections.new }
+			: null,
+		resolution: result.content === undefined ? null : result.content,
+		strategy: result.rule || null,
+		confidence: result.verdict || null,
+		resolved: result.resolved,
+		applied,
+		reason: result.reason || null,
+		unmatchedRemovals: result.unmatchedRemovals || [],
+		ambiguousMatches: result.ambiguousMatches || [],
+		contextNotFound: result.contextNotFound || [],
+		wordMerges: result.wordMerges || [],
+	}
+}
+
+module.exports = {
+	formatJsonOutput,
+	formatJsonHunk,
+	JSON_SCHEMA_VERSION,
+}
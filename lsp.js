@@ -0,0 +1,394 @@
+const fs = require("fs")
+const { fileURLToPath } = require("url")
+
+const { scanConflictHunks, scanConflictHunksInFile, resolveAllHunks } = require("./hunk.js")
+const { VERDICT_FUZZY } = require("./strategies.js")
+const { decodeText, encodeText } = require("./text.js")
+
+const SERVER_NAME = "git-conflict-resolver"
+const HEADER_SEPARATOR = "\r\n\r\n"
+
+// https://microsoft.github.io/language-server-protocol/specifications/lsp/3.17/specification/
+const TEXT_DOCUMENT_SYNC_FULL = 1
+const SEVERITY_ERROR = 1
+const SEVERITY_WARNING = 2
+const SEVERITY_INFORMATION = 3
+const CODE_ACTION_QUICKFIX = "quickfix"
+const CODE_ACTION_FIX_ALL = "source.fixAll"
+// changes are analyzed once the client stopped sending them for this long (ms), or when an action is requested
+const CHANGE_DELAY = 150
+
+const ERROR_PARSE = -32700
+const ERROR_INVALID_REQUEST = -32600
+const ERROR_METHOD_NOT_FOUND = -32601
+const ERROR_SERVER_NOT_INITIALIZED = -32002
+
+const LSP_HELP_TEXT = `\
+usage: lsp [--stdio] [-h|--help]
+
+Language server over stdio: reports every conflict in the open documents as a diagnostic,
+saying whether it can be resolved, and offers code actions that resolve them.
+Everything runs locally, nothing is sent anywhere.
+
+Setup (Neovim):
+    vim.lsp.start({ name = "git-conflict-resolver", cmd = { "git-conflict-resolver", "lsp" } })
+`
+
+function handleLspCommand(argv) {
+	if (argv.includes("-h") || argv.includes("--help")) {
+		console.log(LSP_HELP_TEXT)
+		process.exit(0)
+	}
+
+	const unexpected = argv.find(arg => arg !== "--stdio")
+	if (unexpected) {
+		console.error(`Error: unexpected argument: ${unexpected}`)
+		console.log(LSP_HELP_TEXT)
+		process.exit(1)
+	}
+
+	const server = createServer({
+		send: message => process.stdout.write(formatMessage(message)),
+		exit: code => process.exit(code),
+	})
+
+	process.stdin.on("data", createMessageReader(server.handleMessage, server.handleParseError))
+	// the client went away without asking us to exit
+	process.stdin.on("end", () => process.exit(1))
+}
+
+function formatMessage(message) {
+	const body = JSON.stringify(message)
+	return `Content-Length: ${Buffer.byteLength(body, "utf-8")}${HEADER_SEPARATOR}${body}`
+}
+
+// Returns a function to feed chunks of the stream to, calling `onMessage` for each complete message.
+// Content-Length counts bytes, so chunks are kept as buffers until a whole message is in
+function createMessageReader(onMessage, onError) {
+	let buffer = Buffer.alloc(0)
+
+	return chunk => {
+		buffer = Buffer.concat([buffer, Buffer.from(chunk)])
+
+		for (;;) {
+			const headerEnd = buffer.indexOf(HEADER_SEPARATOR)
+			if (headerEnd === -1) {
+				return
+			}
+
+			const headers = buffer.slice(0, headerEnd).toString("ascii")
+			const match = headers.match(/^Content-Length: *(\d+)$/im)
+			if (!match) {
+				// nothing to recover the message boundaries from
+				buffer = buffer.slice(headerEnd + HEADER_SEPARATOR.length)
+				onError(new Error("missing Content-Length header"))
+				continue
+			}
+
+			const bodyStart = headerEnd + HEADER_SEPARATOR.length
+			const bodyEnd = bodyStart + Number(match[1])
+			if (buffer.length < bodyEnd) {
+				return
+			}
+
+			const body = buffer.slice(bodyStart, bodyEnd).toString("utf-8")
+			buffer = buffer.slice(bodyEnd)
+
+			let message
+			try {
+				message = JSON.parse(body)
+			} catch (error) {
+				onError(error)
+				continue
+			}
+			onMessage(message)
+		}
+	}
+}
+
+// The protocol state: open documents, and whether the client initialized & shut down the server.
+// `send` writes a message to the client, `exit` ends the process, `log` reports errors there is no response to
+function createServer({ send, exit, log = message => console.error(message), changeDelay = CHANGE_DELAY }) {
+	const documents = new Map()
+	// uri -> { timer, text, version } of the changes not analyzed yet
+	const pendingChanges = new Map()
+	let initialized = false
+	let shutdown = false
+
+	const respond = (id, result) => send({ jsonrpc: "2.0", id, result })
+	const respondError = (id, code, message) => send({ jsonrpc: "2.0", id, error: { code, message } })
+
+	// notifications & timers have no response to carry an error, and an exception would end the server
+	const runLoggingErrors = (what, fn) => {
+		try {
+			fn()
+		} catch (error) {
+			log(`Error: ${what}: ${error.message}`)
+		}
+	}
+
+	const publishDiagnostics = uri => {
+		const document = documents.get(uri)
+		send({
+			jsonrpc: "2.0",
+			method: "textDocument/publishDiagnostics",
+			params: {
+				uri,
+				version: document ? document.version : undefined,
+				diagnostics: document ? getDiagnostics(document) : [],
+			},
+		})
+	}
+
+	const openDocument = (uri, text, version) => {
+		cancelChange(uri)
+		documents.set(uri, analyzeDocument(uri, text, version))
+		publishDiagnostics(uri)
+	}
+
+	const changeDocument = (uri, text, version) => {
+		cancelChange(uri)
+		const timer = setTimeout(() => runLoggingErrors(`analyzing ${uri}`, () => flushChange(uri)), changeDelay)
+		pendingChanges.set(uri, { timer, text, version })
+	}
+
+	const flushChange = uri => {
+		const change = pendingChanges.get(uri)
+		if (change) {
+			openDocument(uri, change.text, change.version)
+		}
+	}
+
+	const cancelChange = uri => {
+		const change = pendingChanges.get(uri)
+		if (change) {
+			clearTimeout(change.timer)
+			pendingChanges.delete(uri)
+		}
+	}
+
+	const requests = {
+		"initialize": () => {
+			initialized = true
+			return {
+				capabilities: {
+					textDocumentSync: { openClose: true, change: TEXT_DOCUMENT_SYNC_FULL },
+					codeActionProvider: { codeActionKinds: [CODE_ACTION_QUICKFIX, CODE_ACTION_FIX_ALL] },
+				},
+				serverInfo: { name: SERVER_NAME },
+			}
+		},
+		"shutdown": () => {
+			shutdown = true
+			return null
+		},
+		"textDocument/codeAction": params => {
+			flushChange(params.textDocument.uri)
+			const document = documents.get(params.textDocument.uri)
+			return document ? getCodeActions(document, params.range, params.context) : []
+		},
+	}
+
+	const notifications = {
+		"initialized": () => {},
+		"textDocument/didOpen": params => {
+			openDocument(params.textDocument.uri, params.textDocument.text, params.textDocument.version)
+		},
+		"textDocument/didChange": params => {
+			// full sync, the last change has the whole text
+			const changes = params.contentChanges
+			changeDocument(params.textDocument.uri, changes[changes.length - 1].text, params.textDocument.version)
+		},
+		"textDocument/didClose": params => {
+			cancelChange(params.textDocument.uri)
+			documents.delete(params.textDocument.uri)
+			publishDiagnostics(params.textDocument.uri)
+		},
+	}
+
+	const handleMessage = message => {
+		const isRequest = message.id !== undefined && message.id !== null
+		if (typeof message.method !== "string") {
+			// responses to requests we never sent, or garbage
+			if (isRequest && message.result === undefined && message.error === undefined) {
+				respondError(message.id, ERROR_INVALID_REQUEST, "missing method")
+			}
+			return
+		}
+
+		if (!isRequest) {
+			const handler = notifications[message.method]
+			if (message.method === "exit") {
+				pendingChanges.forEach((change, uri) => cancelChange(uri))
+				exit(shutdown ? 0 : 1)
+			} else if (handler && initialized && !shutdown) {
+				runLoggingErrors(message.method, () => handler(message.params || {}))
+			}
+			return
+		}
+
+		const handler = requests[message.method]
+		if (!handler) {
+			respondError(message.id, ERROR_METHOD_NOT_FOUND, `unhandled method ${message.method}`)
+		} else if (!initialized && message.method !== "initialize") {
+			respondError(message.id, ERROR_SERVER_NOT_INITIALIZED, "the server is not initialized")
+		} else if (shutdown) {
+			respondError(message.id, ERROR_INVALID_REQUEST, "the server is shut down")
+		} else {
+			try {
+				respond(message.id, handler(message.params || {}))
+			} catch (error) {
+				respondError(message.id, ERROR_INVALID_REQUEST, error.message)
+			}
+		}
+	}
+
+	const handleParseError = error => respondError(null, ERROR_PARSE, error.message)
+
+	return { handleMessage, handleParseError, documents }
+}
+
+// Resolve every conflict of the document once per change (see CHANGE_DELAY).
+// Files on disk have their `conflict-marker-size` attribute, config rules & index stages (for 2-way conflicts) taken into account.
+// Fuzzy resolutions are kept, to be offered as actions that are not preferred.
+// Lines of CRLF documents are counted the same, and the edits get their line endings
+function analyzeDocument(uri, content, version) {
+	const { text, format } = decodeText(content)
+	const filename = uriToPath(uri)
+	const { conflictInfos, errors } = filename
+		? scanConflictHunksInFile(filename, text)
+		: scanConflictHunks(text)
+
+	const { results } = conflictInfos.length === 0
+		? { results: [] }
+		: resolveAllHunks(conflictInfos, filename ? { filename, fileContent: text } : null, { allowFuzzy: true })
+
+	const lines = encodeText(text, { finalNewline: format.finalNewline }).split("\n")
+	return { uri, text: content, version, format, lines, results, errors }
+}
+
+function uriToPath(uri) {
+	if (!uri.startsWith("file:")) {
+		return null
+	}
+	const filename = fileURLToPath(uri)
+	return fs.existsSync(filename) ? filename : null
+}
+
+// The whole conflict, markers included
+function getHunkRange(document, conflictInfo) {
+	const endLine = conflictInfo.endLine
+	return {
+		start: { line: conflictInfo.startLine, character: 0 },
+		end: { line: endLine, character: document.lines[endLine].length },
+	}
+}
+
+function getDiagnostics(document) {
+	const diagnostics = document.results.map((result, idx) => {
+		const position = `conflict ${idx + 1} of ${document.results.length}`
+		const diagnostic = {
+			range: getHunkRange(document, result.conflictInfo),
+			source: SERVER_NAME,
+			data: { index: idx },
+		}
+
+		if (!result.resolved) {
+			return {
+				...diagnostic,
+				severity: SEVERITY_ERROR,
+				code: "unresolved",
+				message: `${position}: cannot be resolved automatically: ${result.reason}`,
+			}
+		}
+
+		return {
+			...diagnostic,
+			severity: result.verdict === VERDICT_FUZZY ? SEVERITY_WARNING : SEVERITY_INFORMATION,
+			code: result.verdict,
+			message: `${position}: can be resolved automatically (${result.rule}, ${result.verdict})`,
+		}
+	})
+
+	const markerErrors = document.errors.map(error => ({
+		range: {
+			start: { line: error.line - 1, character: 0 },
+			end: { line: error.line - 1, character: document.lines[error.line - 1].length },
+		},
+		severity: SEVERITY_ERROR,
+		source: SERVER_NAME,
+		code: "malformed",
+		message: error.message,
+	}))
+
+	return [...diagnostics, ...markerErrors]
+}
+
+// Replace the conflict, from its first marker to the end of its last one, with the resolution.
+// The newline after the last marker is kept, unless the resolution is empty
+function createHunkEdit(document, result) {
+	const range = getHunkRange(document, result.conflictInfo)
+	const newText = encodeText(result.content.replace(/\n$/, ""), { eol: document.format.eol })
+
+	if (result.content === "") {
+		const nextLine = result.conflictInfo.endLine + 1
+		range.end = nextLine < document.lines.length
+			? { line: nextLine, character: 0 }
+			: range.end
+	}
+
+	return { range, newText }
+}
+
+function rangesOverlap(a, b) {
+	const before = (x, y) => x.line < y.line || (x.line === y.line && x.character < y.character)
+	return !before(a.end, b.start) && !before(b.end, a.start)
+}
+
+// A quick fix for each resolvable conflict within `range`, clean ones preferred,
+// and one action for all clean resolutions of the document when there are several
+function getCodeActions(document, range, context = {}) {
+	const diagnostics = getDiagnostics(document)
+	const only = context.only || null
+	const wants = kind => !only || only.some(prefix => kind === prefix || kind.startsWith(`${prefix}.`))
+
+	const actions = []
+
+	if (wants(CODE_ACTION_QUICKFIX)) {
+		document.results.forEach((result, idx) => {
+			if (!result.resolved || !rangesOverlap(getHunkRange(document, result.conflictInfo), range)) {
+				return
+			}
+
+			const fuzzy = result.verdict === VERDICT_FUZZY
+			actions.push({
+				title: fuzzy ? "Resolve conflict automatically (fuzzy, review the result)" : "Resolve conflict automatically",
+				kind: CODE_ACTION_QUICKFIX,
+				diagnostics: [diagnostics[idx]],
+				isPreferred: !fuzzy,
+				edit: { changes: { [document.uri]: [createHunkEdit(document, result)] } },
+			})
+		})
+	}
+
+	const clean = document.results.filter(result => result.resolved && result.verdict !== VERDICT_FUZZY)
+	if (wants(CODE_ACTION_FIX_ALL) && clean.length > 1) {
+		actions.push({
+			title: `Resolve all ${clean.length} conflicts that resolve cleanly`,
+			kind: CODE_ACTION_FIX_ALL,
+			edit: { changes: { [document.uri]: clean.map(result => createHunkEdit(document, result)) } },
+		})
+	}
+
+	return actions
+}
+
+module.exports = {
+	handleLspCommand,
+	LSP_HELP_TEXT,
+	createServer,
+	createMessageReader,
+	formatMessage,
+	getDiagnostics,
+	getCodeActions,
+}
@@ -0,0 +1,83 @@
+const fs = require("fs")
+
+const { mergeAndResolve, readMergeInputs, writeMergeResult, EXIT_CODE_RESOLVED, EXIT_CODE_UNRESOLVED } = require("./mergetool.js")
+const { DEFAULT_MARKER_SIZE } = require("./conflict-markers.js")
+const { loadRulesFor } = require("./strategies.js")
+const { getFileFormat } = require("./semantic.js")
+
+const MIN_ARG_COUNT = 3
+
+const MERGE_DRIVER_HELP_TEXT = `\
+usage: merge-driver <BASE> <CURRENT> <OTHER> [MARKER_SIZE] [PATH]
+
+git merge driver: 3-way merge BASE (%O), CURRENT (%A) & OTHER (%B),
+resolve the conflicting regions by applying the BASE -> CURRENT delta to OTHER,
+and write the result to CURRENT.
+Regions that cannot be resolved are written with diff3 conflict markers of MARKER_SIZE (%L).
+
+Exits with 1 if any conflicts remain, so that git reports the path as conflicted.
+
+Setup:
+    git config merge.gcr.name "git-conflict-resolver"
+    git config merge.gcr.driver 'git-conflict-resolver merge-driver %O %A %B %L %P'
+    echo '* merge=gcr' >> .gitattributes
+`
+
+function handleMergeDriverCommand(argv) {
+	if (argv.includes("-h") || argv.includes("--help")) {
+		console.log(MERGE_DRIVER_HELP_TEXT)
+		process.exit(0)
+	}
+
+	if (argv.length < MIN_ARG_COUNT) {
+		console.error("Error: merge-driver command requires at least BASE, CURRENT and OTHER")
+		console.log(MERGE_DRIVER_HELP_TEXT)
+		process.exit(1)
+	}
+
+	const [baseFile, currentFile, otherFile, markerSizeArg, pathname = currentFile] = argv
+
+	const markerSize = markerSizeArg === undefined ? DEFAULT_MARKER_SIZE : Number(markerSizeArg)
+	if (!Number.isInteger(markerSize) || markerSize <= 0) {
+		console.error(`Error: Invalid marker size: ${markerSizeArg}`)
+		process.exit(1)
+	}
+
+	for (const file of [baseFile, currentFile, otherFile]) {
+		if (!fs.existsSync(file)) {
+			console.error(`Error: File not found: ${file}`)
+			process.exit(1)
+		}
+	}
+
+	// CURRENT is left as it is, which git reports as conflicted
+	const inputs = readMergeInputs(baseFile, currentFile, otherFile)
+	if (inputs.error) {
+		console.error(`git-conflict-resolver: ${pathname}: ${inputs.error}, refusing to merge it`)
+		process.exit(EXIT_CODE_UNRESOLVED)
+	}
+
+	const result = mergeAndResolve(
+		...inputs.contents,
+		// git runs merge drivers from the root of the repository
+		{ markerSize, labels: { ours: "ours", base: "base", theirs: "theirs" }, rules: loadRulesFor(pathname), format: getFileFormat(pathname) },
+	)
+
+	const written = writeMergeResult(currentFile, result.content, inputs.encoding)
+	if (written.error) {
+		console.error(`git-conflict-resolver: ${pathname}: ${written.error}`)
+		process.exit(EXIT_CODE_UNRESOLVED)
+	}
+
+	if (result.remaining > 0) {
+		console.error(`git-conflict-resolver: ${result.remaining} of ${result.resolved + result.remaining} conflicts left in ${pathname}`)
+		process.exit(EXIT_CODE_UNRESOLVED)
+	}
+
+	process.exit(EXIT_CODE_RESOLVED)
+}
+
+module.exports = {
+	handleMergeDriverCommand,
+	MERGE_DRIVER_HELP_TEXT,
+}
@@ -0,0 +1,184 @@
+const { OP_TYPE_REMOVE, OP_TYPE_ADD, OP_TYPE_CONTEXT } = require("./apply-patch.js")
+const { diffLines } = require("./diff.js")
+const {
+	DEFAULT_MARKER_SIZE,
+	MARKER_OURS,
+	MARKER_BASE,
+	MARKER_SEPARATOR,
+	MARKER_THEIRS,
+} = require("./conflict-markers.js")
+
+const REGION_STABLE = "stable"
+const REGION_CONFLICT = "conflict"
+
+const CONFLICT_STYLE_DIFF3 = "diff3"
+const CONFLICT_STYLE_MERGE = "merge"
+
+// Changed ranges between base & other, in the coordinates of both
+function getChangeChunks(baseLines, otherLines) {
+	const chunks = []
+	let baseIdx = 0
+	let otherIdx = 0
+	let chunk = null
+
+	for (const [opType] of diffLines(baseLines, otherLines)) {
+		if (opType === OP_TYPE_CONTEXT) {
+			if (chunk) {
+				chunks.push(chunk)
+				chunk = null
+			}
+			baseIdx++
+			otherIdx++
+			continue
+		}
+
+		if (!chunk) {
+			chunk = { baseStart: baseIdx, baseEnd: baseIdx, otherStart: otherIdx, otherEnd: otherIdx }
+		}
+
+		if (opType === OP_TYPE_REMOVE) {
+			baseIdx++
+			chunk.baseEnd = baseIdx
+		} else if (opType === OP_TYPE_ADD) {
+			otherIdx++
+			chunk.otherEnd = otherIdx
+		}
+	}
+
+	if (chunk) {
+		chunks.push(chunk)
+	}
+
+	return chunks
+}
+
+// 3-way merge of line arrays.
+// Returns regions in order: stable ones (unchanged, or changed on one side only, or identically on both),
+// and conflicting ones, where both sides changed overlapping or adjacent base lines differently.
+function merge3(baseLines, oursLines, theirsLines) {
+	const sides = [
+		{ lines: oursLines, chunks: getChangeChunks(baseLines, oursLines), idx: 0, delta: 0 },
+		{ lines: theirsLines, chunks: getChangeChunks(baseLines, theirsLines), idx: 0, delta: 0 },
+	]
+
+	const regions = []
+	let basePos = 0
+
+	const pushStable = lines => {
+		if (lines.length === 0) {
+			return
+		}
+		const last = regions[regions.length - 1]
+		if (last && last.type === REGION_STABLE) {
+			last.lines.push(...lines)
+		} else {
+			regions.push({ type: REGION_STABLE, lines: lines.slice() })
+		}
+	}
+
+	for (;;) {
+		const next = sides
+			.filter(side => side.idx < side.chunks.length)
+			.sort((a, b) => a.chunks[a.idx].baseStart - b.chunks[b.idx].baseStart)[0]
+
+		if (!next) {
+			break
+		}
+
+		// grow the group while a chunk from either side overlaps or touches it
+		const start = next.chunks[next.idx].baseStart
+		let end = start
+		const groupChunks = sides.map(() => [])
+		let grown = true
+		while (grown) {
+			grown = false
+			sides.forEach((side, sideIdx) => {
+				while (side.idx < side.chunks.length && side.chunks[side.idx].baseStart <= end) {
+					const chunk = side.chunks[side.idx]
+					groupChunks[sideIdx].push(chunk)
+					end = Math.max(end, chunk.baseEnd)
+					side.idx++
+					grown = true
+				}
+			})
+		}
+
+		pushStable(baseLines.slice(basePos, start))
+
+		const slices = sides.map((side, sideIdx) => {
+			const groupDelta = groupChunks[sideIdx]
+				.reduce((acc, chunk) => acc + (chunk.otherEnd - chunk.otherStart) - (chunk.baseEnd - chunk.baseStart), 0)
+			const slice = side.lines.slice(start + side.delta, end + side.delta + groupDelta)
+			side.delta += groupDelta
+			return slice
+		})
+
+		const oursChanged = groupChunks[0].length > 0
+		const theirsChanged = groupChunks[1].length > 0
+
+		if (!theirsChanged) {
+			pushStable(slices[0])
+		} else if (!oursChanged) {
+			pushStable(slices[1])
+		} else if (linesEqual(slices[0], slices[1])) {
+			pushStable(slices[0])
+		} else {
+			regions.push({
+				type: REGION_CONFLICT,
+				base: baseLines.slice(start, end),
+				ours: slices[0],
+				theirs: slices[1],
+			})
+		}
+
+		basePos = end
+	}
+
+	pushStable(baseLines.slice(basePos))
+
+	return regions
+}
+
+function linesEqual(a, b) {
+	return a.length === b.length && a.every((line, idx) => line === b[idx])
+}
+
+function formatConflict(region, options = {}) {
+	const markerSize = options.markerSize || DEFAULT_MARKER_SIZE
+	const labels = { ours: "ours", base: "base", theirs: "theirs", ...options.labels }
+	const style = options.style || CONFLICT_STYLE_DIFF3
+
+	const marker = (char, label) => (label ? `${char.repeat(markerSize)} ${label}` : char.repeat(markerSize))
+
+	const lines = [marker(MARKER_OURS, labels.ours), ...region.ours]
+	if (style === CONFLICT_STYLE_DIFF3) {
+		lines.push(marker(MARKER_BASE, labels.base), ...region.base)
+	}
+	lines.push(marker(MARKER_SEPARATOR, ""), ...region.theirs, marker(MARKER_THEIRS, labels.theirs))
+
+	return lines
+}
+
+// Lines of the merge result, with conflict markers around the conflicting regions
+function formatMerge(regions, options) {
+	const lines = []
+	for (const region of regions) {
+		if (region.type === REGION_STABLE) {
+			lines.push(...region.lines)
+		} else {
+			lines.push(...formatConflict(region, options))
+		}
+	}
+	return lines
+}
+
+module.exports = {
+	merge3,
+	getChangeChunks,
+	formatConflict,
+	formatMerge,
+	REGION_STABLE,
+	REGION_CONFLICT,
+	CONFLICT_STYLE_DIFF3,
+	CONFLICT_STYLE_MERGE,
+}
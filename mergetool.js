@@ -0,0 +1,167 @@
+const fs = require("fs")
+
+const { tryResolveSections } = require("./hunk.js")
+const { loadRulesFor, VERDICT_CLEAN } = require("./strategies.js")
+const { getFileFormat, mergeStructured, FORMAT_LOCKFILE } = require("./semantic.js")
+const { toLines, fromLines } = require("./diff.js")
+const { merge3, formatMerge, REGION_STABLE, REGION_CONFLICT } = require("./merge3.js")
+const { decodeText, encodeText, mergeFormats } = require("./text.js")
+const { readEncodedFile, writeEncodedFile, decodeBuffer, encodeString } = require("./encoding.js")
+
+const EXIT_CODE_RESOLVED = 0
+const EXIT_CODE_UNRESOLVED = 1
+const EXPECTED_ARG_COUNT = 4
+
+const MERGETOOL_HELP_TEXT = `\
+usage: mergetool <BASE> <LOCAL> <REMOTE> <MERGED>
+
+3-way merge BASE, LOCAL & REMOTE, resolve the conflicting regions
+by applying the BASE -> LOCAL delta to REMOTE, and write the result to MERGED.
+Regions that cannot be resolved are written with diff3 conflict markers.
+
+Exits with 1 if any conflicts remain, so that git can fall back.
+
+Setup:
+    git config mergetool.gcr.cmd 'git-conflict-resolver mergetool "$BASE" "$LOCAL" "$REMOTE" "$MERGED"'
+    git config mergetool.gcr.trustExitCode true
+    git mergetool --tool=gcr
+`
+
+function handleMergetoolCommand(argv) {
+	if (argv.includes("-h") || argv.includes("--help")) {
+		console.log(MERGETOOL_HELP_TEXT)
+		process.exit(0)
+	}
+
+	if (argv.length !== EXPECTED_ARG_COUNT) {
+		console.error("Error: mergetool command requires BASE, LOCAL, REMOTE and MERGED")
+		console.log(MERGETOOL_HELP_TEXT)
+		process.exit(1)
+	}
+
+	const [baseFile, localFile, remoteFile, mergedFile] = argv
+
+	for (const file of [localFile, remoteFile]) {
+		if (!fs.existsSync(file)) {
+			console.error(`Error: File not found: ${file}`)
+			process.exit(1)
+		}
+	}
+
+	const inputs = readMergeInputs(baseFile, localFile, remoteFile)
+	if (inputs.error) {
+		console.error(`Error: ${inputs.file}: ${inputs.error}, refusing to merge it`)
+		process.exit(EXIT_CODE_UNRESOLVED)
+	}
+
+	const result = mergeAndResolve(...inputs.contents, {
+		labels: { ours: "LOCAL", base: "BASE", theirs: "REMOTE" },
+		rules: loadRulesFor(mergedFile),
+		format: getFileFormat(mergedFile),
+	})
+
+	const written = writeMergeResult(mergedFile, result.content, inputs.encoding)
+	if (written.error) {
+		console.error(`Error: ${mergedFile}: ${written.error}`)
+		process.exit(EXIT_CODE_UNRESOLVED)
+	}
+
+	if (result.remaining > 0) {
+		console.error(`Resolved ${result.resolved} of ${result.resolved + result.remaining} conflicts in ${mergedFile}, ${result.remaining} left with markers`)
+		process.exit(EXIT_CODE_UNRESOLVED)
+	}
+
+	process.exit(EXIT_CODE_RESOLVED)
+}
+
+// Read BASE, OURS & THEIRS as text, see encoding.js.
+// Returns { contents, encoding } -- the encoding of OURS, which the result is written in -- or { error, file }
+function readMergeInputs(baseFile, oursFile, theirsFile) {
+	const contents = []
+	for (const file of [baseFile, oursFile, theirsFile]) {
+		// BASE does not exist when both sides added the file
+		if (file === baseFile && !fs.existsSync(file)) {
+			contents.push("")
+			continue
+		}
+
+		const input = readEncodedFile(file)
+		if (input.error) {
+			return { error: input.error, file }
+		}
+		contents.push(input.content)
+	}
+
+	return { contents, encoding: readEncodedFile(oursFile).encoding }
+}
+
+// Write the merge result in `encoding`, unless the other sides brought in characters it cannot hold.
+// Returns {} or { error }
+function writeMergeResult(filename, content, encoding) {
+	if (decodeBuffer(encodeString(content, encoding), encoding) !== content) {
+		return { error: `the merge result cannot be written as ${encoding} without losing characters` }
+	}
+
+	writeEncodedFile(filename, content, encoding)
+	return {}
+}
+
+// 3-way merge, resolving each conflicting region as a conflict hunk
+// with OLD = base, NEW_OLD = ours, NEW = theirs.
+// `options.rules` are the resolution rules, the builtin ones by default.
+// With `options.format` (see getFileFormat), the conflicts are resolved by merging the structure first.
+// Line endings, BOM & final newline are merged like the lines, see mergeFormats
+function mergeAndResolve(baseContent, oursContent, theirsContent, options = {}) {
+	const [base, ours, theirs] = [baseContent, oursContent, theirsContent].map(decodeText)
+	const regions = merge3(toLines(base.text), toLines(ours.text), toLines(theirs.text))
+	const format = mergeFormats(base.format, ours.format, theirs.format)
+
+	const conflicts = regions.filter(region => region.type === REGION_CONFLICT).length
+	if (conflicts > 0 && options.format && options.format !== FORMAT_LOCKFILE) {
+		const merged = mergeStructured(options.format, { old: base.text, newOld: ours.text, new: theirs.text })
+		if (merged.verdict === VERDICT_CLEAN) {
+			return { content: encodeText(merged.content, format), resolved: conflicts, remaining: 0 }
+		}
+	}
+
+	let resolved = 0
+	let remaining = 0
+
+	const resolvedRegions = regions.map(region => {
+		if (region.type !== REGION_CONFLICT) {
+			return region
+		}
+
+		const result = tryResolveSections({
+			old: fromLines(region.base),
+			newOld: fromLines(region.ours),
+			new: fromLines(region.theirs),
+		}, options.rules)
+
+		if (!result.resolved) {
+			remaining++
+			return region
+		}
+
+		resolved++
+		return { type: REGION_STABLE, lines: toLines(result.content) }
+	})
+
+	const lines = formatMerge(resolvedRegions, options)
+
+	return {
+		content: encodeText(fromLines(lines), format),
+		resolved,
+		remaining,
+	}
+}
+
+module.exports = {
+	readMergeInputs,
+	writeMergeResult,
+	handleMergetoolCommand,
+	MERGETOOL_HELP_TEXT,
+	mergeAndResolve,
+	EXIT_CODE_RESOLVED,
+	EXIT_CODE_UNRESOLVED,
+}
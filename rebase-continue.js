@@ -0,0 +1,202 @@
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { git, getRepoRoot, getUnmergedFiles, getGitPath } = require("./git.js")
+const { scanConflictHunksInFile } = require("./hunk.js")
+const { resolveRepository, STATUS_ADDED } = require("./resolve.js")
+const { readTextFile } = require("./text.js")
+const { WHITESPACE_FLAGS } = require("./apply-patch.js")
+
+const REBASE_CONTINUE_HELP_TEXT = `\
+usage: rebase-continue [--allow-fuzzy] [-b|-w] [--ignore-blank-lines] [-h|--help]
+
+Resolve the conflicts of the current step of a rebase, cherry-pick or revert,
+\`git add\` the files, run \`git rebase|cherry-pick|revert --continue\`, and repeat
+until it is done, or a step has conflicts that cannot be resolved safely --
+these are left with their markers for you to resolve, before running it again.
+
+Flags:
+    --allow-fuzzy  apply fuzzy resolutions as well, not just clean ones (see hunk --help)
+    -b, --ignore-space-change
+    -w, --ignore-all-space
+    --ignore-blank-lines
+                   locate changes ignoring whitespace & blank lines (see hunk --help)
+    -h, --help     show help and exit
+
+Exits with 1 if it stopped before the end.
+`
+
+// `paths` (in the git directory) tell that the operation is in progress,
+// `head` is the commit being applied at the current step
+const OPERATIONS = [
+	{ name: "rebase", paths: ["rebase-merge", "rebase-apply"], head: "REBASE_HEAD" },
+	{ name: "cherry-pick", paths: ["CHERRY_PICK_HEAD"], head: "CHERRY_PICK_HEAD" },
+	{ name: "revert", paths: ["REVERT_HEAD"], head: "REVERT_HEAD" },
+]
+
+function parseRebaseContinueArgs(argv) {
+	const flags = {
+		allowFuzzy: false,
+		whitespace: {},
+		help: false,
+	}
+
+	const args = []
+	for (const arg of argv) {
+		if (arg === "--allow-fuzzy") {
+			flags.allowFuzzy = true
+		} else if (Object.hasOwn(WHITESPACE_FLAGS, arg)) {
+			flags.whitespace[WHITESPACE_FLAGS[arg]] = true
+		} else if (arg === "-h" || arg === "--help") {
+			flags.help = true
+		} else {
+			args.push(arg)
+		}
+	}
+
+	return { flags, args }
+}
+
+function handleRebaseContinueCommand(argv) {
+	const { flags, args } = parseRebaseContinueArgs(argv)
+
+	if (flags.help) {
+		console.log(REBASE_CONTINUE_HELP_TEXT)
+		process.exit(0)
+	}
+
+	if (args.length !== 0) {
+		console.error(`Error: unexpected argument: ${args[0]}`)
+		console.log(REBASE_CONTINUE_HELP_TEXT)
+		process.exit(1)
+	}
+
+	let outcome
+	try {
+		const root = getRepoRoot(process.cwd())
+		const operation = getOperationInProgress(root)
+		if (!operation) {
+			console.error("Error: no rebase, cherry-pick or revert in progress")
+			process.exit(1)
+		}
+
+		outcome = continueOperation(root, operation, { allowFuzzy: flags.allowFuzzy, whitespace: flags.whitespace, log: line => console.log(line) })
+	} catch (error) {
+		console.error(`Error: ${error.stderr || error.message}`.trimEnd())
+		process.exit(1)
+	}
+
+	if (outcome.stopped) {
+		process.exit(1)
+	}
+}
+
+function getOperationInProgress(root) {
+	return OPERATIONS.find(operation => operation.paths.some(name => fs.existsSync(getGitPath(name, root)))) || null
+}
+
+// Resolve, add & continue, step by step, until the operation is done or a step needs the user.
+// Progress goes to `options.log`, why hunks were left unresolved to stderr.
+// Returns { stopped, steps }, `steps` being the number of steps continued
+function continueOperation(root, operation, { allowFuzzy = false, whitespace = {}, log = () => {} } = {}) {
+	for (let steps = 0; ; steps++) {
+		const step = describeStep(root, operation)
+
+		const summary = resolveRepository({ cwd: root, apply: true, add: true, allowFuzzy, whitespace })
+		const resolved = summary.reduce((acc, entry) => acc + entry.resolved, 0)
+		const left = summary.filter(entry => entry.status !== STATUS_ADDED)
+
+		if (left.length > 0) {
+			log(`Stopped at ${step}: ${left.map(formatLeftEntry).join(", ")}`)
+			log(`Resolve the rest, \`git add\` the files, and run rebase-continue again (or git ${operation.name} --continue)`)
+			return { stopped: true, steps }
+		}
+
+		if (summary.length > 0) {
+			log(`${step}: resolved ${plural(resolved, "conflict")} in ${plural(summary.length, "file")}`)
+		}
+
+		const result = spawnSync("git", [operation.name, "--continue"], {
+			cwd: root,
+			encoding: "utf-8",
+			// keep the commit messages as they are
+			env: { ...process.env, GIT_EDITOR: "true" },
+		})
+
+		const stillInProgress = getOperationInProgress(root) !== null
+		if (!stillInProgress && result.status === 0) {
+			log(`Finished the ${operation.name}`)
+			return { stopped: false, steps: steps + 1 }
+		}
+
+		// stopped for something other than conflicts, e.g. an `edit` or a failing `exec` of the rebase todo
+		if (!stillInProgress || getUnmergedFiles(root).length === 0) {
+			log(`Stopped after ${step}: git ${operation.name} --continue did not get past it`)
+			process.stderr.write(result.stderr || result.stdout)
+			return { stopped: true, steps: steps + 1 }
+		}
+	}
+}
+
+function formatLeftEntry(entry) {
+	if (entry.remaining > 0) {
+		return `${plural(entry.remaining, "conflict")} left in ${entry.file}`
+	}
+	return `${entry.file} (${entry.status})`
+}
+
+function plural(count, noun) {
+	return `${count} ${noun}${count === 1 ? "" : "s"}`
+}
+
+// The commit of the current step as "<subject>" (<committish>), from the `>>>>>>> <committish> (<subject>)`
+// conflict marker label, or from the commit itself when there are no conflict markers to take it from
+function describeStep(root, operation) {
+	const label = findTheirsLabel(root)
+	if (label) {
+		const match = label.match(/^(.*?) \((.*)\)$/)
+		return match ? `"${match[2]}" (${match[1]})` : `"${label}"`
+	}
+
+	try {
+		return git(["log", "-1", "--format=\"%s\" (%h)", operation.head], root).trim()
+	} catch (error) {
+		return "the current step"
+	}
+}
+
+function findTheirsLabel(root) {
+	for (const file of getUnmergedFiles(root)) {
+		const filepath = path.join(root, file)
+		if (!fs.existsSync(filepath)) {
+			continue
+		}
+
+		const text = readTextFile(filepath)
+		if (text.error) {
+			continue
+		}
+
+		const fileContent = text.text
+		const lines = fileContent.split("\n")
+		const label = scanConflictHunksInFile(filepath, fileContent).conflictInfos
+			.map(conflictInfo => lines[conflictInfo.endLine].replace(/^>+ ?/, "").trim())
+			.find(Boolean)
+
+		if (label) {
+			return label
+		}
+	}
+
+	return null
+}
+
+module.exports = {
+	handleRebaseContinueCommand,
+	REBASE_CONTINUE_HELP_TEXT,
+	parseRebaseContinueArgs,
+	getOperationInProgress,
+	continueOperation,
+	describeStep,
+}
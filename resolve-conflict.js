@@ -1,55 +1,98 @@
 #!/usr/bin/env node
 
-const os = require("os")
 const fs = require("fs")
-const path = require("path")
-const crypto = require("crypto")
-const { execSync } = require("child_process")
 
-const { applyPatch } = require("./apply-patch.js")
-const { handleHunkCommand } = require("./hunk.js")
+const { createUnifiedDiff } = require("./diff.js")
+const { transplantDelta, DIRECTIONS, DIRECTION_THEIRS, DIRECTION_OURS } = require("./strategies.js")
+const { handleHunkCommand, HUNK_HELP_TEXT } = require("./hunk.js")
+const { handleResolveCommand, RESOLVE_HELP_TEXT } = require("./resolve.js")
+const { handleMergetoolCommand, MERGETOOL_HELP_TEXT } = require("./mergetool.js")
+const { handleMergeDriverCommand, MERGE_DRIVER_HELP_TEXT } = require("./merge-driver.js")
+const { handleLspCommand, LSP_HELP_TEXT } = require("./lsp.js")
+const { handleRebaseContinueCommand, REBASE_CONTINUE_HELP_TEXT } = require("./rebase-continue.js")
+const { readTextFile, encodeText, mergeFormats } = require("./text.js")
+const { readEncodedFile, writeEncodedFile } = require("./encoding.js")
 
 const EXPECTED_ARG_COUNT = 3
-const TEMP_FILE_PREFIX = "git-conflict-resolver"
-const DIFF_EXIT_CODE_FILES_DIFFER = 1
 
 const HELP_TEXT = `\
 Usage:
-  resolve-conflict <OLD> <NEW_OLD> <NEW>
+  resolve-conflict [--direction ours|theirs|auto] <OLD> <NEW_OLD> <NEW>
     Generate diff between old_file and new_old_file
     Apply that diff to new_file (ignoring context mismatches)
 
+    --direction theirs (default) applies OLD -> NEW_OLD onto NEW,
+    ours applies OLD -> NEW onto NEW_OLD, and auto the smaller of both, if both agree.
+    The result is written to new_file either way
+
 Commands:
-    hunk <FILE> [-a|--apply] [--undo] [-h|--help]
-`
+${[
+	HUNK_HELP_TEXT,
+	RESOLVE_HELP_TEXT,
+	MERGETOOL_HELP_TEXT,
+	MERGE_DRIVER_HELP_TEXT,
+	REBASE_CONTINUE_HELP_TEXT,
+	LSP_HELP_TEXT,
+].map(formatUsage).join("")}`
+
+// The usage lines a command's help text starts with, so that both list the same flags
+function formatUsage(helpText) {
+	const usage = helpText.slice(0, helpText.indexOf("\n\n") + 1)
+	return usage.replace(/^(usage: | {7})/gm, "    ")
+}
 
 function resolveConflict(argv = process.argv.slice(2)) {
-	const { oldFile, newOldFile, newFile } = parseArgs(argv)
+	const { oldFile, newOldFile, newFile, direction } = parseArgs(argv)
 
 	validateFiles([oldFile, newOldFile, newFile])
 
-	const tempDiffFile = createTempDiffFile()
-
-	try {
-		const diffOutput = generateDiff(oldFile, newOldFile)
-
-		if (!diffOutput || diffOutput.trim() === "") {
-			return
+	const [old, newOld, onto] = [oldFile, newOldFile, newFile].map(readTextFile)
+	const refused = [old, newOld, onto].findIndex(file => file.error)
+	if (refused !== -1) {
+		const errorMsg = `Error: ${[oldFile, newOldFile, newFile][refused]}: ${[old, newOld, onto][refused].error}, leaving ${newFile} as is`
+		if (module.parent) {
+			throw new Error(errorMsg)
 		}
+		console.error(errorMsg)
+		process.exit(1)
+	}
+	const sections = { old: old.text, newOld: newOld.text, new: onto.text }
 
-		fs.writeFileSync(tempDiffFile, diffOutput)
-
-		applyPatch([newFile, tempDiffFile])
+	const { lines, mismatch, direction: applied } = transplantDelta(sections, direction)
 
-	} finally {
-		if (fs.existsSync(tempDiffFile)) {
-			fs.unlinkSync(tempDiffFile)
+	if (mismatch) {
+		const errorMsg = `Error: OLD -> NEW_OLD onto NEW and OLD -> NEW onto NEW_OLD give different results, leaving ${newFile} as is`
+		if (module.parent) {
+			throw new Error(errorMsg)
 		}
+		console.error(errorMsg)
+		process.exit(1)
+	}
+
+	// changes of line endings, BOM & final newline are transplanted too, NEW keeps its encoding
+	const format = applied === DIRECTION_OURS
+		? mergeFormats(old.format, onto.format, newOld.format)
+		: mergeFormats(old.format, newOld.format, onto.format)
+	const content = encodeText(lines.join(""), format)
+	if (content !== readEncodedFile(newFile).content) {
+		writeEncodedFile(newFile, content, onto.format.encoding)
 	}
 }
 
 function parseArgs(argv) {
-	if (argv.length !== EXPECTED_ARG_COUNT) {
+	let direction = DIRECTION_THEIRS
+	const args = []
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === "--direction") {
+			direction = argv[++i]
+		} else if (argv[i].startsWith("--direction=")) {
+			direction = argv[i].slice("--direction=".length)
+		} else {
+			args.push(argv[i])
+		}
+	}
+
+	if (args.length !== EXPECTED_ARG_COUNT || !DIRECTIONS.includes(direction)) {
 		if (module.parent) {
 			throw new Error(HELP_TEXT)
 		}
@@ -58,9 +101,10 @@ function parseArgs(argv) {
 	}
 
 	return {
-		oldFile: argv[0],
-		newOldFile: argv[1],
-		newFile: argv[2]
+		oldFile: args[0],
+		newOldFile: args[1],
+		newFile: args[2],
+		direction,
 	}
 }
 
@@ -77,31 +121,17 @@ function validateFiles(files) {
 	}
 }
 
-function createTempDiffFile() {
-	const randomHex = crypto.randomBytes(8).toString("hex")
-	return path.join(os.tmpdir(), `${TEMP_FILE_PREFIX}.${randomHex}.diff`)
-}
-
 function generateDiff(oldFile, newOldFile) {
-	let diffOutput
-	try {
-		diffOutput = execSync(`diff -u "${oldFile}" "${newOldFile}"`, {
-			encoding: "utf-8"
-		})
-	} catch (error) {
-		diffOutput = error.stdout || ""
-		if (error.status !== DIFF_EXIT_CODE_FILES_DIFFER) {
-			throw error
-		}
-	}
-	return diffOutput
+	return createUnifiedDiff(fs.readFileSync(oldFile, "utf-8"), fs.readFileSync(newOldFile, "utf-8"), {
+		oldLabel: oldFile,
+		newLabel: newOldFile,
+	})
 }
 
 module.exports = {
 	resolveConflict,
 	parseArgs,
 	validateFiles,
-	createTempDiffFile,
 	generateDiff,
 }
 
@@ -112,9 +142,19 @@ if (!module.parent) {
 function main() {
 	const argv = process.argv.slice(2)
 	
-	// Check if first argument is "hunk" sub-command
+	// Check if first argument is a sub-command
 	if (argv.length > 0 && argv[0] === "hunk") {
 		handleHunkCommand(argv.slice(1))
+	} else if (argv.length > 0 && argv[0] === "resolve") {
+		handleResolveCommand(argv.slice(1))
+	} else if (argv.length > 0 && argv[0] === "mergetool") {
+		handleMergetoolCommand(argv.slice(1))
+	} else if (argv.length > 0 && argv[0] === "merge-driver") {
+		handleMergeDriverCommand(argv.slice(1))
+	} else if (argv.length > 0 && argv[0] === "rebase-continue") {
+		handleRebaseContinueCommand(argv.slice(1))
+	} else if (argv.length > 0 && argv[0] === "lsp") {
+		handleLspCommand(argv.slice(1))
 	} else {
 		// Legacy 3-argument usage
 		resolveConflict(argv)
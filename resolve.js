@@ -0,0 +1,316 @@
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const {
+	scanConflictHunksInFile,
+	formatScanErrors,
+	formatVerdictDetails,
+	resolveAllHunks,
+	writeResolvedHunks,
+} = require("./hunk.js")
+const { recordOperation } = require("./journal.js")
+const { formatJsonOutput } = require("./json-output.js")
+const { getRepoRoot, getUnmergedFiles, addFiles } = require("./git.js")
+const { readEncodedFile } = require("./encoding.js")
+const { handleInteractive } = require("./interactive.js")
+const { readTextFile } = require("./text.js")
+const { WHITESPACE_FLAGS } = require("./apply-patch.js")
+const { getFileFormat, getLockfileCommand, FORMAT_LOCKFILE } = require("./semantic.js")
+
+const RESOLVE_HELP_TEXT = `\
+usage: resolve [-a|--apply] [--add] [--allow-fuzzy] [-b|-w] [--ignore-blank-lines] [--json] [-i|--interactive] [-h|--help]
+
+Resolve every conflict hunk in every unmerged file of the current repository
+
+Flags:
+    -a, --apply    apply the resolutions to the files, and regenerate conflicted lockfiles
+    --add          apply, and \`git add\` the files that have no conflict markers left
+    --allow-fuzzy  apply fuzzy resolutions as well, not just clean ones (see hunk --help)
+    -b, --ignore-space-change
+    -w, --ignore-all-space
+    --ignore-blank-lines
+                   locate changes ignoring whitespace & blank lines (see hunk --help)
+    --json         print every file & conflict hunk as JSON (see README), instead of the table
+    -i, --interactive
+                   review every conflict one by one instead
+    -h, --help     show help and exit
+
+Why each conflict hunk was left unresolved is reported on stderr.
+Exits with 1 if any conflict hunks remain unresolved, or a file has malformed conflict markers.
+
+
+Examples:
+    resolve
+    resolve -a
+    resolve --add
+    resolve -i
+`
+
+const STATUS_ADDED = "added"
+const STATUS_RESOLVED = "resolved"
+const STATUS_PARTIAL = "partial"
+const STATUS_UNRESOLVED = "unresolved"
+const STATUS_NO_MARKERS = "no conflict markers"
+// files with markers that do not make a conflict hunk (see scanConflictHunks) are left for the user
+const STATUS_MALFORMED = "malformed markers"
+const STATUS_MISSING = "missing"
+// files that cannot be read as text safely are left as they are, see encoding.js
+const STATUS_BINARY = "binary"
+const STATUS_UNREADABLE = "unreadable"
+// lockfiles are regenerated instead, see regenerateLockfiles
+const STATUS_LOCKFILE = "lockfile"
+const STATUS_REGENERATED = "regenerated"
+
+function parseResolveArgs(argv) {
+	const flags = {
+		apply: false,
+		add: false,
+		allowFuzzy: false,
+		whitespace: {},
+		json: false,
+		interactive: false,
+		help: false,
+	}
+
+	const args = []
+	for (const arg of argv) {
+		if (arg === "-a" || arg === "--apply") {
+			flags.apply = true
+		} else if (arg === "--add") {
+			flags.apply = true
+			flags.add = true
+		} else if (arg === "--allow-fuzzy") {
+			flags.allowFuzzy = true
+		} else if (Object.hasOwn(WHITESPACE_FLAGS, arg)) {
+			flags.whitespace[WHITESPACE_FLAGS[arg]] = true
+		} else if (arg === "--json") {
+			flags.json = true
+		} else if (arg === "-i" || arg === "--interactive") {
+			flags.interactive = true
+		} else if (arg === "-h" || arg === "--help") {
+			flags.help = true
+		} else {
+			args.push(arg)
+		}
+	}
+
+	return { flags, args }
+}
+
+function handleResolveCommand(argv) {
+	const { flags, args } = parseResolveArgs(argv)
+
+	if (flags.help) {
+		console.log(RESOLVE_HELP_TEXT)
+		process.exit(0)
+	}
+
+	if (args.length !== 0) {
+		console.error(`Error: unexpected argument: ${args[0]}`)
+		console.log(RESOLVE_HELP_TEXT)
+		process.exit(1)
+	}
+
+	if (flags.interactive && flags.json) {
+		console.error("Error: --json cannot be combined with -i")
+		process.exit(1)
+	}
+
+	if (flags.interactive) {
+		handleInteractive([])
+		return
+	}
+
+	let summary
+	try {
+		summary = resolveRepository({ apply: flags.apply, add: flags.add, allowFuzzy: flags.allowFuzzy, whitespace: flags.whitespace, details: flags.json })
+	} catch (error) {
+		console.error(`Error: ${error.stderr || error.message}`.trimEnd())
+		process.exit(1)
+	}
+
+	if (flags.json) {
+		process.stdout.write(formatJsonOutput("resolve", summary.map(({ hunks = [], ...entry }) => ({
+			...entry,
+			hunks: hunks.map(result => ({ result, applied: flags.apply && result.resolved })),
+		}))))
+	} else if (summary.length === 0) {
+		console.log("No unmerged files")
+		return
+	} else {
+		process.stdout.write(formatSummaryTable(summary))
+	}
+
+	if (summary.some(entry => entry.remaining > 0 || isRefused(entry))) {
+		process.exit(1)
+	}
+}
+
+// With `details`, each entry of the summary has the `hunks` (resolveAllHunks' results) & scan `errors`
+// of the file, instead of them being reported on stderr
+function resolveRepository({ cwd = process.cwd(), apply = false, add = false, allowFuzzy = false, whitespace = {}, details = false } = {}) {
+	const root = getRepoRoot(cwd)
+	const files = getUnmergedFiles(root)
+
+	// all files resolved in this run are undone together
+	const changes = []
+	const summary = files.map(file => resolveFile(root, file, { apply, allowFuzzy, whitespace, details, changes }))
+	if (apply) {
+		regenerateLockfiles(root, summary, changes)
+	}
+	recordOperation(`resolve ${changes.length} file${changes.length === 1 ? "" : "s"}`, changes)
+
+	if (add) {
+		const isResolved = entry => entry.status === STATUS_RESOLVED || entry.status === STATUS_REGENERATED
+		addFiles(summary.filter(isResolved).map(entry => entry.file), root)
+		summary.forEach(entry => {
+			if (isResolved(entry)) {
+				entry.status = STATUS_ADDED
+			}
+		})
+	}
+
+	return summary
+}
+
+// `options` are { apply, allowFuzzy, whitespace, details, changes }, where the applied changes are collected
+function resolveFile(root, file, { apply = false, allowFuzzy = false, whitespace = {}, details = false, changes = [] } = {}) {
+	const filepath = path.join(root, file)
+	const entry = { file, resolved: 0, remaining: 0 }
+
+	// e.g. deleted on one side
+	if (!fs.existsSync(filepath)) {
+		return { ...entry, status: STATUS_MISSING }
+	}
+
+	const text = readTextFile(filepath)
+	if (text.error) {
+		const message = `${text.error}, refusing to resolve it`
+		if (details) {
+			entry.errors = [{ line: null, message }]
+		} else {
+			process.stderr.write(`${file}: ${message}\n`)
+		}
+		return { ...entry, status: text.binary ? STATUS_BINARY : STATUS_UNREADABLE }
+	}
+
+	const fileContent = text.text
+	const { conflictInfos, errors } = scanConflictHunksInFile(filepath, fileContent)
+	if (details) {
+		entry.errors = errors
+	} else {
+		process.stderr.write(formatScanErrors(file, errors))
+	}
+
+	if (conflictInfos.length === 0) {
+		return { ...entry, status: errors.length > 0 ? STATUS_MALFORMED : STATUS_NO_MARKERS }
+	}
+
+	const { results, resolutions } = resolveAllHunks(conflictInfos, { filename: filepath, fileContent, encoding: text.format.encoding }, { allowFuzzy, whitespace })
+	if (details) {
+		entry.hunks = results
+	} else {
+		process.stderr.write(formatUnresolved(file, results))
+	}
+
+	if (apply && resolutions.length > 0) {
+		changes.push(writeResolvedHunks(filepath, resolutions))
+	}
+
+	const resolved = resolutions.length
+	const remaining = conflictInfos.length - resolved
+
+	let status = STATUS_PARTIAL
+	if (getFileFormat(filepath) === FORMAT_LOCKFILE) {
+		status = STATUS_LOCKFILE
+	} else if (remaining === 0) {
+		status = errors.length > 0 ? STATUS_MALFORMED : STATUS_RESOLVED
+	} else if (resolved === 0) {
+		status = STATUS_UNRESOLVED
+	}
+
+	return { ...entry, resolved, remaining, status }
+}
+
+// Run the command of each conflicted lockfile (see semantic.js) from its directory, once the other files
+// are resolved -- e.g. \`npm install\` needs package.json without conflict markers. Updates the entries in place
+function regenerateLockfiles(root, summary, changes) {
+	const lockfiles = summary.filter(entry => entry.status === STATUS_LOCKFILE)
+	if (lockfiles.length === 0) {
+		return
+	}
+
+	if (summary.some(entry => entry.status !== STATUS_LOCKFILE && (entry.remaining > 0 || isRefused(entry)))) {
+		process.stderr.write(`Not regenerating ${lockfiles.map(entry => entry.file).join(", ")} until the other conflicts are resolved\n`)
+		return
+	}
+
+	for (const entry of lockfiles) {
+		const filepath = path.join(root, entry.file)
+		const command = getLockfileCommand(filepath)
+		const before = readEncodedFile(filepath)
+
+		const result = spawnSync("sh", ["-c", command], { cwd: path.dirname(filepath), encoding: "utf-8" })
+		if (result.status !== 0) {
+			process.stderr.write(`${entry.file}: \`${command}\` failed\n${result.stderr || result.stdout || ""}`)
+			continue
+		}
+
+		const after = fs.existsSync(filepath) ? readEncodedFile(filepath) : { error: "no such file" }
+		if (after.error || scanConflictHunksInFile(filepath, after.content).conflictInfos.length > 0) {
+			process.stderr.write(`${entry.file}: \`${command}\` left it ${after.error ? "missing" : "with conflict markers"}\n`)
+			continue
+		}
+
+		changes.push({ filepath, before: before.content, after: after.content, encoding: after.encoding })
+		Object.assign(entry, { resolved: entry.remaining, remaining: 0, status: STATUS_REGENERATED })
+	}
+}
+
+// Files that are left as they are, even with every conflict hunk resolved
+function isRefused(entry) {
+	return entry.status === STATUS_BINARY || entry.status === STATUS_UNREADABLE || entry.status === STATUS_MALFORMED
+}
+
+function formatUnresolved(file, results) {
+	return results
+		.filter(result => !result.resolved)
+		.map(result => `${file}:${result.conflictInfo.startLine + 1}: left unresolved: ${result.reason}\n` + formatVerdictDetails(result, "  "))
+		.join("")
+}
+
+function formatSummaryTable(summary) {
+	const header = ["FILE", "RESOLVED", "REMAINING", "STATUS"]
+	const rows = summary.map(entry => [entry.file, String(entry.resolved), String(entry.remaining), entry.status])
+
+	const totals = summary.reduce((acc, entry) => [acc[0] + entry.resolved, acc[1] + entry.remaining], [0, 0])
+	const footer = [`total (${summary.length} files)`, String(totals[0]), String(totals[1]), ""]
+
+	const table = [header, ...rows, footer]
+	const widths = header.map((_, col) => Math.max(...table.map(row => row[col].length)))
+
+	return table
+		.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join("  ").trimEnd())
+		.join("\n") + "\n"
+}
+
+module.exports = {
+	handleResolveCommand,
+	RESOLVE_HELP_TEXT,
+	parseResolveArgs,
+	resolveRepository,
+	resolveFile,
+	formatSummaryTable,
+	STATUS_ADDED,
+	STATUS_RESOLVED,
+	STATUS_PARTIAL,
+	STATUS_UNRESOLVED,
+	STATUS_NO_MARKERS,
+	STATUS_MALFORMED,
+	STATUS_MISSING,
+	STATUS_BINARY,
+	STATUS_UNREADABLE,
+	STATUS_LOCKFILE,
+	STATUS_REGENERATED,
+}
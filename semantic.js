@@ -0,0 +1,349 @@
+const fs = require("fs")
+const path = require("path")
+
+const { merge3, REGION_CONFLICT } = require("./merge3.js")
+const { loadConfig } = require("./config.js")
+const { VERDICT_CLEAN, VERDICT_FUZZY, DIRECTION_OURS } = require("./strategies.js")
+const json = require("./json-format.js")
+const yaml = require("./yaml-format.js")
+const js = require("./js-format.js")
+
+const { NODE_MAPPING, NODE_SEQUENCE, NODE_SCALAR } = json
+
+const FORMAT_JSON = "json"
+const FORMAT_YAML = "yaml"
+const FORMAT_PACKAGE_JSON = "package.json"
+const FORMAT_JAVASCRIPT = "javascript"
+const FORMAT_TYPESCRIPT = "typescript"
+const FORMAT_TSX = "tsx"
+const FORMAT_LOCKFILE = "lockfile"
+
+// How each format is parsed & printed. `parse` throws for content it cannot handle
+const FORMATS = {
+	[FORMAT_JSON]: {
+		label: "JSON",
+		parse: json.parseJson,
+		print: json.printJson,
+		createMapping: json.createMapping,
+		createSequence: json.createSequence,
+		getAttributes: () => "",
+	},
+	[FORMAT_YAML]: {
+		label: "YAML",
+		parse: yaml.parseYaml,
+		print: yaml.printYaml,
+		createMapping: yaml.createMapping,
+		createSequence: yaml.createSequence,
+		getAttributes: yaml.getAttributes,
+	},
+}
+FORMATS[FORMAT_PACKAGE_JSON] = { ...FORMATS[FORMAT_JSON], label: "package.json" }
+
+// sources have mappings only, see js-format.js
+for (const [name, label, plugins] of [
+	[FORMAT_JAVASCRIPT, "JavaScript", ["jsx"]],
+	[FORMAT_TYPESCRIPT, "TypeScript", ["typescript", "decorators-legacy"]],
+	[FORMAT_TSX, "TSX", ["typescript", "jsx", "decorators-legacy"]],
+]) {
+	FORMATS[name] = {
+		label,
+		parse: text => js.parseJs(text, plugins),
+		print: js.printJs,
+		createMapping: js.createMapping,
+		getAttributes: js.getAttributes,
+	}
+}
+
+const EXTENSIONS = {
+	".json": FORMAT_JSON,
+	".yaml": FORMAT_YAML,
+	".yml": FORMAT_YAML,
+	".js": FORMAT_JAVASCRIPT,
+	".cjs": FORMAT_JAVASCRIPT,
+	".mjs": FORMAT_JAVASCRIPT,
+	".jsx": FORMAT_JAVASCRIPT,
+	".ts": FORMAT_TYPESCRIPT,
+	".cts": FORMAT_TYPESCRIPT,
+	".mts": FORMAT_TYPESCRIPT,
+	".tsx": FORMAT_TSX,
+}
+
+// Lockfiles are not merged, but regenerated by their package manager -- by `resolve -a`, see regenerateLockfiles in resolve.js.
+// The `lockfiles` of the config add to these ({ "<file name>": "<command>" }), or turn them off with null
+const LOCKFILE_COMMANDS = {
+	"package-lock.json": "npm install --package-lock-only --ignore-scripts",
+	"npm-shrinkwrap.json": "npm install --package-lock-only --ignore-scripts",
+	// yarn 1 cannot update the lockfile alone, but at least runs no scripts
+	"yarn.lock": "yarn install --ignore-scripts",
+	"pnpm-lock.yaml": "pnpm install --lockfile-only",
+}
+// yarn 2 & later, told apart by the `__metadata` of their lockfiles
+const YARN_BERRY_COMMAND = "yarn install --mode=update-lockfile"
+
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"]
+
+// One of the FORMAT_* the file is merged as, or null for a line by line merge
+function getFileFormat(filename) {
+	const name = path.basename(filename)
+	if (getLockfileCommand(filename) !== null) {
+		return FORMAT_LOCKFILE
+	}
+	if (name === "package.json") {
+		return FORMAT_PACKAGE_JSON
+	}
+	return EXTENSIONS[path.extname(name).toLowerCase()] || null
+}
+
+// The command that regenerates the lockfile, run from its directory, or null if it is not a lockfile
+function getLockfileCommand(filename) {
+	const { lockfiles = {} } = loadConfig(path.dirname(path.resolve(filename)))
+	const commands = { ...LOCKFILE_COMMANDS, ...lockfiles }
+	const name = path.basename(filename)
+	const command = commands[name]
+	if (name === "yarn.lock" && command === LOCKFILE_COMMANDS[name] && isYarnBerryLockfile(filename)) {
+		return YARN_BERRY_COMMAND
+	}
+	return typeof command === "string" ? command : null
+}
+
+function isYarnBerryLockfile(filename) {
+	try {
+		return /^__metadata:/m.test(fs.readFileSync(filename, "utf-8"))
+	} catch (error) {
+		return false
+	}
+}
+
+// Merge whole versions ({ old, newOld, new } texts) of a file key by key, transplanting one side's delta
+// like delta-apply does (see DIRECTIONS): the side it is transplanted onto keeps its order & formatting,
+// and keys added by the other side follow the key they follow there.
+// Returns { content, verdict }, or { reason } if both sides changed the same value (with `unparsable` set if a version cannot be parsed).
+// In package.json, dependencies whose version both sides changed get the higher one, as a fuzzy resolution
+function mergeStructured(formatName, versions, { direction } = {}) {
+	const format = FORMATS[formatName]
+
+	const documents = {}
+	for (const [side, label] of [["old", "OLD"], ["newOld", "NEW_OLD"], ["new", "NEW"]]) {
+		try {
+			documents[side] = format.parse(versions[side])
+		} catch (error) {
+			return { reason: `${label} is not valid ${format.label}: ${error.message}`, unparsable: true }
+		}
+	}
+
+	const [from, onto] = direction === DIRECTION_OURS ? ["new", "newOld"] : ["newOld", "new"]
+	const context = {
+		format,
+		resolveConflict: formatName === FORMAT_PACKAGE_JSON ? takeHigherDependencyVersion : () => null,
+		fuzzy: false,
+	}
+
+	const merged = mergeNodes(documents.old.root, documents[from].root, documents[onto].root, [], context)
+	if (merged.conflict) {
+		return { reason: `both sides changed ${formatKeyPath(merged.conflict)}` }
+	}
+
+	const content = format.print(documents[onto], merged.node)
+	const error = validateStructured(formatName, content)
+	if (error) {
+		return { reason: `the merge is ${error}` }
+	}
+
+	return { content, verdict: context.fuzzy ? VERDICT_FUZZY : VERDICT_CLEAN }
+}
+
+// The error of content that does not parse as the format, e.g. "invalid JSON: ...", or null
+function validateStructured(formatName, content) {
+	const format = FORMATS[formatName]
+	try {
+		format.parse(content)
+		return null
+	} catch (error) {
+		return `invalid ${format.label}: ${error.message}`
+	}
+}
+
+// Returns { node }, or { conflict: keyPath } where both sides changed a value differently.
+// `old` is null for values both sides added
+function mergeNodes(old, from, onto, keyPath, context) {
+	if (from.canonical === onto.canonical || (old && old.canonical === from.canonical)) {
+		return { node: onto }
+	}
+	if (old && old.canonical === onto.canonical) {
+		return { node: from }
+	}
+
+	const template = mergeAttributes(old, from, onto, context.format)
+	const sameType = from.type === onto.type && (!old || old.type === from.type)
+
+	let merged = { conflict: keyPath }
+	if (template && sameType && from.type === NODE_MAPPING) {
+		merged = mergeMappings(old, from, onto, keyPath, context, template)
+	} else if (template && sameType && from.type === NODE_SEQUENCE) {
+		merged = mergeSequences(old, from, onto, keyPath, context, template)
+	}
+
+	if (merged.conflict) {
+		const node = context.resolveConflict(keyPath, from, onto)
+		if (node) {
+			context.fuzzy = true
+			return { node }
+		}
+		return merged
+	}
+
+	// reuse a side as it was, formatting included
+	return { node: [onto, from].find(node => node.canonical === merged.node.canonical) || merged.node }
+}
+
+// The side whose attributes (e.g. comments, see yaml-format.js) the merge keeps, or null if both changed them
+function mergeAttributes(old, from, onto, format) {
+	const [oldAttributes, fromAttributes, ontoAttributes] = [old, from, onto].map(node => node && format.getAttributes(node))
+
+	if (fromAttributes === ontoAttributes || fromAttributes === oldAttributes) {
+		return onto
+	}
+	if (ontoAttributes === oldAttributes) {
+		return from
+	}
+	return null
+}
+
+// Entries that are told apart by their position only -- the ones without a `name` (e.g. the calls among the statements
+// of a source, see js-format.js), and the ones of a name that occurs more than once (e.g. overloads) -- only merge
+// if one side left them unchanged: a change by both could not be told from one of theirs removed & another added
+function mergeMappings(old, from, onto, keyPath, context, template) {
+	for (const name of getPositionalNames([old, from, onto])) {
+		const [oldEntries, fromEntries, ontoEntries] = [old, from, onto].map(node => getEntriesNamed(node, name))
+		if (fromEntries !== oldEntries && ontoEntries !== oldEntries && fromEntries !== ontoEntries) {
+			return { conflict: name === null ? keyPath : [...keyPath, name] }
+		}
+	}
+
+	const oldEntries = new Map((old ? old.entries : []).map(entry => [entry.key, entry]))
+	const fromEntries = new Map(from.entries.map(entry => [entry.key, entry]))
+	const ontoKeys = new Set(onto.entries.map(entry => entry.key))
+
+	const entries = []
+	for (const entry of onto.entries) {
+		const oldEntry = oldEntries.get(entry.key)
+		const fromEntry = fromEntries.get(entry.key)
+
+		if (!fromEntry) {
+			// removed by `from`, unless `onto` added it
+			if (!oldEntry) {
+				entries.push(entry)
+			} else if (oldEntry.node.canonical !== entry.node.canonical) {
+				return { conflict: [...keyPath, entry.key] }
+			}
+			continue
+		}
+
+		const merged = mergeNodes(oldEntry ? oldEntry.node : null, fromEntry.node, entry.node, [...keyPath, entry.key], context)
+		if (merged.conflict) {
+			return merged
+		}
+		entries.push({ ...entry, node: merged.node })
+	}
+
+	for (const [idx, entry] of from.entries.entries()) {
+		if (ontoKeys.has(entry.key)) {
+			continue
+		}
+
+		// removed by `onto`, unless `from` added it
+		const oldEntry = oldEntries.get(entry.key)
+		if (oldEntry) {
+			if (oldEntry.node.canonical !== entry.node.canonical) {
+				return { conflict: [...keyPath, entry.key] }
+			}
+			continue
+		}
+
+		const previous = from.entries.slice(0, idx).reverse().find(({ key }) => entries.some(other => other.key === key))
+		const position = previous ? entries.findIndex(other => other.key === previous.key) + 1 : 0
+		entries.splice(position, 0, entry)
+	}
+
+	return { node: context.format.createMapping(entries, template) }
+}
+
+function getPositionalNames(nodes) {
+	const names = new Set()
+	for (const node of nodes) {
+		const counts = new Map()
+		// only the formats that tell positional entries apart give entries a `name`
+		for (const { name } of node ? node.entries.filter(entry => entry.name !== undefined) : []) {
+			counts.set(name, (counts.get(name) || 0) + 1)
+			if (name === null || counts.get(name) > 1) {
+				names.add(name)
+			}
+		}
+	}
+	return names
+}
+
+function getEntriesNamed(node, name) {
+	const entries = node ? node.entries.filter(entry => entry.name === name) : []
+	return JSON.stringify(entries.map(entry => [entry.key, entry.node.canonical.trim()]))
+}
+
+// Items are merged like lines (see merge3.js), each one as a whole
+function mergeSequences(old, from, onto, keyPath, context, template) {
+	const items = new Map()
+	for (const node of [old, from, onto]) {
+		for (const item of node ? node.items : []) {
+			items.set(item.canonical, item)
+		}
+	}
+
+	const canonicals = node => node ? node.items.map(item => item.canonical) : []
+	const regions = merge3(canonicals(old), canonicals(from), canonicals(onto))
+	if (regions.some(region => region.type === REGION_CONFLICT)) {
+		return { conflict: keyPath }
+	}
+
+	const merged = regions.flatMap(region => region.lines).map(canonical => items.get(canonical))
+	return { node: context.format.createSequence(merged, template) }
+}
+
+// A dependency both sides upgraded (or downgraded) differently gets the higher version
+function takeHigherDependencyVersion(keyPath, from, onto) {
+	if (keyPath.length !== 2 || !DEPENDENCY_FIELDS.includes(keyPath[0]) || from.type !== NODE_SCALAR || onto.type !== NODE_SCALAR) {
+		return null
+	}
+
+	const [fromVersion, ontoVersion] = [from, onto].map(node => parseVersion(JSON.parse(node.canonical)))
+	if (!fromVersion || !ontoVersion) {
+		return null
+	}
+
+	const difference = fromVersion.map((part, idx) => part - ontoVersion[idx]).find(part => part !== 0)
+	return difference > 0 ? from : onto
+}
+
+// [major, minor, patch] of a version range like "^1.2.3", or null if it is not that simple
+function parseVersion(range) {
+	const match = typeof range === "string" && range.match(/^[\^~]?v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/)
+	return match ? match.slice(1).map(part => Number(part || 0)) : null
+}
+
+function formatKeyPath(keyPath) {
+	return keyPath.length === 0 ? "the whole document" : `"${keyPath.join(".")}"`
+}
+
+module.exports = {
+	getFileFormat,
+	getLockfileCommand,
+	mergeStructured,
+	validateStructured,
+	parseVersion,
+	FORMAT_JSON,
+	FORMAT_YAML,
+	FORMAT_PACKAGE_JSON,
+	FORMAT_JAVASCRIPT,
+	FORMAT_TYPESCRIPT,
+	FORMAT_TSX,
+	FORMAT_LOCKFILE,
+	LOCKFILE_COMMANDS,
+}
@@ -0,0 +1,421 @@
+const path = require("path")
+
+const { applyHunks, splitLines, OP_TYPE_REMOVE, OP_TYPE_CONTEXT } = require("./apply-patch.js")
+const { createHunks, toLines, fromLines } = require("./diff.js")
+const { merge3, REGION_CONFLICT } = require("./merge3.js")
+const { loadConfig } = require("./config.js")
+const { getAttribute, getRepoRoot } = require("./git.js")
+
+const RULE_IDENTICAL = "identical"
+const RULE_ONE_SIDE_UNCHANGED = "one-side-unchanged"
+const RULE_NON_OVERLAPPING = "non-overlapping"
+const RULE_DELTA_APPLY = "delta-apply"
+const RULE_WHITESPACE_ONLY = "whitespace-only"
+const RULE_UNION = "union"
+const RULE_WORD_MERGE = "word-merge"
+
+// The gitattribute that enables a rule for a path, e.g. `CHANGELOG.md conflict-strategy=union`
+const ATTRIBUTE_STRATEGY = "conflict-strategy"
+
+// what the wildcards of path patterns match, see matchesPattern
+const GLOB_PARTS = {
+	"**/": "(?:.*/)?",
+	"**": ".*",
+	"*": "[^/]*",
+	"?": "[^/]",
+}
+
+// How much a resolution can be trusted:
+// clean = every change was located exactly, fuzzy = some only by dropping context lines,
+// ignoring trailing whitespace, or in a place that is not the only candidate,
+// partial = some changes could not be located at all
+const VERDICT_CLEAN = "clean"
+const VERDICT_FUZZY = "fuzzy"
+const VERDICT_PARTIAL = "partial"
+
+// Which delta is transplanted by delta-apply:
+// theirs = OLD -> NEW_OLD onto NEW, ours = OLD -> NEW onto NEW_OLD,
+// auto = the smaller of both, checked against the other one
+const DIRECTION_THEIRS = "theirs"
+const DIRECTION_OURS = "ours"
+const DIRECTION_AUTO = "auto"
+const DIRECTIONS = [DIRECTION_THEIRS, DIRECTION_OURS, DIRECTION_AUTO]
+
+// A rule gets the sections of a conflict hunk as { newOld, old, new } texts, and returns
+// { content, verdict } if it can resolve it (verdict defaults to clean), { reason } if it cannot,
+// or null if it does not apply. Fuzzy & partial results may list `unmatchedRemovals` (lines),
+// `ambiguousMatches` ({ line, count }) and `contextNotFound` (lines placed by their position alone),
+// partial ones should give a `reason`.
+// Any result may list the lines it merged word by word as `wordMerges`.
+// The union rule is only there with `union` set, see isUnionEnabled.
+// `whitespace` sets how delta-apply compares lines, see applyHunks
+function getBuiltinRules({ direction = DIRECTION_THEIRS, union = false, whitespace = {} } = {}) {
+	return [
+		{
+			// both sides made the same change
+			name: RULE_IDENTICAL,
+			resolve: sections => sections.newOld === sections.new ? { content: sections.new } : null,
+		},
+		{
+			// only one side changed anything, take it
+			name: RULE_ONE_SIDE_UNCHANGED,
+			resolve: sections => {
+				if (sections.newOld === sections.old) {
+					return { content: sections.new }
+				}
+				if (sections.new === sections.old) {
+					return { content: sections.newOld }
+				}
+				return null
+			},
+		},
+		{
+			// the sides changed different lines of OLD, take both changes
+			name: RULE_NON_OVERLAPPING,
+			resolve: sections => {
+				const regions = merge3(toLines(sections.old), toLines(sections.newOld), toLines(sections.new))
+				if (regions.some(region => region.type === REGION_CONFLICT)) {
+					return null
+				}
+				return { content: fromLines(regions.flatMap(region => region.lines)) }
+			},
+		},
+		...(union ? [{
+			// both sides only added lines, take the lines of both
+			name: RULE_UNION,
+			resolve: mergeUnion,
+		}] : []),
+		{
+			// the sides changed different words of the same lines, take both changes
+			name: RULE_WORD_MERGE,
+			resolve: mergeWords,
+		},
+		{
+			// transplant one side's changes onto the other side
+			name: RULE_DELTA_APPLY,
+			resolve: sections => {
+				const { lines, rejected, matches, mismatch, direction: applied } = transplantDelta(sections, direction, whitespace)
+				if (mismatch) {
+					return { reason: "OLD -> NEW_OLD onto NEW and OLD -> NEW onto NEW_OLD give different results" }
+				}
+
+				const result = {
+					content: lines.join(""),
+					unmatchedRemovals: rejected.flatMap(hunk => hunk.operations
+						.filter(([opType]) => opType === OP_TYPE_REMOVE)
+						.map(([, line]) => line)),
+					ambiguousMatches: matches
+						.filter(match => match.ambiguous)
+						.map(match => ({ line: match.position + 1, count: match.count })),
+					contextNotFound: matches.filter(match => !match.located).map(match => match.position + 1),
+				}
+
+				if (rejected.length > 0) {
+					const [from, onto] = applied === DIRECTION_OURS ? ["NEW", "NEW_OLD"] : ["NEW_OLD", "NEW"]
+					const reason = `${rejected.length} change(s) from OLD -> ${from} could not be located in ${onto}`
+					return { ...result, verdict: VERDICT_PARTIAL, reason }
+				}
+
+				const fuzzy = matches.some(match => match.fuzz > 0 || !match.exact || match.ambiguous || !match.located)
+				return { ...result, verdict: fuzzy ? VERDICT_FUZZY : VERDICT_CLEAN }
+			},
+		},
+		{
+			// one side only re-indented or re-spaced lines, take the other side's change
+			name: RULE_WHITESPACE_ONLY,
+			resolve: sections => {
+				const oldLines = normalizeWhitespace(sections.old)
+				const newOldOnlyWhitespace = linesEqual(normalizeWhitespace(sections.newOld), oldLines)
+				const newOnlyWhitespace = linesEqual(normalizeWhitespace(sections.new), oldLines)
+
+				if (newOldOnlyWhitespace && !newOnlyWhitespace) {
+					return { content: sections.new }
+				}
+				if (newOnlyWhitespace && !newOldOnlyWhitespace) {
+					return { content: sections.newOld }
+				}
+				return null
+			},
+		},
+	]
+}
+
+const BUILTIN_RULES = getBuiltinRules()
+
+// The lines of OLD with the lines both sides added -- in order if every version has its lines in order
+// (e.g. a sorted list of imports), otherwise NEW_OLD's additions first. Null if a side removed or changed any line
+function mergeUnion(sections) {
+	const [old, newOld, newLines] = [sections.old, sections.newOld, sections.new].map(toLines)
+	const onlyAdds = side => createHunks(old, side).every(hunk => hunk.operations.every(([opType]) => opType !== OP_TYPE_REMOVE))
+	if (!onlyAdds(newOld) || !onlyAdds(newLines)) {
+		return null
+	}
+
+	if ([old, newOld, newLines].every(isSorted)) {
+		// lines that both sides added are taken once
+		const lines = [...newOld]
+		const remaining = [...newOld]
+		for (const line of newLines) {
+			const idx = remaining.indexOf(line)
+			if (idx === -1) {
+				lines.push(line)
+			} else {
+				remaining.splice(idx, 1)
+			}
+		}
+		return { content: fromLines(lines.sort(compareLines)) }
+	}
+
+	const lines = merge3(old, newOld, newLines).flatMap(region => region.type === REGION_CONFLICT
+		? [...region.ours, ...region.theirs.filter(line => !region.ours.includes(line))]
+		: region.lines)
+	return { content: fromLines(lines) }
+}
+
+// Lines that both sides changed, merged like lines are (see merge3.js), but word by word.
+// Only applies where both sides changed as many lines as OLD has there, so that the lines pair up,
+// and if some line was changed by both -- adjacent lines changed by one side each are left to the other rules
+function mergeWords(sections) {
+	const regions = merge3(toLines(sections.old), toLines(sections.newOld), toLines(sections.new))
+	if (!regions.some(region => region.type === REGION_CONFLICT)) {
+		return null
+	}
+
+	const lines = []
+	const wordMerges = []
+	for (const region of regions) {
+		if (region.type !== REGION_CONFLICT) {
+			lines.push(...region.lines)
+			continue
+		}
+
+		const { base, ours, theirs } = region
+		if (base.length === 0 || ours.length !== base.length || theirs.length !== base.length) {
+			return null
+		}
+
+		for (const [idx, line] of base.entries()) {
+			const wordRegions = merge3(splitWords(line), splitWords(ours[idx]), splitWords(theirs[idx]))
+			if (wordRegions.some(wordRegion => wordRegion.type === REGION_CONFLICT)) {
+				return { reason: `both sides changed the same words of ${JSON.stringify(line)}` }
+			}
+
+			const merged = wordRegions.flatMap(wordRegion => wordRegion.lines).join("")
+			if (ours[idx] !== line && theirs[idx] !== line && ours[idx] !== theirs[idx]) {
+				wordMerges.push(merged)
+			}
+			lines.push(merged)
+		}
+	}
+
+	return wordMerges.length > 0 ? { content: fromLines(lines), wordMerges } : null
+}
+
+// Words, runs of whitespace, and single punctuation characters, which join back into the line
+function splitWords(line) {
+	return line.match(/[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu) || []
+}
+
+function isSorted(lines) {
+	return lines.every((line, idx) => idx === 0 || compareLines(lines[idx - 1], line) <= 0)
+}
+
+function compareLines(a, b) {
+	const [left, right] = [a.trim(), b.trim()]
+	return left < right ? -1 : left > right ? 1 : 0
+}
+
+// Apply one side's changes (OLD -> side) onto the other side, see DIRECTIONS.
+// Returns { lines, rejected, direction, size }, where `rejected` are the changes that could not be located
+// and `size` is the number of changed lines.
+// In auto direction, `mismatch` is set if both deltas can be transplanted, but give different results.
+// `whitespace` are the applyHunks options of how lines are compared
+function transplantDelta(sections, direction = DIRECTION_THEIRS, whitespace = {}) {
+	if (direction === DIRECTION_AUTO) {
+		return transplantSmallerDelta(sections, whitespace)
+	}
+
+	const [from, onto] = direction === DIRECTION_OURS ? [sections.new, sections.newOld] : [sections.newOld, sections.new]
+	const hunks = createHunks(toLines(sections.old), toLines(from))
+
+	return { ...applyHunks(splitLines(onto), hunks, { whitespace }), direction, size: countChanges(hunks) }
+}
+
+function transplantSmallerDelta(sections, whitespace) {
+	// the smaller delta is the easier one to transplant, so it goes first
+	const [first, second] = [DIRECTION_THEIRS, DIRECTION_OURS]
+		.map(direction => transplantDelta(sections, direction, whitespace))
+		.sort((a, b) => a.size - b.size)
+
+	if (first.rejected.length === 0 && second.rejected.length === 0) {
+		return { ...first, mismatch: first.lines.join("") !== second.lines.join("") }
+	}
+
+	return second.rejected.length < first.rejected.length ? second : first
+}
+
+function countChanges(hunks) {
+	return hunks.reduce((acc, hunk) => acc + hunk.operations.filter(([opType]) => opType !== OP_TYPE_CONTEXT).length, 0)
+}
+
+function normalizeWhitespace(text) {
+	return toLines(text).map(line => line.trim().replace(/\s+/g, " "))
+}
+
+function linesEqual(a, b) {
+	return a.length === b.length && a.every((line, idx) => line === b[idx])
+}
+
+// Try the rules in order. The first clean resolution wins,
+// otherwise the first fuzzy one if `options.allowFuzzy` is set.
+// Returns { resolved, verdict, content, rule, unmatchedRemovals, ambiguousMatches, contextNotFound, wordMerges },
+// or { resolved: false, reason } without any resolution at all.
+// Fuzzy & partial resolutions that are not accepted come with a `reason` as well
+function applyRules(sections, rules = BUILTIN_RULES, options = {}) {
+	let reason = null
+	let fuzzy = null
+	let partial = null
+
+	for (const rule of rules) {
+		let result
+		try {
+			result = rule.resolve(sections)
+		} catch (error) {
+			result = { reason: `rule ${rule.name} failed: ${error.message}` }
+		}
+
+		if (result && typeof result.content === "string") {
+			const resolution = {
+				verdict: result.verdict || VERDICT_CLEAN,
+				content: result.content,
+				rule: rule.name,
+				unmatchedRemovals: result.unmatchedRemovals || [],
+				ambiguousMatches: result.ambiguousMatches || [],
+				contextNotFound: result.contextNotFound || [],
+				wordMerges: result.wordMerges || [],
+			}
+
+			if (resolution.verdict === VERDICT_CLEAN) {
+				return { resolved: true, ...resolution }
+			}
+			if (resolution.verdict === VERDICT_FUZZY) {
+				fuzzy = fuzzy || resolution
+			} else {
+				partial = partial || { ...resolution, reason: result.reason || "some changes could not be located" }
+			}
+		} else if (result && result.reason) {
+			reason = result.reason
+		}
+	}
+
+	if (fuzzy && options.allowFuzzy) {
+		return { resolved: true, ...fuzzy }
+	}
+	if (fuzzy) {
+		return { resolved: false, ...fuzzy, reason: `only a fuzzy resolution was found (by ${fuzzy.rule}), use --allow-fuzzy to apply it` }
+	}
+	if (partial) {
+		return { resolved: false, ...partial }
+	}
+
+	return { resolved: false, reason: reason || "no resolution rule applies" }
+}
+
+const customRulesCache = new Map()
+
+// The rule modules listed in the config of the repository of `dir`, followed by the builtin rules.
+// `options` are passed to the builtin rules (see getBuiltinRules)
+function loadRules(dir = process.cwd(), options = {}) {
+	return [...loadCustomRules(loadConfig(dir)), ...getBuiltinRules(options)]
+}
+
+// The rules for the file: the custom ones of its repository, and the builtin ones enabled for its path
+function loadRulesFor(filename, options = {}) {
+	return loadRules(path.dirname(path.resolve(filename)), { ...options, union: isUnionEnabled(filename) })
+}
+
+// Whether the union rule is enabled for the file, by its `conflict-strategy=union` attribute,
+// or by the `union` patterns of the config (matched like in .gitattributes, from the root of the repository)
+function isUnionEnabled(filename) {
+	if (getAttribute(filename, ATTRIBUTE_STRATEGY) === RULE_UNION) {
+		return true
+	}
+
+	const dir = path.dirname(path.resolve(filename))
+	const { union = [] } = loadConfig(dir)
+	if (union.length === 0) {
+		return false
+	}
+
+	let root = process.cwd()
+	try {
+		root = getRepoRoot(dir)
+	} catch (error) {
+		// not in a repository, patterns are relative to the working directory
+	}
+
+	const relativePath = path.relative(root, path.resolve(filename)).split(path.sep).join("/")
+	return union.some(pattern => matchesPattern(pattern, relativePath))
+}
+
+// Patterns without a slash match the file name in any directory, others the whole path.
+// `*` & `?` do not match slashes, `**` does
+function matchesPattern(pattern, relativePath) {
+	const source = pattern
+		.replace(/^\//, "")
+		.replace(/\*\*\/|\*\*|\*|\?|[^*?]+/g, part => GLOB_PARTS[part] || part.replace(/[.+^${}()|[\]\\]/g, "\\$&"))
+
+	const subject = pattern.includes("/") ? relativePath : path.posix.basename(relativePath)
+	return new RegExp(`^${source}$`).test(subject)
+}
+
+// Modules that cannot be loaded are skipped with a warning
+function loadCustomRules(config) {
+	if (customRulesCache.has(config)) {
+		return customRulesCache.get(config)
+	}
+
+	const customRules = config.rules.flatMap(({ module, configFile }) => {
+		try {
+			const modulePath = require.resolve(module, { paths: [path.dirname(configFile)] })
+			const exported = require(modulePath)
+			const rules = Array.isArray(exported) ? exported : [exported]
+			for (const rule of rules) {
+				if (!rule || typeof rule.name !== "string" || typeof rule.resolve !== "function") {
+					throw new Error("a rule must have a name and a resolve function")
+				}
+			}
+			return rules
+		} catch (error) {
+			console.error(`Warning: ignoring rule module ${module} of ${configFile}: ${error.message}`)
+			return []
+		}
+	})
+
+	customRulesCache.set(config, customRules)
+	return customRules
+}
+
+module.exports = {
+	applyRules,
+	transplantDelta,
+	loadRules,
+	loadRulesFor,
+	isUnionEnabled,
+	getBuiltinRules,
+	BUILTIN_RULES,
+	RULE_IDENTICAL,
+	RULE_ONE_SIDE_UNCHANGED,
+	RULE_NON_OVERLAPPING,
+	RULE_DELTA_APPLY,
+	RULE_WHITESPACE_ONLY,
+	RULE_UNION,
+	RULE_WORD_MERGE,
+	VERDICT_CLEAN,
+	VERDICT_FUZZY,
+	VERDICT_PARTIAL,
+	DIRECTION_THEIRS,
+	DIRECTION_OURS,
+	DIRECTION_AUTO,
+	DIRECTIONS,
+}
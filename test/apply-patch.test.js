@@ -2,8 +2,11 @@ const fs = require("fs")
 const path = require("path")
 const os = require("os")
 const crypto = require("crypto")
+const { spawnSync } = require("child_process")
 
-const { applyPatch } = require("../apply-patch.js")
+const { applyPatch, parseUnifiedDiff, applyOperations, applyHunks } = require("../apply-patch.js")
+
+const CLI = path.join(__dirname, "..", "apply-patch.js")
 
 function createTempFile(content = "") {
 	const randomHex = crypto.randomBytes(8).toString("hex")
@@ -71,7 +74,7 @@ line3
 		applyPatch([targetFile, diffFile])
 
 		const result = fs.readFileSync(targetFile, "utf-8")
-		expect(result).toBe("line2\nline1\nline3\n")
+		expect(result).toBe("line1\nline2\nline3\n")
 	})
 
 	test("should remove multiple lines", () => {
@@ -120,7 +123,7 @@ line5
 		applyPatch([targetFile, diffFile])
 
 		const result = fs.readFileSync(targetFile, "utf-8")
-		expect(result).toBe("line2\nline3\nline4\nline1\nline5\n")
+		expect(result).toBe("line1\nline2\nline3\nline4\nline5\n")
 	})
 
 	test("should handle mixed operations (remove + add)", () => {
@@ -143,7 +146,7 @@ line3
 		applyPatch([targetFile, diffFile])
 
 		const result = fs.readFileSync(targetFile, "utf-8")
-		expect(result).toBe("line2-modified\nline1\nline3\n")
+		expect(result).toBe("line1\nline2-modified\nline3\n")
 	})
 
 	test("should handle lines with trailing whitespace", () => {
@@ -206,4 +209,386 @@ line3
 		const result = fs.readFileSync(targetFile, "utf-8")
 		expect(result).toBe("line1\nline2\nline3\n")
 	})
+
+	test("should not remove duplicates of a removed line elsewhere in the file", () => {
+		const targetFile = createTempFile(`\
+function a() {
+	return null
+}
+
+function b() {
+	return null
+}
+`)
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -4,4 +4,3 @@
+ 
+ function b() {
+-	return null
+ }
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		applyPatch([targetFile, diffFile])
+
+		const result = fs.readFileSync(targetFile, "utf-8")
+		expect(result).toBe("function a() {\n\treturn null\n}\n\nfunction b() {\n}\n")
+	})
+
+	test("should locate a hunk at an offset from its header position", () => {
+		const targetFile = createTempFile(`\
+new1
+new2
+line1
+line2
+line3
+`)
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -1,3 +1,3 @@
+ line1
+-line2
++line2-modified
+ line3
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		applyPatch([targetFile, diffFile])
+
+		const result = fs.readFileSync(targetFile, "utf-8")
+		expect(result).toBe("new1\nnew2\nline1\nline2-modified\nline3\n")
+	})
+
+	test("should apply a hunk with mismatching context using fuzz", () => {
+		const targetFile = createTempFile(`\
+line1-changed
+line2
+line3
+`)
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -1,3 +1,3 @@
+ line1
+-line2
++line2-modified
+ line3
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		applyPatch([targetFile, diffFile])
+
+		const result = fs.readFileSync(targetFile, "utf-8")
+		expect(result).toBe("line1-changed\nline2-modified\nline3\n")
+	})
+
+	test("should apply the hunks it can locate, and report the others", () => {
+		const targetFile = createTempFile("a\nb\nc\nd\ne\nf\ng\nh\ni\n")
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -1,2 +1,2 @@
+-a
++A
+ b
+@@ -8,2 +8,2 @@
+ h
+-missing
++replacement
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		const result = spawnSync("node", [CLI, targetFile, diffFile], { encoding: "utf-8" })
+
+		expect(result.status).toBe(1)
+		expect(result.stderr).toBe(`Error: 1 of 2 hunk(s) could not be located in ${targetFile}:\n--- ${targetFile}\n+++ ${targetFile}\n@@ -8,2 +8,2 @@\n h\n-missing\n+replacement\n\n`)
+		expect(fs.readFileSync(targetFile, "utf-8")).toBe("A\nb\nc\nd\ne\nf\ng\nh\ni\n")
+
+		// applied already
+		expect(() => applyPatch([targetFile, diffFile])).toThrow(/2 of 2 hunk\(s\) could not be located/)
+	})
+
+	test("should apply multiple hunks in order", () => {
+		const targetFile = createTempFile(`\
+a
+b
+c
+d
+e
+f
+g
+h
+i
+j
+`)
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -1,2 +1,3 @@
+ a
++a2
+ b
+@@ -8,3 +9,2 @@
+ h
+-i
+ j
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		applyPatch([targetFile, diffFile])
+
+		const result = fs.readFileSync(targetFile, "utf-8")
+		expect(result).toBe("a\na2\nb\nc\nd\ne\nf\ng\nh\nj\n")
+	})
+
+	test("should keep CRLF line endings and the BOM of the target", () => {
+		const targetFile = createTempFile("\uFEFFline1\r\nline2\r\nline3\r\n")
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -1,3 +1,3 @@
+ line1
+-line2
++line2-modified
+ line3
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		applyPatch([targetFile, diffFile])
+
+		expect(fs.readFileSync(targetFile, "utf-8")).toBe("\uFEFFline1\r\nline2-modified\r\nline3\r\n")
+	})
+
+	test("should follow the diff about the final newline", () => {
+		const targetFile = createTempFile("a\nb")
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -1,2 +1,3 @@
+ a
+-b
+\\ No newline at end of file
++b
++c
+\\ No newline at end of file
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		applyPatch([targetFile, diffFile])
+
+		expect(fs.readFileSync(targetFile, "utf-8")).toBe("a\nb\nc")
+	})
+
+	test("should keep the encoding of the target, and refuse binary targets", () => {
+		const targetFile = createTempFile(Buffer.from("café\nline2\n", "latin1"))
+		const diffFile = createTempDiff(`\
+--- old
++++ new
+@@ -1,2 +1,2 @@
+ café
+-line2
++line2-modified
+`)
+		tempFiles.push(targetFile, diffFile)
+
+		applyPatch([targetFile, diffFile])
+		expect(fs.readFileSync(targetFile).toString("latin1")).toBe("café\nline2-modified\n")
+
+		const binary = Buffer.from("café\nline2\0\n")
+		fs.writeFileSync(targetFile, binary)
+		// applied already
+		expect(() => applyPatch([targetFile, diffFile])).toThrow(`${targetFile}: binary file, refusing to patch it`)
+		expect(fs.readFileSync(targetFile).equals(binary)).toBe(true)
+	})
+
+	test("should not join a last line without a newline with the lines added after it", () => {
+		const hunks = parseUnifiedDiff(`\
+@@ -1,2 +1,3 @@
+ a
+ b
++c
+`)
+
+		expect(applyOperations(["a\n", "b"], hunks)).toEqual(["a\n", "b\n", "c\n"])
+	})
+
+	describe("applyHunks", () => {
+		const hunks = parseUnifiedDiff(`\
+--- old
++++ new
+@@ -1,3 +1,3 @@
+ line1
+-line2
++line2-modified
+ line3
+`)
+
+		test("should report how each hunk matched", () => {
+			const { matches } = applyHunks(["line1\n", "line2\n", "line3\n"], hunks)
+
+			expect(matches).toEqual([{ hunk: hunks[0], position: 0, fuzz: 0, exact: true, ambiguous: false, count: 1, located: true }])
+		})
+
+		test("should report fuzz, inexact and ambiguous matches", () => {
+			const fuzzy = applyHunks(["line1-changed\n", "line2 \n", "line3\n"], hunks)
+			expect(fuzzy.matches[0]).toMatchObject({ position: 1, fuzz: 1, exact: false, ambiguous: false })
+
+			const ambiguous = applyHunks(["line2\n", "line3\n", "x\n", "line2\n", "line3\n"], hunks)
+			expect(ambiguous.matches[0]).toMatchObject({ position: 0, fuzz: 1, ambiguous: true, count: 2 })
+		})
+
+		test("should locate re-indented lines when ignoring whitespace, and re-indent the added lines", () => {
+			const indented = parseUnifiedDiff(`\
+@@ -1,2 +1,3 @@
+ \tsetup()
++\tlog()
+ \trun()
+`)
+			// wrapped in a block
+			const targetLines = ["if (ready) {\n", "\t\tsetup()\n", "\t\trun()\n", "}\n"]
+
+			expect(applyHunks(targetLines, indented, { fuzz: 0 }).rejected).toEqual(indented)
+
+			const spaceChange = applyHunks(targetLines, indented, { whitespace: { ignoreSpaceChange: true } })
+			expect(spaceChange.lines).toEqual(["if (ready) {\n", "\t\tsetup()\n", "\t\tlog()\n", "\t\trun()\n", "}\n"])
+			expect(spaceChange.matches[0]).toMatchObject({ position: 1, fuzz: 0, exact: true })
+
+			const allSpace = applyHunks(["  setup ( )\n", "  run ( )\n"], indented, { whitespace: { ignoreAllSpace: true } })
+			expect(allSpace.lines).toEqual(["  setup ( )\n", "  log()\n", "  run ( )\n"])
+		})
+
+		test("should keep added lines as they are when the lines around them were re-indented differently", () => {
+			const targetLines = ["\t\tsetup()\n", "    run()\n"]
+
+			const { lines } = applyHunks(targetLines, parseUnifiedDiff("@@ -1,2 +1,3 @@\n \tsetup()\n+\tlog()\n \trun()\n"), { whitespace: { ignoreSpaceChange: true } })
+
+			expect(lines).toEqual(["\t\tsetup()\n", "\tlog()\n", "    run()\n"])
+		})
+
+		test("should not place a hunk by its line number alone, once its context is not found", () => {
+			const hunks = parseUnifiedDiff("@@ -2,3 +2,4 @@\n a()\n b()\n+x()\n c()\n")
+			const targetLines = ["if (ok) {\n", "\ta()\n", "\tb()\n", "\tc()\n", "}\n"]
+
+			expect(applyHunks(targetLines, hunks, { fuzz: Infinity })).toMatchObject({ lines: targetLines, rejected: hunks })
+			expect(applyHunks(targetLines, hunks, { whitespace: { ignoreAllSpace: true } }).lines).toEqual([
+				"if (ok) {\n", "\ta()\n", "\tb()\n", "\tx()\n", "\tc()\n", "}\n",
+			])
+		})
+
+		test("should drop at most 2 context lines at either end by default", () => {
+			const hunks = parseUnifiedDiff("@@ -1,7 +1,7 @@\n a\n b\n c\n-d\n+D\n e\n f\n g\n")
+
+			expect(applyHunks(["x\n", "y\n", "c\n", "d\n", "e\n", "f\n", "g\n"], hunks).matches[0]).toMatchObject({ fuzz: 2 })
+			expect(applyHunks(["x\n", "y\n", "z\n", "d\n", "e\n", "f\n", "g\n"], hunks).rejected).toEqual(hunks)
+		})
+
+		test("should skip blank lines either side does not have when ignoring blank lines", () => {
+			const hunks = parseUnifiedDiff("@@ -1,4 +1,3 @@\n a\n \n-b\n c\n")
+			const targetLines = ["a\n", "b\n", "\n", "c\n"]
+
+			expect(applyHunks(targetLines, hunks, { fuzz: 0 }).rejected).toEqual(hunks)
+
+			const { lines, matches } = applyHunks(targetLines, hunks, { fuzz: 0, whitespace: { ignoreBlankLines: true } })
+			expect(lines).toEqual(["a\n", "\n", "c\n"])
+			expect(matches[0]).toMatchObject({ position: 0, exact: true, ambiguous: false })
+		})
+	})
+
+	describe("parseUnifiedDiff", () => {
+		test("should keep hunk headers and context lines", () => {
+			const hunks = parseUnifiedDiff(`\
+--- old
++++ new
+@@ -1,3 +1,3 @@
+ line1
+-line2
++line2-modified
+ line3
+@@ -10 +10,0 @@
+-line10
+`)
+
+			expect(hunks).toEqual([
+				{
+					oldStart: 1,
+					oldCount: 3,
+					newStart: 1,
+					newCount: 3,
+					operations: [
+						["context", "line1"],
+						["remove", "line2"],
+						["add", "line2-modified"],
+						["context", "line3"],
+					],
+				},
+				{
+					oldStart: 10,
+					oldCount: 1,
+					newStart: 10,
+					newCount: 0,
+					operations: [
+						["remove", "line10"],
+					],
+				},
+			])
+		})
+
+		test("should mark lines followed by \"\\ No newline at end of file\"", () => {
+			const hunks = parseUnifiedDiff(`\
+@@ -1 +1 @@
+-a
+\\ No newline at end of file
++a
+`)
+
+			expect(hunks[0].operations).toEqual([
+				["remove", "a\n"],
+				["add", "a"],
+			])
+		})
+
+		test("should not mistake removed lines starting with dashes for file headers", () => {
+			const hunks = parseUnifiedDiff(`\
+--- old
++++ new
+@@ -1,2 +1,1 @@
+--- a
+ b
+`)
+
+			expect(hunks[0].operations).toEqual([
+				["remove", "-- a"],
+				["context", "b"],
+			])
+		})
+	})
+
+	describe("applyOperations", () => {
+		test("should skip hunks that cannot be located", () => {
+			const hunks = parseUnifiedDiff(`\
+@@ -1,1 +1,1 @@
+-missing
++replacement
+`)
+
+			expect(applyOperations(["line1\n", "line2\n"], hunks)).toEqual(["line1\n", "line2\n"])
+		})
+
+		test("should not drop more context than the fuzz option allows", () => {
+			const hunks = parseUnifiedDiff(`\
+@@ -1,3 +1,3 @@
+ line1
+-line2
++line2-modified
+ line3
+`)
+			const targetLines = ["line1-changed\n", "line2\n", "line3\n"]
+
+			expect(applyOperations(targetLines, hunks, { fuzz: 0 })).toEqual(targetLines)
+			expect(applyOperations(targetLines, hunks, { fuzz: 1 })).toEqual(["line1-changed\n", "line2-modified\n", "line3\n"])
+		})
+	})
 })
@@ -0,0 +1,163 @@
+const { parseConflictRegions, matchMarker } = require("../conflict-markers.js")
+
+function parse(text, options) {
+	return parseConflictRegions(text.split("\n"), options)
+}
+
+describe("conflict-markers.js", () => {
+	describe("matchMarker", () => {
+		test("should require the exact marker size", () => {
+			expect(matchMarker("<<<<<<< HEAD", "<", 7)).toBe("HEAD")
+			expect(matchMarker("<<<<<<<< HEAD", "<", 7)).toBeNull()
+			expect(matchMarker("<<<<<< HEAD", "<", 7)).toBeNull()
+			expect(matchMarker("<<<<<<<<<< HEAD", "<", 10)).toBe("HEAD")
+		})
+
+		test("should require a space and label after <<< and >>> markers", () => {
+			expect(matchMarker("<<<<<<<", "<", 7)).toBeNull()
+			expect(matchMarker("<<<<<<<HEAD", "<", 7)).toBeNull()
+			expect(matchMarker(">>>>>>> branch (message)", ">", 7)).toBe("branch (message)")
+		})
+
+		test("should allow ||| and === markers without a label, but not followed by text", () => {
+			expect(matchMarker("=======", "=", 7)).toBe("")
+			expect(matchMarker("=======\r", "=", 7)).toBe("")
+			expect(matchMarker("|||||||", "|", 7)).toBe("")
+			expect(matchMarker("||||||| parent of abc123", "|", 7)).toBe("parent of abc123")
+			expect(matchMarker("=======foo", "=", 7)).toBeNull()
+			expect(matchMarker("==========", "=", 7)).toBeNull()
+		})
+	})
+
+	describe("parseConflictRegions", () => {
+		test("should find regions with their sections and labels", () => {
+			const { regions, errors } = parse(`\
+before
+<<<<<<< HEAD
+ours
+||||||| parent
+base
+=======
+theirs
+>>>>>>> branch
+after
+`)
+
+			expect(errors).toEqual([])
+			expect(regions).toEqual([
+				{
+					startLine: 1,
+					endLine: 7,
+					markerSize: 7,
+					labels: { ours: "HEAD", base: "parent", theirs: "branch" },
+					ours: [2, 3],
+					base: [4, 5],
+					theirs: [6, 7],
+					children: [],
+				},
+			])
+		})
+
+		test("should have no base section for 2-way conflicts", () => {
+			const { regions } = parse("<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\n")
+
+			expect(regions[0].base).toBeNull()
+			expect(regions[0].labels.base).toBeNull()
+		})
+
+		test("should honor a custom marker size", () => {
+			const text = `\
+<<<<<<<<<< HEAD
+=======
+ours
+||||||||||
+base
+==========
+theirs
+>>>>>>>>>> branch
+`
+			expect(parse(text).regions).toEqual([])
+
+			const { regions, errors } = parse(text, { markerSize: 10 })
+
+			expect(errors).toEqual([])
+			expect(regions[0].ours).toEqual([1, 3])
+			expect(regions[0].base).toEqual([4, 5])
+			expect(regions[0].labels.base).toBe("")
+		})
+
+		test("should treat markdown and RST headings outside of conflicts as text", () => {
+			const { regions, errors } = parse(`\
+Title
+=======
+
+Section
+=======================
+<<<<<<< HEAD
+ours
+||||||| parent
+base
+=======
+theirs
+>>>>>>> branch
+`)
+
+			expect(errors).toEqual([])
+			expect(regions.length).toBe(1)
+			expect(regions[0].startLine).toBe(5)
+		})
+
+		test("should support nested conflicts from recursive merges", () => {
+			const { regions, errors } = parse(`\
+1
+<<<<<<< HEAD
+A
+||||||| merged common ancestors
+<<<<<<<<< Temporary merge branch 1
+Y
+||||||||| 1def846
+2
+=========
+X
+>>>>>>>>> Temporary merge branch 2
+=======
+B
+>>>>>>> B
+3
+`)
+
+			expect(errors).toEqual([])
+			expect(regions.length).toBe(1)
+			expect(regions[0]).toMatchObject({ startLine: 1, endLine: 13, ours: [2, 3], base: [4, 11], theirs: [12, 13] })
+			expect(regions[0].children).toEqual([
+				expect.objectContaining({ startLine: 4, endLine: 10, markerSize: 9, labels: { ours: "Temporary merge branch 1", base: "1def846", theirs: "Temporary merge branch 2" } }),
+			])
+		})
+
+		test("should report malformed regions with line numbers", () => {
+			const { regions, errors } = parse(`\
+<<<<<<< HEAD
+ours
+>>>>>>> branch
+>>>>>>> stray
+<<<<<<< HEAD
+ours
+=======
+theirs
+=======
+more
+>>>>>>> branch
+<<<<<<< HEAD
+never ends
+`)
+
+			expect(regions).toEqual([])
+			expect(errors).toEqual([
+				{ line: 3, message: "conflict at lines 1-3 has no ======= marker" },
+				{ line: 4, message: ">>>>>>> marker without a matching <<<<<<< marker" },
+				{ line: 9, message: "duplicate ======= marker in conflict starting at line 5" },
+				{ line: 12, message: "conflict starting at line 12 is not terminated" },
+			])
+		})
+	})
+})
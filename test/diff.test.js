@@ -0,0 +1,151 @@
+const { toLines, diffLines, createHunks, createUnifiedDiff, colorizeDiff } = require("../diff.js")
+const { applyOperations } = require("../apply-patch.js")
+
+describe("diff.js", () => {
+	describe("toLines", () => {
+		test("should split text into lines without the trailing newline", () => {
+			expect(toLines("a\nb\n")).toEqual(["a", "b"])
+			expect(toLines("a\nb")).toEqual(["a", "b"])
+			expect(toLines("\n")).toEqual([""])
+			expect(toLines("")).toEqual([])
+		})
+	})
+
+	describe("diffLines", () => {
+		test("should produce a minimal edit script", () => {
+			const edits = diffLines(["a", "b", "c", "a", "b", "b", "a"], ["c", "b", "a", "b", "a", "c"])
+
+			const changes = edits.filter(([opType]) => opType !== "context")
+			expect(changes.length).toBe(5)
+		})
+
+		test("should join runs of changes where they can slide, like git", () => {
+			const edits = diffLines(["x", "a", "b", "c", "b", "y"], ["x", "b", "y"])
+
+			expect(edits.map(([opType, line]) => `${opType[0]} ${line}`)).toEqual(["c x", "r a", "r b", "r c", "c b", "c y"])
+		})
+
+		test("should diff completely rewritten inputs in linear space", () => {
+			const oldLines = Array.from({ length: 5000 }, (_, i) => `old${i}`)
+			const newLines = Array.from({ length: 5000 }, (_, i) => `new${i}`)
+
+			const edits = diffLines(oldLines, newLines)
+
+			expect(edits.filter(([opType]) => opType === "remove").length).toBe(5000)
+			expect(edits.filter(([opType]) => opType === "add").length).toBe(5000)
+		})
+
+		test("should keep common prefix and suffix as context", () => {
+			expect(diffLines(["a", "b", "c"], ["a", "x", "c"])).toEqual([
+				["context", "a"],
+				["remove", "b"],
+				["add", "x"],
+				["context", "c"],
+			])
+		})
+	})
+
+	describe("createUnifiedDiff", () => {
+		test("should format the same output as `diff -u`", () => {
+			const oldText = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl\n"
+			const newText = "a\nB\nc\nd\ne\nf\ng\nh\nj\nk\nl\nm\n"
+
+			expect(createUnifiedDiff(oldText, newText)).toBe(`\
+--- old
++++ new
+@@ -1,12 +1,12 @@
+ a
+-b
++B
+ c
+ d
+ e
+ f
+ g
+ h
+-i
+ j
+ k
+ l
++m
+`)
+		})
+
+		test("should split distant changes into separate hunks", () => {
+			const oldLines = Array.from({ length: 20 }, (_, i) => `line${i + 1}`)
+			const newLines = oldLines.map(line => (line === "line2" || line === "line18" ? line + "-modified" : line))
+
+			expect(createUnifiedDiff(oldLines.join("\n") + "\n", newLines.join("\n") + "\n", { oldLabel: "a/f", newLabel: "b/f" })).toBe(`\
+--- a/f
++++ b/f
+@@ -1,5 +1,5 @@
+ line1
+-line2
++line2-modified
+ line3
+ line4
+ line5
+@@ -15,6 +15,6 @@
+ line15
+ line16
+ line17
+-line18
++line18-modified
+ line19
+ line20
+`)
+		})
+
+		test("should point empty ranges at the line before them", () => {
+			expect(createUnifiedDiff("x\n", "")).toBe("--- old\n+++ new\n@@ -1 +0,0 @@\n-x\n")
+			expect(createUnifiedDiff("", "x\ny\n")).toBe("--- old\n+++ new\n@@ -0,0 +1,2 @@\n+x\n+y\n")
+		})
+
+		test("should return an empty string when there are no differences", () => {
+			expect(createUnifiedDiff("a\nb\n", "a\nb\n")).toBe("")
+		})
+
+		test("should mark a last line without a newline", () => {
+			expect(createUnifiedDiff("a\nb", "a\nc")).toBe("--- old\n+++ new\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+c\n\\ No newline at end of file\n")
+			expect(createUnifiedDiff("a\nb", "a\nb\n")).toBe("--- old\n+++ new\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n")
+		})
+	})
+
+	describe("colorizeDiff", () => {
+		test("should color headers, ranges, removals & additions", () => {
+			const diff = "--- old\n+++ new\n@@ -1 +1 @@\n--- removed\n+added\n context\n"
+
+			expect(colorizeDiff(diff)).toBe([
+				"\x1b[1m--- old\x1b[m",
+				"\x1b[1m+++ new\x1b[m",
+				"\x1b[36m@@ -1 +1 @@\x1b[m",
+				"\x1b[31m--- removed\x1b[m",
+				"\x1b[32m+added\x1b[m",
+				" context",
+			].join("\n") + "\n")
+		})
+	})
+
+	describe("createHunks", () => {
+		test("should produce hunks that turn old into new when applied", () => {
+			const oldLines = ["a", "b", "c", "a", "b", "b", "a", "d", "e", "f", "g", "h", "i"]
+			const newLines = ["c", "b", "a", "b", "a", "c", "d", "e", "x", "f", "g", "i", "j"]
+
+			const hunks = createHunks(oldLines, newLines)
+			const result = applyOperations(oldLines.map(line => line + "\n"), hunks, { fuzz: 0 })
+
+			expect(result).toEqual(newLines.map(line => line + "\n"))
+		})
+
+		test("should diff large inputs quickly", () => {
+			const oldLines = Array.from({ length: 20000 }, (_, i) => `line${i}`)
+			const newLines = oldLines.filter((_, i) => i % 100 !== 0)
+
+			const start = Date.now()
+			const hunks = createHunks(oldLines, newLines)
+
+			expect(hunks.length).toBe(200)
+			expect(Date.now() - start).toBeLessThan(5000)
+		})
+	})
+})
@@ -0,0 +1,82 @@
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { detectEncoding, decodeBuffer, encodeString, readEncodedFile } = require("../encoding.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+const utf16le = text => Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, "utf16le")])
+
+describe("encoding.js", () => {
+	describe("detectEncoding", () => {
+		test("should take UTF-8 when it is valid, and Latin-1 otherwise", () => {
+			expect(detectEncoding(Buffer.from("café\n"))).toEqual({ encoding: "utf-8" })
+			expect(detectEncoding(Buffer.from("café\n", "latin1"))).toEqual({ encoding: "latin1" })
+		})
+
+		test("should tell UTF-16 by its BOM", () => {
+			expect(detectEncoding(utf16le("a\n"))).toEqual({ encoding: "utf-16le" })
+			expect(detectEncoding(Buffer.from([0xfe, 0xff, 0, 0x61, 0, 0x0a]))).toEqual({ encoding: "utf-16be" })
+		})
+
+		test("should refuse binary content", () => {
+			expect(detectEncoding(Buffer.from("a\0b\n"))).toEqual({ error: "binary file", binary: true })
+		})
+
+		test("should honor a declared encoding, and refuse content that is not valid in it", () => {
+			expect(detectEncoding(Buffer.from("café\n", "latin1"), "ISO-8859-1")).toEqual({ encoding: "latin1" })
+			expect(detectEncoding(utf16le("a\n"), "UTF-16")).toEqual({ encoding: "utf-16le" })
+			expect(detectEncoding(Buffer.from("café\n", "latin1"), "UTF-8")).toEqual({ error: "not valid UTF-8" })
+			expect(detectEncoding(Buffer.from("a\n"), "SHIFT-JIS")).toEqual({ error: "unsupported working-tree-encoding: SHIFT-JIS" })
+		})
+	})
+
+	describe("decodeBuffer & encodeString", () => {
+		test("should round-trip each encoding byte for byte", () => {
+			for (const [encoding, buffer] of [
+				["utf-8", Buffer.from("\uFEFFcafé\r\n")],
+				["latin1", Buffer.from("café\n", "latin1")],
+				["utf-16le", utf16le("café\n")],
+				["utf-16be", Buffer.from(utf16le("café\n")).swap16()],
+			]) {
+				const content = decodeBuffer(buffer, encoding)
+				expect(content).toMatch(/café/)
+				expect(encodeString(content, encoding).equals(buffer)).toBe(true)
+			}
+		})
+	})
+
+	describe("working-tree-encoding", () => {
+		let repo
+
+		beforeEach(() => {
+			repo = createRepo({ conflictStyle: "merge" })
+			repo.write(".gitattributes", "*.txt working-tree-encoding=UTF-16LE-BOM\n")
+		})
+
+		afterEach(() => {
+			repo.cleanup()
+		})
+
+		test("should read files in their declared encoding", () => {
+			repo.write("file.txt", utf16le("café\n"))
+
+			expect(readEncodedFile(path.join(repo.dir, "file.txt"))).toEqual({ content: "\uFEFFcafé\n", encoding: "utf-16le" })
+		})
+
+		test("should resolve them, recovering 2-way conflicts from the UTF-8 blobs of the index", () => {
+			createConflict(repo, {
+				base: { "file.txt": utf16le("a\nline-1\nb\n") },
+				ours: { "file.txt": utf16le("a\nligne-0 é\nb\n") },
+				theirs: { "file.txt": utf16le("a\nline-1\nline-2\nb\n") },
+			})
+
+			const result = spawnSync("node", [CLI, "resolve", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(fs.readFileSync(path.join(repo.dir, "file.txt")).equals(utf16le("a\nligne-0 é\nline-2\nb\n"))).toBe(true)
+		})
+	})
+})
@@ -0,0 +1,67 @@
+const fs = require("fs")
+const path = require("path")
+const os = require("os")
+const { execFileSync } = require("child_process")
+
+const { getJournalFile } = require("../journal.js")
+
+// A throwaway git repository for tests that need real merges
+function createRepo({ conflictStyle = "diff3" } = {}) {
+	const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "test-repo-")))
+
+	const git = (...args) => execFileSync("git", args, {
+		cwd: dir,
+		encoding: "utf-8",
+		stdio: ["ignore", "pipe", "pipe"],
+	})
+
+	// for commands that are expected to fail, e.g. a conflicting merge
+	const gitMayFail = (...args) => {
+		try {
+			return git(...args)
+		} catch (error) {
+			return error.stdout
+		}
+	}
+
+	git("init", "-q", "-b", "main")
+	git("config", "user.name", "test")
+	git("config", "user.email", "test@example.com")
+	git("config", "commit.gpgsign", "false")
+	git("config", "merge.conflictStyle", conflictStyle)
+
+	const write = (file, content) => {
+		const filepath = path.join(dir, file)
+		fs.mkdirSync(path.dirname(filepath), { recursive: true })
+		fs.writeFileSync(filepath, content)
+	}
+
+	const read = file => fs.readFileSync(path.join(dir, file), "utf-8")
+
+	const commit = (message, files) => {
+		for (const [file, content] of Object.entries(files)) {
+			write(file, content)
+		}
+		git("add", "-A")
+		git("commit", "-q", "-m", message)
+	}
+
+	const cleanup = () => {
+		fs.rmSync(dir, { recursive: true, force: true })
+		fs.rmSync(getJournalFile(dir), { force: true })
+	}
+
+	return { dir, git, gitMayFail, write, read, commit, cleanup }
+}
+
+// Commit `base` on main, `ours` on main & `theirs` on a branch, then merge the branch into main
+function createConflict(repo, { base, ours, theirs }) {
+	repo.commit("base", base)
+	repo.git("checkout", "-q", "-b", "theirs")
+	repo.commit("theirs", theirs)
+	repo.git("checkout", "-q", "main")
+	repo.commit("ours", ours)
+	repo.gitMayFail("merge", "-q", "--no-edit", "theirs")
+}
+
+module.exports = { createRepo, createConflict }
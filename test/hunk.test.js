@@ -2,21 +2,33 @@ const fs = require("fs")
 const path = require("path")
 const os = require("os")
 const crypto = require("crypto")
+const { spawnSync } = require("child_process")
 
+const { createRepo, createConflict } = require("./git-repo.js")
 const {
 	findFirstConflictHunk,
+	findAllConflictHunks,
+	splitConflictSections,
+	recoverOldSections,
+	tryResolveHunk,
+	resolveAllHunks,
+	applyResolvedHunks,
+	replaceConflictHunks,
 	parseConflictMarkers,
 	resolveHunk,
 	applyResolvedHunk,
-	saveUndoState,
 	performUndo,
-	CONFIG_DIR,
-	UNDO_STATE_FILE,
 } = require("../hunk.js")
+const { getJournalFile, getJournalScope, readJournal, hashContent } = require("../journal.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+// a directory of its own, so that the undo journal of these tests is not shared
+const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "test-hunk-")))
 
 function createTempFile(content = "") {
 	const randomHex = crypto.randomBytes(8).toString("hex")
-	const tempFile = path.join(os.tmpdir(), `test-hunk-${randomHex}.txt`)
+	const tempFile = path.join(tempDir, `test-hunk-${randomHex}.txt`)
 	fs.writeFileSync(tempFile, content)
 	return tempFile
 }
@@ -33,10 +45,11 @@ describe("hunk.js", () => {
 		})
 		tempFiles = []
 
-		// Clean up undo state
-		if (fs.existsSync(UNDO_STATE_FILE)) {
-			fs.unlinkSync(UNDO_STATE_FILE)
-		}
+		fs.rmSync(getJournalFile(tempDir), { force: true })
+	})
+
+	afterAll(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true })
 	})
 
 	describe("findFirstConflictHunk", () => {
@@ -109,6 +122,544 @@ but no ending marker
 		})
 	})
 
+	const multiConflictContent = `\
+header
+<<<<<<< HEAD
+    line-2
+||||||| parent
+    line-1
+    line-2
+=======
+    line-1
+    line-2
+    line-3
+>>>>>>> branch
+middle
+<<<<<<< HEAD
+    two-way-ours
+=======
+    two-way-theirs
+>>>>>>> branch
+between
+<<<<<<< HEAD
+    kept
+||||||| parent
+    removed
+    kept
+=======
+    removed
+    kept
+    added
+>>>>>>> branch
+footer
+`
+
+	describe("findAllConflictHunks", () => {
+		test("should find every conflict hunk", () => {
+			const result = findAllConflictHunks(multiConflictContent)
+
+			expect(result.map(({ startLine, endLine }) => [startLine, endLine])).toEqual([
+				[1, 10],
+				[12, 16],
+				[18, 27],
+			])
+			expect(result[1].hunkText).toBe("<<<<<<< HEAD\n    two-way-ours\n=======\n    two-way-theirs\n>>>>>>> branch\n")
+		})
+
+		test("should return an empty list when no conflict markers found", () => {
+			expect(findAllConflictHunks("no conflicts\n")).toEqual([])
+		})
+	})
+
+	describe("tryResolveHunk", () => {
+		test("should resolve a 3-way conflict", () => {
+			const result = tryResolveHunk("<<<<<<< HEAD\n||||||| parent\n    line-1\n=======\n    line-1\n    line-2\n>>>>>>> branch\n")
+
+			expect(result.resolved).toBe(true)
+			expect(result.content).toBe("    line-2\n")
+		})
+
+		test("should refuse a 2-way conflict", () => {
+			const result = tryResolveHunk("<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\n")
+
+			expect(result.resolved).toBe(false)
+			expect(result.reason).toMatch(/2-way/)
+		})
+
+		test("should refuse when a change cannot be located in NEW", () => {
+			const result = tryResolveHunk("<<<<<<< HEAD\nb\n||||||| parent\na\n=======\nc\n>>>>>>> branch\n")
+
+			expect(result.resolved).toBe(false)
+			expect(result.reason).toMatch(/could not be located/)
+		})
+	})
+
+	describe("applyResolvedHunks", () => {
+		test("should resolve multiple hunks in one write and undo them all", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const conflictInfos = findAllConflictHunks(multiConflictContent)
+			const resolutions = [conflictInfos[0], conflictInfos[2]].map(conflictInfo => ({
+				conflictInfo,
+				resolvedContent: tryResolveHunk(conflictInfo.hunkText).content,
+			}))
+
+			applyResolvedHunks(tempFile, resolutions)
+
+			const result = fs.readFileSync(tempFile, "utf-8")
+			expect(result).toBe(`\
+header
+    line-2
+    line-3
+middle
+<<<<<<< HEAD
+    two-way-ours
+=======
+    two-way-theirs
+>>>>>>> branch
+between
+    kept
+    added
+footer
+`)
+
+			performUndo(tempDir)
+
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(multiConflictContent)
+		})
+	})
+
+	describe("line endings, BOM & final newline", () => {
+		const crlf = text => text.replace(/\n/g, "\r\n")
+
+		test("should resolve CRLF files with a BOM and keep both", () => {
+			const content = "\uFEFF" + crlf(multiConflictContent)
+			const tempFile = createTempFile(content)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+
+			expect(result.stdout).toContain("Resolved 2 of 3 conflicts")
+			const resolved = fs.readFileSync(tempFile, "utf-8")
+			expect(resolved).toMatch(/^\uFEFFheader\r\n    line-2\r\n    line-3\r\nmiddle\r\n/)
+			expect(resolved.replace(/\r\n/g, "")).not.toContain("\n")
+		})
+
+		test("should keep the line ending of each line outside the conflicts of a mixed file", () => {
+			const content = crlf(multiConflictContent).replace("middle\r\n", "middle\n").replace("footer\r\n", "footer\n")
+			const tempFile = createTempFile(content)
+			tempFiles.push(tempFile)
+
+			spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+
+			const resolved = fs.readFileSync(tempFile, "utf-8")
+			expect(resolved).toMatch(/^header\r\n    line-2\r\n    line-3\r\nmiddle\n<<<<<<< HEAD\r\n/)
+			expect(resolved).toMatch(/\r\n    kept\r\n    added\r\nfooter\n$/)
+		})
+
+		test("should keep a missing final newline when the last conflict ends the file", () => {
+			const content = multiConflictContent.replace(/\n$/, "").replace(/\nfooter$/, "")
+			const tempFile = createTempFile(content)
+			tempFiles.push(tempFile)
+
+			spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+
+			expect(fs.readFileSync(tempFile, "utf-8")).toMatch(/\n    kept\n    added$/)
+		})
+
+		test("should print a --diff that applies to the CRLF file", () => {
+			const tempFile = createTempFile(crlf(multiConflictContent))
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", path.basename(tempFile), "--all", "--diff"], { cwd: tempDir, encoding: "utf-8" })
+
+			expect(result.stdout).toContain("\n-<<<<<<< HEAD\r\n")
+			const check = spawnSync("git", ["apply", "--check"], { cwd: tempDir, input: result.stdout, encoding: "utf-8" })
+			expect(check.stderr).toBe("")
+		})
+	})
+
+	describe("encodings & binary files", () => {
+		test("should resolve Latin-1 & UTF-16 files and write them back in their encoding", () => {
+			const content = multiConflictContent.replace("header", "en-tête façade")
+			for (const [encoding, bytes] of [
+				["latin1", Buffer.from(content, "latin1")],
+				["utf16le", Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(content, "utf16le")])],
+			]) {
+				const tempFile = createTempFile(bytes)
+				tempFiles.push(tempFile)
+
+				const result = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+
+				expect(result.stdout).toContain("Resolved 2 of 3 conflicts")
+				const resolved = fs.readFileSync(tempFile).toString(encoding)
+				expect(resolved).toMatch(/^(\uFEFF)?en-tête façade\n    line-2\n    line-3\nmiddle\n/)
+			}
+		})
+
+		test("should refuse binary files, and leave them as they are", () => {
+			const bytes = Buffer.concat([Buffer.from(multiConflictContent), Buffer.from([0, 1, 2])])
+			const tempFile = createTempFile(bytes)
+			tempFiles.push(tempFile)
+
+			for (const flags of [[], ["--all", "-a"], ["--json"]]) {
+				const result = spawnSync("node", [CLI, "hunk", tempFile, ...flags], { encoding: "utf-8" })
+
+				expect(result.status).toBe(1)
+				expect(result.stdout).toBe("")
+				expect(result.stderr).toBe(`Error: ${tempFile}: binary file, refusing to resolve it\n`)
+			}
+			expect(fs.readFileSync(tempFile).equals(bytes)).toBe(true)
+		})
+	})
+
+	describe("hunk --direction", () => {
+		// NEW_OLD rewrote the block, except for the line NEW changed
+		const rewrittenContent = "<<<<<<< HEAD\nx\nb\ny\n||||||| parent\na\nb\nc\n=======\na\nB\nc\n>>>>>>> branch\n"
+
+		test("should transplant OLD -> NEW onto NEW_OLD", () => {
+			const tempFile = createTempFile(rewrittenContent)
+			tempFiles.push(tempFile)
+
+			const theirs = spawnSync("node", [CLI, "hunk", tempFile, "--all"], { encoding: "utf-8" })
+			expect(theirs.stderr).toContain("left unresolved: 1 change(s) from OLD -> NEW_OLD could not be located in NEW")
+
+			const ours = spawnSync("node", [CLI, "hunk", tempFile, "--all", "--direction", "ours", "--allow-fuzzy"], { encoding: "utf-8" })
+			expect(ours.stderr).toContain("resolved (delta-apply, fuzzy)")
+			expect(ours.stdout).toBe("x\nB\ny\n")
+		})
+
+		test("should reject an unknown direction", () => {
+			const tempFile = createTempFile(rewrittenContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--direction=up"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(1)
+			expect(result.stderr).toBe("Error: Invalid direction: up (expected one of theirs, ours, auto)\n")
+		})
+	})
+
+	describe("hunk --ignore-space-change", () => {
+		test("should resolve where the other side re-indented the lines, keeping its indentation", () => {
+			const fileContent = "function main() {\n<<<<<<< HEAD\n\tsetup()\n\tlog()\n\trun()\n||||||| parent\n\tsetup()\n\trun()\n=======\n\tif (ready) {\n\t\tsetup()\n\t\trun()\n\t}\n>>>>>>> branch\n}\n"
+			const tempFile = createTempFile(fileContent)
+			tempFiles.push(tempFile)
+
+			const strict = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+			expect(strict.stdout).toContain("hunk 1 (lines 2-14): left unresolved")
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a", "-b"], { encoding: "utf-8" })
+			expect(result.stdout).toContain("hunk 1 (lines 2-14): resolved (delta-apply, clean)")
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe("function main() {\n\tif (ready) {\n\t\tsetup()\n\t\tlog()\n\t\trun()\n\t}\n}\n")
+		})
+	})
+
+	describe("verdicts", () => {
+		test("should leave a partial resolution unapplied, with an explanation", () => {
+			const fileContent = "<<<<<<< HEAD\nb\n||||||| parent\na\n=======\nc\n>>>>>>> branch\n"
+			const tempFile = createTempFile(fileContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "-a"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(1)
+			expect(result.stderr).toBe(`\
+Error: 1 change(s) from OLD -> NEW_OLD could not be located in NEW
+  unmatched removal: "a"
+The conflict markers were left in ${tempFile}
+`)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(fileContent)
+		})
+
+		test("should apply a fuzzy resolution only with --allow-fuzzy", () => {
+			// the context lines of "b" are gone in NEW
+			const fileContent = "<<<<<<< HEAD\na\nB\nc\n||||||| parent\na\nb\nc\n=======\nx\nb\ny\n>>>>>>> branch\n"
+			const tempFile = createTempFile(fileContent)
+			tempFiles.push(tempFile)
+
+			const strict = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+			expect(strict.stdout).toContain("left unresolved: only a fuzzy resolution was found (by delta-apply), use --allow-fuzzy to apply it")
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(fileContent)
+
+			const fuzzy = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a", "--allow-fuzzy"], { encoding: "utf-8" })
+			expect(fuzzy.stdout).toContain("resolved (delta-apply, fuzzy)")
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe("x\nB\ny\n")
+		})
+
+		test("should report the lines that were merged word by word", () => {
+			const fileContent = "<<<<<<< HEAD\nconnect(host, 8080, tls)\n||||||| parent\nconnect(host, 80, tls)\n=======\nconnect(host, 80, plain)\n>>>>>>> branch\n"
+			const tempFile = createTempFile(fileContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+
+			expect(result.stdout).toBe(`\
+Resolved 1 of 1 conflicts in ${tempFile}
+  hunk 1 (lines 1-7): resolved (word-merge, clean)
+    merged word by word: "connect(host, 8080, plain)"
+`)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe("connect(host, 8080, plain)\n")
+		})
+	})
+
+	describe("hunk --json", () => {
+		test("should describe the first hunk, and whether it was applied", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--json", "-a"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(JSON.parse(result.stdout)).toEqual({
+				version: 1,
+				command: "hunk",
+				files: [{
+					file: tempFile,
+					hunks: [{
+						index: 0,
+						startLine: 2,
+						endLine: 11,
+						sections: { newOld: "    line-2\n", old: "    line-1\n    line-2\n", new: "    line-1\n    line-2\n    line-3\n" },
+						resolution: "    line-2\n    line-3\n",
+						strategy: "non-overlapping",
+						confidence: "clean",
+						resolved: true,
+						applied: true,
+						reason: null,
+						unmatchedRemovals: [],
+						ambiguousMatches: [],
+						contextNotFound: [],
+						wordMerges: [],
+					}],
+					errors: [],
+				}],
+			})
+			expect(fs.readFileSync(tempFile, "utf-8")).toContain("header\n    line-2\n    line-3\nmiddle\n")
+		})
+
+		test("should describe every hunk with --all, including unresolved ones & marker errors", () => {
+			const fileContent = multiConflictContent + "<<<<<<< HEAD\nnever ends\n"
+			const tempFile = createTempFile(fileContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all", "--json"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(result.stderr).toBe("")
+
+			const [file] = JSON.parse(result.stdout).files
+			expect(file.hunks.map(hunk => [hunk.index, hunk.resolved, hunk.applied, hunk.strategy])).toEqual([
+				[0, true, false, "non-overlapping"],
+				[1, false, false, null],
+				[2, true, false, "non-overlapping"],
+			])
+			expect(file.hunks[1]).toMatchObject({
+				sections: { newOld: "    two-way-ours\n", old: null, new: "    two-way-theirs\n" },
+				resolution: null,
+				confidence: null,
+				reason: "2-way conflict format (no OLD section), and no index stages to recover it from (is the file unmerged?)",
+			})
+			expect(file.errors).toEqual([{ line: 30, message: "conflict starting at line 30 is not terminated" }])
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(fileContent)
+		})
+
+		test("should report partial resolutions with their unmatched removals", () => {
+			const tempFile = createTempFile("<<<<<<< HEAD\nb\n||||||| parent\na\n=======\nc\n>>>>>>> branch\n")
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--json", "-a"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(1)
+			expect(JSON.parse(result.stdout).files[0].hunks[0]).toMatchObject({
+				resolution: "c\n",
+				strategy: "delta-apply",
+				confidence: "partial",
+				resolved: false,
+				applied: false,
+				unmatchedRemovals: ["a"],
+			})
+		})
+	})
+
+	describe("hunk --all", () => {
+		test("should resolve all resolvable hunks and report the rest", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+
+			// like resolve, hunks left unresolved are an error
+			expect(result.status).toBe(1)
+			expect(result.stdout).toBe(`\
+Resolved 2 of 3 conflicts in ${tempFile}
+  hunk 1 (lines 2-11): resolved (non-overlapping, clean)
+  hunk 2 (lines 13-17): left unresolved: 2-way conflict format (no OLD section), and no index stages to recover it from (is the file unmerged?)
+  hunk 3 (lines 19-28): resolved (non-overlapping, clean)
+`)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe("header\n    line-2\n    line-3\nmiddle\n<<<<<<< HEAD\n    two-way-ours\n=======\n    two-way-theirs\n>>>>>>> branch\nbetween\n    kept\n    added\nfooter\n")
+		})
+
+		test("should exit with 0 only once every hunk is resolved, and no markers are malformed", () => {
+			const resolvable = multiConflictContent.replace("<<<<<<< HEAD\n    two-way-ours\n=======\n    two-way-theirs\n>>>>>>> branch\n", "")
+			const tempFile = createTempFile(resolvable)
+			tempFiles.push(tempFile)
+
+			expect(spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" }).status).toBe(0)
+
+			fs.writeFileSync(tempFile, resolvable + "<<<<<<< HEAD\nunterminated\n")
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all", "-a"], { encoding: "utf-8" })
+			expect(result.stdout).toContain("Resolved 2 of 2 conflicts")
+			expect(result.status).toBe(1)
+		})
+
+		test("should print the resolved file without modifying it when not applying", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(result.stdout).toContain("header\n    line-2\n    line-3\nmiddle\n<<<<<<< HEAD\n")
+			expect(result.stderr).toContain("Resolved 2 of 3 conflicts")
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(multiConflictContent)
+		})
+	})
+
+	describe("hunk --diff", () => {
+		test("should print what applying every resolvable hunk would change, without changing the file", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", path.basename(tempFile), "--all", "--diff"], { cwd: tempDir, encoding: "utf-8" })
+
+			const name = path.basename(tempFile)
+			// like -a, hunks left unresolved are an error
+			expect(result.status).toBe(1)
+			expect(result.stdout).toBe(`\
+diff --git a/${name} b/${name}
+--- a/${name}
++++ b/${name}
+@@ -1,14 +1,6 @@
+ header
+-<<<<<<< HEAD
+-    line-2
+-||||||| parent
+-    line-1
+-    line-2
+-=======
+-    line-1
+     line-2
+     line-3
+->>>>>>> branch
+ middle
+ <<<<<<< HEAD
+     two-way-ours
+@@ -16,14 +8,6 @@
+     two-way-theirs
+ >>>>>>> branch
+ between
+-<<<<<<< HEAD
+-    kept
+-||||||| parent
+-    removed
+-    kept
+-=======
+-    removed
+     kept
+     added
+->>>>>>> branch
+ footer
+`)
+			expect(result.stderr).toContain("Resolved 2 of 3 conflicts")
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(multiConflictContent)
+		})
+
+		test("should only include the first hunk without --all", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--diff"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(result.stdout).toContain("@@ -1,14 +1,6 @@\n")
+			expect(result.stdout).not.toContain("-    removed\n")
+		})
+
+		test("should fail with an empty diff when the first hunk cannot be resolved", () => {
+			const tempFile = createTempFile("<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\n")
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--diff"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(1)
+			expect(result.stdout).toBe("")
+			expect(result.stderr).toContain("Error: 2-way conflict format (no OLD section)")
+		})
+
+		test("should color the diff only when asked to, or printing to a terminal", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const plain = spawnSync("node", [CLI, "hunk", tempFile, "--diff"], { encoding: "utf-8" })
+			const colored = spawnSync("node", [CLI, "hunk", tempFile, "--diff", "--color"], { encoding: "utf-8" })
+			const invalid = spawnSync("node", [CLI, "hunk", tempFile, "--diff", "--color=sometimes"], { encoding: "utf-8" })
+
+			expect(plain.stdout).not.toContain("\x1b[")
+			expect(colored.stdout).toContain("\x1b[31m-<<<<<<< HEAD\x1b[m\n")
+			expect(invalid.status).toBe(1)
+			expect(invalid.stderr).toContain("Error: Invalid color mode: sometimes")
+		})
+
+		test("should not be combined with -a", () => {
+			const tempFile = createTempFile(multiConflictContent)
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--diff", "-a"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(1)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(multiConflictContent)
+		})
+
+		describe("in a repository", () => {
+			let repo
+
+			beforeEach(() => {
+				repo = createRepo()
+			})
+
+			afterEach(() => {
+				repo.cleanup()
+			})
+
+			test("should give a patch that git applies the same as -a", () => {
+				createConflict(repo, {
+					base: { "sub/file.txt": "a\nline-1\nb\nc\nd\ne\nf\ng\nh\nx\ni" },
+					ours: { "sub/file.txt": "a\nline-0\nb\nc\nd\ne\nf\ng\nh\nours\ni" },
+					theirs: { "sub/file.txt": "a\nline-1\nline-2\nb\nc\nd\ne\nf\ng\nh\ntheirs\ni" },
+				})
+				const subdir = path.join(repo.dir, "sub")
+				const conflicted = repo.read("sub/file.txt")
+
+				const result = spawnSync("node", [CLI, "hunk", "file.txt", "--all", "--diff"], { cwd: subdir, encoding: "utf-8" })
+				expect(result.stdout).toMatch(/^diff --git a\/sub\/file.txt b\/sub\/file.txt\n/)
+
+				const check = spawnSync("git", ["apply", "--check"], { cwd: subdir, input: result.stdout, encoding: "utf-8" })
+				expect(check.stderr).toBe("")
+				expect(check.status).toBe(0)
+
+				spawnSync("git", ["apply"], { cwd: repo.dir, input: result.stdout, encoding: "utf-8" })
+				const patched = repo.read("sub/file.txt")
+				repo.write("sub/file.txt", conflicted)
+				spawnSync("node", [CLI, "hunk", "file.txt", "--all", "-a"], { cwd: subdir, encoding: "utf-8" })
+
+				expect(patched).toBe(repo.read("sub/file.txt"))
+				expect(patched).toMatch(/^a\nline-0\nline-2\nb\n/)
+			})
+		})
+	})
+
 	describe("parseConflictMarkers", () => {
 		test("should parse 3-way conflict markers correctly", () => {
 			const hunkText = `\
@@ -125,7 +676,7 @@ but no ending marker
 
 			expect(result).not.toBeNull()
 			expect(result.old).toBe("    line-1\n")
-			expect(result.newOld).toBe("\n")
+			expect(result.newOld).toBe("")
 			expect(result.new).toBe("    line-1\n    line-2\n    line-3\n")
 		})
 
@@ -158,8 +709,8 @@ but no ending marker
 			const result = parseConflictMarkers(hunkText)
 
 			expect(result).not.toBeNull()
-			expect(result.old).toBe("\n")
-			expect(result.newOld).toBe("\n")
+			expect(result.old).toBe("")
+			expect(result.newOld).toBe("")
 			expect(result.new).toBe("    new-line\n")
 		})
 
@@ -171,6 +722,237 @@ but no ending marker
 		})
 	})
 
+	describe("splitConflictSections", () => {
+		test("should split sections into lines, with empty sections as empty lists", () => {
+			expect(splitConflictSections("<<<<<<< HEAD\n||||||| parent\nold\n=======\nnew-1\nnew-2\n>>>>>>> branch\n")).toEqual({
+				newOld: [],
+				old: ["old"],
+				new: ["new-1", "new-2"],
+			})
+		})
+
+		test("should return null for old when the conflict is 2-way", () => {
+			expect(splitConflictSections("<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\n").old).toBeNull()
+		})
+	})
+
+	describe("2-way conflicts", () => {
+		let repo
+
+		beforeEach(() => {
+			repo = createRepo({ conflictStyle: "merge" })
+		})
+
+		afterEach(() => {
+			repo.cleanup()
+		})
+
+		test("should recover the OLD section of each hunk from the index stages", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\nc\nd\ne\nf\ng\nh\nx\ni\n" },
+				ours: { "file.txt": "a\nline-0\nb\nc\nd\ne\nf\ng\nh\nours\ni\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\nc\nd\ne\nf\ng\nh\ntheirs\ni\n" },
+			})
+
+			const filename = path.join(repo.dir, "file.txt")
+			const fileContent = repo.read("file.txt")
+			const conflictInfos = findAllConflictHunks(fileContent)
+
+			expect(parseConflictMarkers(conflictInfos[0].hunkText).old).toBeNull()
+
+			const { sections, error } = recoverOldSections(filename, fileContent, conflictInfos)
+
+			expect(error).toBeUndefined()
+			expect(sections).toEqual([
+				{ newOld: "line-0\n", old: "line-1\n", new: "line-1\nline-2\n" },
+				{ newOld: "ours\n", old: "x\n", new: "theirs\n" },
+			])
+		})
+
+		test("should recover the OLD sections when git merged changes outside of the conflicts", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\nc\nd\ne\nf\ng\nh\nx\ni\nj\nk\nl\n" },
+				ours: { "file.txt": "a\nline-0\nb\nc\nd\ne\nf\ng\nh\nours\ni\nj\nk\nl\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\nc\nd\nE\nf\ng\nh\ntheirs\ni\nj\nk\nl\nm\n" },
+			})
+
+			const fileContent = repo.read("file.txt")
+			expect(fileContent).toMatch(/\nE\n.*\nl\nm\n$/s)
+
+			const { sections, error } = recoverOldSections(path.join(repo.dir, "file.txt"), fileContent, findAllConflictHunks(fileContent))
+
+			expect(error).toBeUndefined()
+			expect(sections).toEqual([
+				{ newOld: "line-0\n", old: "line-1\n", new: "line-1\nline-2\n" },
+				{ newOld: "ours\n", old: "x\n", new: "theirs\n" },
+			])
+
+			const result = spawnSync("node", [CLI, "hunk", "file.txt", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stdout).toContain("Resolved 1 of 2 conflicts in file.txt")
+			expect(repo.read("file.txt")).toMatch(/^a\nline-0\nline-2\nb\n/)
+		})
+
+		test("should recover lines that git moved out of the conflict", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nold\nb\n" },
+				ours: { "file.txt": "a\nsame\nours\nb\n" },
+				theirs: { "file.txt": "a\nsame\ntheirs\nb\n" },
+			})
+
+			const fileContent = repo.read("file.txt")
+			expect(fileContent).toBe("a\nsame\n<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> theirs\nb\n")
+
+			const { sections } = recoverOldSections(path.join(repo.dir, "file.txt"), fileContent, findAllConflictHunks(fileContent))
+
+			expect(sections[0].old).toBe("old\n")
+		})
+
+		test("should refuse when the file was edited since the merge", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\n" },
+				ours: { "file.txt": "a\nline-0\nb\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+			})
+
+			const fileContent = repo.read("file.txt").replace("a\n", "edited\n")
+			const { error } = recoverOldSections(path.join(repo.dir, "file.txt"), fileContent, findAllConflictHunks(fileContent))
+
+			expect(error).toBe("the file no longer matches its index stages")
+		})
+
+		test("should resolve 2-way conflicts with hunk --all", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\nc\nd\ne\nf\ng\nh\nx\ni\n" },
+				ours: { "file.txt": "a\nline-0\nb\nc\nd\ne\nf\ng\nh\nours\ni\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\nc\nd\ne\nf\ng\nh\ntheirs\ni\n" },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "file.txt", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stdout).toContain("Resolved 1 of 2 conflicts in file.txt")
+			expect(repo.read("file.txt")).toMatch(/^a\nline-0\nline-2\nb\n/)
+		})
+
+		test("should resolve the first 2-way conflict with hunk", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\n" },
+				ours: { "file.txt": "a\nline-0\nb\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "file.txt"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(result.stdout).toBe("line-0\nline-2\n")
+		})
+
+		test("should explain how to switch to diff3 when the base cannot be recovered", () => {
+			const tempFile = createTempFile("<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\n")
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile], { encoding: "utf-8" })
+
+			expect(result.status).toBe(1)
+			expect(result.stderr).toContain("git config --global merge.conflictstyle diff3")
+		})
+	})
+
+	describe("conflict marker size", () => {
+		test("should honor the conflict-marker-size attribute", () => {
+			const repo = createRepo()
+			try {
+				createConflict(repo, {
+					base: { ".gitattributes": "*.txt conflict-marker-size=10\n", "file.txt": "a\nline-1\nb\n" },
+					ours: { "file.txt": "a\nline-0\nb\n" },
+					theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+				})
+
+				expect(repo.read("file.txt")).toContain("<<<<<<<<<< HEAD\n")
+
+				const result = spawnSync("node", [CLI, "hunk", "file.txt", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.stdout).toContain("Resolved 1 of 1 conflicts in file.txt")
+				expect(repo.read("file.txt")).toBe("a\nline-0\nline-2\nb\n")
+			} finally {
+				repo.cleanup()
+			}
+		})
+
+		test("should take the marker size of a hunk from its first line", () => {
+			const sections = parseConflictMarkers("<<<<<<<<<< HEAD\n=======\n||||||||||\nbase\n==========\ntheirs\n>>>>>>>>>> branch\n")
+
+			expect(sections).toEqual({ newOld: "=======\n", old: "base\n", new: "theirs\n" })
+		})
+
+		test("should warn about malformed regions", () => {
+			const tempFile = createTempFile("<<<<<<< HEAD\n||||||| parent\nold\n=======\nold\nnew\n>>>>>>> branch\n<<<<<<< HEAD\nnever ends\n")
+			tempFiles.push(tempFile)
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--all"], { encoding: "utf-8" })
+
+			expect(result.stderr).toContain(`Warning: ${tempFile}:8: conflict starting at line 8 is not terminated`)
+			expect(result.stderr).toContain("Resolved 1 of 1 conflicts")
+		})
+	})
+
+	describe("zdiff3 conflicts", () => {
+		const versions = {
+			base: { "file.txt": "a\nline-1\nb\nc\nd\ne\nf\ng\nh\ni\nx\nj\n" },
+			ours: { "file.txt": "a\nP\nline-0\nb\nc\nd\ne\nf\ng\nh\ni\nQ\nline-3\nR\nj\n" },
+			theirs: { "file.txt": "a\nP\nline-1\nline-2\nb\nc\nd\ne\nf\ng\nh\ni\nQ\nx\nline-4\nR\nj\n" },
+		}
+
+		function resolveWithStyle(conflictStyle) {
+			const repo = createRepo({ conflictStyle })
+			try {
+				createConflict(repo, versions)
+
+				const fileContent = repo.read("file.txt")
+				const conflictInfos = findAllConflictHunks(fileContent)
+				const { resolutions } = resolveAllHunks(conflictInfos)
+
+				return {
+					fileContent,
+					conflictInfos,
+					resolved: replaceConflictHunks(fileContent, resolutions).content,
+				}
+			} finally {
+				repo.cleanup()
+			}
+		}
+
+		test("should parse zdiff3 markers, with common lines moved out of the conflict", () => {
+			const { fileContent, conflictInfos } = resolveWithStyle("zdiff3")
+
+			expect(fileContent).toMatch(/^a\nP\n<<<<<<< HEAD\n/)
+			expect(parseConflictMarkers(conflictInfos[0].hunkText)).toEqual({
+				newOld: "line-0\n",
+				old: "line-1\n",
+				new: "line-1\nline-2\n",
+			})
+		})
+
+		test("should resolve diff3 and zdiff3 conflicts to the same result", () => {
+			const diff3 = resolveWithStyle("diff3")
+			const zdiff3 = resolveWithStyle("zdiff3")
+
+			expect(diff3.fileContent).not.toBe(zdiff3.fileContent)
+			expect(diff3.resolved).toBe("a\nP\nline-0\nline-2\nb\nc\nd\ne\nf\ng\nh\ni\nQ\nline-3\nline-4\nR\nj\n")
+			expect(zdiff3.resolved).toBe(diff3.resolved)
+		})
+
+		test("should not duplicate lines that both sides added", () => {
+			const sections = {
+				old: "line-1\n",
+				newOld: "P\nline-0\n",
+				new: "P\nline-1\nline-2\n",
+			}
+
+			expect(resolveHunk(sections)).toBe("P\nline-0\nline-2\n")
+		})
+	})
+
 	describe("resolveHunk", () => {
 		test("should resolve conflict with line removed in new_old", () => {
 			const sections = {
@@ -193,7 +975,7 @@ but no ending marker
 
 			const result = resolveHunk(sections)
 
-			expect(result).toBe("    line-2\n    line-1\n    line-3\n    line-4\n")
+			expect(result).toBe("    line-1\n    line-2\n    line-3\n    line-4\n")
 		})
 
 		test("should handle no difference between old and new_old", () => {
@@ -246,7 +1028,7 @@ After conflict
 			expect(result).toBe("Before conflict\n    new-line\nAfter conflict\n")
 		})
 
-		test("should save undo state when applying resolved hunk", () => {
+		test("should journal the operation with content hashes", () => {
 			const fileContent = `\
 <<<<<<< HEAD
 ||||||| parent
@@ -263,13 +1045,16 @@ After conflict
 
 			applyResolvedHunk(tempFile, conflictInfo, resolvedContent)
 
-			expect(fs.existsSync(UNDO_STATE_FILE)).toBe(true)
-
-			const undoState = JSON.parse(fs.readFileSync(UNDO_STATE_FILE, "utf-8"))
-			expect(undoState.filepath).toBe(path.resolve(tempFile))
-			expect(undoState.originalHunk).toBe("<<<<<<< HEAD\n||||||| parent\n    old\n=======\n    new\n>>>>>>> branch\n")
-			expect(undoState.lineStart).toBe(0)
-			expect(undoState.lineEnd).toBe(5)
+			const journal = readJournal(getJournalScope(tempDir))
+			expect(journal.undo.length).toBe(1)
+			expect(journal.undo[0].files).toEqual([{
+				filepath: tempFile,
+				before: fileContent,
+				after: "    resolved\n",
+				beforeHash: hashContent(fileContent),
+				afterHash: hashContent("    resolved\n"),
+				encoding: "utf-8",
+			}])
 		})
 
 		test("should preserve content before and after conflict", () => {
@@ -310,32 +1095,69 @@ Line 4
 			applyResolvedHunk(tempFile, conflictInfo, resolvedContent)
 
 			// Now undo it
-			performUndo()
+			performUndo(tempDir)
 
 			const result = fs.readFileSync(tempFile, "utf-8")
 			expect(result).toBe("<<<<<<< HEAD\n||||||| parent\n    old\n=======\n    new\n>>>>>>> branch\n")
 		})
 
-		test("should clear undo state file after undo", () => {
-			const originalContent = `\
-<<<<<<< HEAD
-||||||| parent
-test
-=======
-test2
->>>>>>> branch
-`
-			const tempFile = createTempFile(originalContent)
+		test("should undo several operations in turn, and redo them", () => {
+			const tempFile = createTempFile(multiConflictContent)
 			tempFiles.push(tempFile)
 
-			const conflictInfo = findFirstConflictHunk(originalContent)
-			applyResolvedHunk(tempFile, conflictInfo, "resolved\n")
+			const [first, , third] = findAllConflictHunks(multiConflictContent)
+			applyResolvedHunk(tempFile, third, "    kept\n    added\n")
+			const afterFirst = fs.readFileSync(tempFile, "utf-8")
+			applyResolvedHunk(tempFile, first, "    line-2\n    line-3\n")
+			const afterSecond = fs.readFileSync(tempFile, "utf-8")
+
+			performUndo(tempDir)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(afterFirst)
+			performUndo(tempDir)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(multiConflictContent)
+
+			const redo = spawnSync("node", [CLI, "hunk", tempFile, "--redo"], { encoding: "utf-8" })
+			expect(redo.status).toBe(0)
+			expect(redo.stdout).toBe(`Redone resolve 1 conflict in ${tempFile}: ${tempFile}\n`)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(afterFirst)
+
+			spawnSync("node", [CLI, "hunk", tempFile, "--redo"], { encoding: "utf-8" })
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(afterSecond)
+
+			const nothing = spawnSync("node", [CLI, "hunk", tempFile, "--redo"], { encoding: "utf-8" })
+			expect(nothing.status).toBe(1)
+			expect(nothing.stderr).toBe("Error: Nothing to redo\n")
+		})
+
+		test("should reconcile edits made since the resolution was applied", () => {
+			const fileContent = "first\nsecond\n<<<<<<< HEAD\n||||||| parent\nold\n=======\nnew\n>>>>>>> branch\nlast\n"
+			const tempFile = createTempFile(fileContent)
+			tempFiles.push(tempFile)
+
+			applyResolvedHunk(tempFile, findFirstConflictHunk(fileContent), "new\n")
+			fs.writeFileSync(tempFile, "first, edited\nsecond\nnew\nlast\n")
+
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--undo"], { encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(result.stdout).toContain("(merged with the changes made since)")
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe(fileContent.replace("first", "first, edited"))
+		})
+
+		test("should refuse to undo when edits overlap with the resolution", () => {
+			const fileContent = "first\n<<<<<<< HEAD\n||||||| parent\nold\n=======\nnew\n>>>>>>> branch\nlast\n"
+			const tempFile = createTempFile(fileContent)
+			tempFiles.push(tempFile)
 
-			expect(fs.existsSync(UNDO_STATE_FILE)).toBe(true)
+			applyResolvedHunk(tempFile, findFirstConflictHunk(fileContent), "new\n")
+			fs.writeFileSync(tempFile, "first\nnew, edited\nlast\n")
 
-			performUndo()
+			const result = spawnSync("node", [CLI, "hunk", tempFile, "--undo"], { encoding: "utf-8" })
 
-			expect(fs.existsSync(UNDO_STATE_FILE)).toBe(false)
+			expect(result.status).toBe(1)
+			expect(result.stderr).toBe(`Error: ${tempFile} has changed since the operation was applied, and the changes overlap with it\n`)
+			expect(fs.readFileSync(tempFile, "utf-8")).toBe("first\nnew, edited\nlast\n")
+			expect(readJournal(getJournalScope(tempDir)).undo.length).toBe(1)
 		})
 	})
 
@@ -368,23 +1190,23 @@ Some text after the conflict
 
 			const sections = parseConflictMarkers(conflictInfo.hunkText)
 			expect(sections).toEqual({
-				newOld: "\n",
+				newOld: "",
 				old: "    line-1\n",
 				new: "    line-1\n    line-2\n    line-3\n"
 			})
 
 			// Resolve the conflict
 			const resolvedContent = resolveHunk(sections)
-			expect(resolvedContent).toBe("\n    line-2\n    line-3\n")
+			expect(resolvedContent).toBe("    line-2\n    line-3\n")
 
 			// Apply to file
 			applyResolvedHunk(tempFile, conflictInfo, resolvedContent)
 
 			const result = fs.readFileSync(tempFile, "utf-8")
-			expect(result).toBe("Some text before the conflict\n\n\n    line-2\n    line-3\n\nSome text after the conflict\n")
+			expect(result).toBe("Some text before the conflict\n\n    line-2\n    line-3\n\nSome text after the conflict\n")
 
 			// Test undo
-			performUndo()
+			performUndo(tempDir)
 			const undoneContent = fs.readFileSync(tempFile, "utf-8")
 			expect(undoneContent).toBe(fileContent)
 		})
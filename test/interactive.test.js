@@ -0,0 +1,264 @@
+const fs = require("fs")
+const path = require("path")
+const os = require("os")
+const crypto = require("crypto")
+const { spawn, spawnSync } = require("child_process")
+
+const { runInteractive } = require("../interactive.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+const { getJournalFile } = require("../journal.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+const conflictContent = `\
+before
+<<<<<<< HEAD
+    line-0
+||||||| parent
+    line-1
+=======
+    line-1
+    line-2
+>>>>>>> branch
+middle
+<<<<<<< HEAD
+    kept
+||||||| parent
+    removed
+    kept
+=======
+    removed
+    kept
+    added
+>>>>>>> branch
+after
+`
+
+// a directory of its own, so that the undo journal of these tests is not shared
+const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "test-interactive-")))
+
+function createTempFile(content = "") {
+	const randomHex = crypto.randomBytes(8).toString("hex")
+	const tempFile = path.join(tempDir, `test-interactive-${randomHex}.txt`)
+	fs.writeFileSync(tempFile, content)
+	return tempFile
+}
+
+function runCli(args, input, options = {}) {
+	return spawnSync("node", [CLI, ...args], { input, encoding: "utf-8", ...options })
+}
+
+describe("interactive.js", () => {
+	let tempFiles = []
+
+	afterEach(() => {
+		tempFiles.forEach(file => {
+			if (fs.existsSync(file)) {
+				fs.unlinkSync(file)
+			}
+		})
+		tempFiles = []
+
+		fs.rmSync(getJournalFile(tempDir), { force: true })
+	})
+
+	afterAll(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true })
+	})
+
+	test("should apply every hunk when accepting with enter", () => {
+		const tempFile = createTempFile(conflictContent)
+		tempFiles.push(tempFile)
+
+		const result = runCli(["hunk", tempFile, "-i"], "\n\n")
+
+		expect(result.status).toBe(0)
+		expect(fs.readFileSync(tempFile, "utf-8")).toBe("before\n    line-0\n    line-2\nmiddle\n    kept\n    added\nafter\n")
+		expect(result.stdout).toContain(`--- ${tempFile} (conflict 1/2, lines 2-9) ---`)
+		expect(result.stdout).toContain("--- resolution (delta-apply, clean) ---\nbefore\n    line-0\n    line-2\nmiddle\n")
+		expect(result.stdout).toContain("Applied 2 resolution(s), left 0 conflict(s) as is")
+	})
+
+	test("should leave declined hunks with their markers", () => {
+		const tempFile = createTempFile(conflictContent)
+		tempFiles.push(tempFile)
+
+		const result = runCli(["hunk", tempFile, "-i"], "n\ny\n")
+
+		expect(result.status).toBe(0)
+		expect(fs.readFileSync(tempFile, "utf-8")).toBe(`\
+before
+<<<<<<< HEAD
+    line-0
+||||||| parent
+    line-1
+=======
+    line-1
+    line-2
+>>>>>>> branch
+middle
+    kept
+    added
+after
+`)
+		expect(result.stdout).toContain("Applied 1 resolution(s), left 1 conflict(s) as is")
+	})
+
+	test("should undo the last applied hunk and ask again", () => {
+		const tempFile = createTempFile(conflictContent)
+		tempFiles.push(tempFile)
+
+		const result = runCli(["hunk", tempFile, "-i"], "y\nu\nn\nq\n")
+
+		expect(result.status).toBe(0)
+		expect(fs.readFileSync(tempFile, "utf-8")).toBe(conflictContent)
+		expect(result.stdout).toContain(`Undone last resolution in ${tempFile}`)
+		expect(result.stdout.match(/conflict 1\/2/g).length).toBe(2)
+	})
+
+	test("should stop when quitting or at end of input", () => {
+		const tempFile = createTempFile(conflictContent)
+		tempFiles.push(tempFile)
+
+		expect(runCli(["hunk", tempFile, "-i"], "q\n").stdout).toContain("Applied 0 resolution(s)")
+		expect(runCli(["hunk", tempFile, "-i"], "").stdout).toContain("Applied 0 resolution(s)")
+		expect(fs.readFileSync(tempFile, "utf-8")).toBe(conflictContent)
+	})
+
+	test("should open $EDITOR on the proposed resolution", () => {
+		const tempFile = createTempFile(conflictContent)
+		tempFiles.push(tempFile)
+
+		const result = runCli(["hunk", tempFile, "-i"], "e\ns\n", {
+			env: { ...process.env, VISUAL: "", EDITOR: "sed -i s/line-2/edited/" },
+		})
+
+		expect(result.status).toBe(0)
+		expect(fs.readFileSync(tempFile, "utf-8")).toMatch(/^before\n    line-0\n    edited\nmiddle\n<<<<<<< HEAD\n/)
+	})
+
+	test("should skip the rest of the file", () => {
+		const tempFile = createTempFile(conflictContent)
+		tempFiles.push(tempFile)
+
+		const result = runCli(["hunk", tempFile, "-i"], "s\n")
+
+		expect(result.status).toBe(0)
+		expect(fs.readFileSync(tempFile, "utf-8")).toBe(conflictContent)
+		expect(result.stdout).not.toContain("conflict 2/2")
+	})
+
+	test("should not apply hunks that cannot be resolved automatically", () => {
+		const content = "<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\n"
+		const tempFile = createTempFile(content)
+		tempFiles.push(tempFile)
+
+		const result = runCli(["hunk", tempFile, "-i"], "y\n\n")
+
+		expect(result.stdout).toContain("--- cannot be resolved automatically: 2-way conflict format (no OLD section), and no index stages to recover it from (is the file unmerged?) ---")
+		expect(result.stdout).toContain("This conflict cannot be resolved automatically")
+		expect(fs.readFileSync(tempFile, "utf-8")).toBe(content)
+	})
+
+	test("should walk through every unmerged file of the repository and undo across files", () => {
+		const repo = createRepo()
+		try {
+			createConflict(repo, {
+				base: { "a.txt": "a\nline-1\nb\n", "b.txt": "a\nline-1\nb\n" },
+				ours: { "a.txt": "a\nline-0\nb\n", "b.txt": "a\nline-0\nb\n" },
+				theirs: { "a.txt": "a\nline-1\nline-2\nb\n", "b.txt": "a\nline-1\nline-2\nb\n" },
+			})
+
+			const result = runCli(["resolve", "-i"], "y\nu\nn\ny\n", { cwd: repo.dir })
+
+			expect(result.status).toBe(0)
+			expect(result.stdout).toContain("--- a.txt (conflict 1/1")
+			expect(result.stdout).toContain("--- b.txt (conflict 1/1")
+			expect(result.stdout).toContain("Undone last resolution in a.txt")
+			expect(repo.read("a.txt")).toContain("<<<<<<<")
+			expect(repo.read("b.txt")).toBe("a\nline-0\nline-2\nb\n")
+		} finally {
+			repo.cleanup()
+		}
+	})
+
+	describe("runInteractive", () => {
+		test("should accept scripted answers", () => {
+			const tempFile = createTempFile(conflictContent)
+			tempFiles.push(tempFile)
+
+			const answers = ["n", "y"]
+			let output = ""
+			const stats = runInteractive([tempFile], {
+				readLine: () => (answers.length > 0 ? answers.shift() : null),
+				write: text => { output += text },
+			})
+
+			expect(stats).toEqual({ applied: 1, declined: 1 })
+			expect(output).toContain("Apply this resolution [Y/n/(u)ndo last/e(dit)/s(kip)/q(uit)]? ")
+		})
+
+		test("should tell the markers left by the editor by the conflict-marker-size attribute", () => {
+			const repo = createRepo()
+			try {
+				createConflict(repo, {
+					base: { ".gitattributes": "*.txt conflict-marker-size=10\n", "file.txt": "a\nx\nb\nc\nd\ne\nf\ny\ng\n" },
+					ours: { "file.txt": "a\nx-ours\nb\nc\nd\ne\nf\ny-ours\ng\n" },
+					theirs: { "file.txt": "a\nx-theirs\nb\nc\nd\ne\nf\ny-theirs\ng\n" },
+				})
+
+				// the editor keeps the markers of the first conflict
+				const answers = ["e", "n"]
+				let output = ""
+				runInteractive([path.join(repo.dir, "file.txt")], {
+					readLine: () => (answers.length > 0 ? answers.shift() : null),
+					write: text => { output += text },
+					editor: "true",
+				})
+
+				expect(output.match(/\(conflict 1\/2/g)).toHaveLength(1)
+				expect(output).toContain("(conflict 2/2")
+				expect(repo.read("file.txt")).toMatch(/^a\n<{10} HEAD\nx-ours\n/)
+			} finally {
+				repo.cleanup()
+			}
+		})
+
+		test("should explain the choices on unknown input", () => {
+			const tempFile = createTempFile(conflictContent)
+			tempFiles.push(tempFile)
+
+			const answers = ["?", "q"]
+			let output = ""
+			runInteractive([tempFile], {
+				readLine: () => answers.shift(),
+				write: text => { output += text },
+			})
+
+			expect(output).toContain("u - undo the last applied resolution")
+		})
+	})
+
+	describe("readLineSync", () => {
+		test("should wait for non-blocking input without spinning", async () => {
+			// node makes stdin non-blocking once it is opened as a stream
+			const script = `
+				process.stdin.pause()
+				const start = process.cpuUsage()
+				const line = require(${JSON.stringify(path.join(__dirname, "..", "interactive.js"))}).readLineSync(0)
+				const usage = process.cpuUsage(start)
+				console.log(JSON.stringify({ line, cpuTime: (usage.user + usage.system) / 1000 }))
+			`
+			const child = spawn("node", ["-e", script], { stdio: ["pipe", "pipe", "inherit"] })
+			let output = ""
+			child.stdout.on("data", data => { output += data })
+
+			setTimeout(() => child.stdin.write("answer\nrest\n"), 500)
+			await new Promise(resolve => child.on("exit", resolve))
+
+			const { line, cpuTime } = JSON.parse(output)
+			expect(line).toBe("answer")
+			expect(cpuTime).toBeLessThan(250)
+		})
+	})
+})
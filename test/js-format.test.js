@@ -0,0 +1,163 @@
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { parseJs, printJs } = require("../js-format.js")
+const { mergeStructured } = require("../semantic.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+const source = `\
+#!/usr/bin/env node
+"use strict"
+
+const { readFile, writeFile } = require("fs")
+
+const config = {
+	port: 80,
+	host: "localhost",
+}
+
+class Server {
+	start() {
+		listen(config)
+	}
+}
+
+main()
+`
+
+describe("js-format.js", () => {
+	describe("parseJs", () => {
+		test("should key statements, members & properties by what they declare", () => {
+			const { root } = parseJs(source, [])
+			const keys = node => node.entries.map(entry => entry.key)
+
+			expect(keys(root)).toEqual(["\"use strict\"", "const ... = require(\"fs\")", "const config", "class Server", "main()"])
+			expect(keys(root.entries[1].node)).toEqual(["readFile", "writeFile"])
+			expect(keys(root.entries[2].node)).toEqual(["port", "host"])
+			expect(keys(root.entries[3].node)).toEqual(["start"])
+		})
+
+		test("should print the source back as it was", () => {
+			const document = parseJs(source, [])
+
+			expect(printJs(document, document.root)).toBe(source)
+		})
+
+		test("should throw for sources that do not parse", () => {
+			expect(() => parseJs("const a = {\n", [])).toThrow(SyntaxError)
+			expect(() => parseJs("let a: number = 1\n", [])).toThrow(SyntaxError)
+			expect(() => parseJs("let a: number = 1\n", ["typescript"])).not.toThrow()
+		})
+	})
+
+	describe("mergeStructured", () => {
+		test("should merge import specifiers both sides added", () => {
+			const old = "import { a, b } from \"x\"\nimport y from \"y\"\n"
+			const result = mergeStructured("javascript", {
+				old,
+				newOld: old.replace("b }", "b, c }"),
+				new: old.replace("b }", "b, d }") + "import z from \"z\"\n",
+			})
+
+			expect(result).toEqual({ content: "import { a, b, c, d } from \"x\"\nimport y from \"y\"\nimport z from \"z\"\n", verdict: "clean" })
+		})
+
+		test("should merge object properties & class members, keeping the order of NEW", () => {
+			const result = mergeStructured("javascript", {
+				old: source,
+				newOld: source.replace("\thost: \"localhost\",\n", "\thost: \"localhost\",\n\ttimeout: 5,\n").replace("\t}\n}", "\t}\n\n\tstop() {}\n}"),
+				new: source.replace("\tport: 80,\n", "\tdebug: true,\n\tport: 8080,\n").replace("\tstart() {", "\trestart() {}\n\n\tstart() {"),
+			})
+
+			expect(result.verdict).toBe("clean")
+			expect(result.content).toContain("const config = {\n\tdebug: true,\n\tport: 8080,\n\thost: \"localhost\",\n\ttimeout: 5,\n}")
+			expect(result.content).toContain("class Server {\n\trestart() {}\n\n\tstart() {\n\t\tlisten(config)\n\t}\n\n\tstop() {}\n}")
+		})
+
+		test("should merge TypeScript interfaces", () => {
+			const old = "export interface Options {\n\tport: number\n}\n"
+			const result = mergeStructured("typescript", {
+				old,
+				newOld: old.replace("}", "\thost?: string\n}"),
+				new: old.replace("}", "\tdebug: boolean\n}"),
+			})
+
+			expect(result.content).toBe("export interface Options {\n\tport: number\n\thost?: string\n\tdebug: boolean\n}\n")
+		})
+
+		test("should not merge a statement both sides changed", () => {
+			const old = "function main() {\n\trun(1)\n}\n"
+			const result = mergeStructured("javascript", { old, newOld: old.replace("1", "2"), new: old.replace("1", "3") })
+
+			expect(result).toEqual({ reason: "both sides changed \"function main\"" })
+		})
+
+		test("should not merge statements that declare nothing, if both sides changed them", () => {
+			const old = "setup()\nfoo()\nbar()\nteardown()\n"
+			const both = mergeStructured("javascript", { old, newOld: old.replace("foo()\n", ""), new: old.replace("bar()\n", "") })
+			expect(both).toEqual({ reason: "both sides changed the whole document" })
+
+			const one = mergeStructured("javascript", { old, newOld: old.replace("foo()", "foo(1)"), new: old + "function main() {}\n" })
+			expect(one).toEqual({ content: "setup()\nfoo(1)\nbar()\nteardown()\nfunction main() {}\n", verdict: "clean" })
+		})
+
+		test("should not merge the copies of a name declared more than once, if both sides changed them", () => {
+			expect(mergeStructured("javascript", { old: "x = 1\nx = 2\n", newOld: "x = 2\n", new: "x = 1\n" })).toEqual({ reason: "both sides changed \"x\"" })
+
+			const old = "export function f(s: string): void\nexport function f(n: number): void\nexport function f(v: any) {}\n"
+			const withoutString = old.replace("export function f(s: string): void\n", "")
+			const both = mergeStructured("typescript", { old, newOld: withoutString, new: old.replace("export function f(n: number): void\n", "") })
+			expect(both).toEqual({ reason: "both sides changed \"export function f\"" })
+
+			const one = mergeStructured("typescript", { old, newOld: withoutString, new: old + "g()\n" })
+			expect(one).toEqual({ content: withoutString + "g()\n", verdict: "clean" })
+		})
+
+		test("should put a statement added before the first one on a line of its own", () => {
+			const old = "import b from \"b\"\n"
+			const result = mergeStructured("javascript", { old, newOld: "import a from \"a\"\n" + old, new: old + "import c from \"c\"\n" })
+
+			expect(result.content).toBe("import a from \"a\"\nimport b from \"b\"\nimport c from \"c\"\n")
+		})
+	})
+
+	describe("in a repository", () => {
+		let repo
+
+		afterEach(() => {
+			repo.cleanup()
+		})
+
+		test("should resolve imports both sides added to the same require", () => {
+			repo = createRepo()
+			const old = "const {\n\ta,\n\tb,\n} = require(\"./lib\")\n\nmodule.exports = { a, b }\n"
+			createConflict(repo, {
+				base: { "index.js": old },
+				ours: { "index.js": old.replace("\tb,\n", "\tb,\n\tc,\n") },
+				theirs: { "index.js": old.replace("\tb,\n", "\tb,\n\td,\n") },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "index.js", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stdout).toContain("resolved (javascript, clean)")
+			expect(repo.read("index.js")).toBe(old.replace("\tb,\n", "\tb,\n\tc,\n\td,\n"))
+		})
+
+		test("should resolve sources that do not parse line by line", () => {
+			repo = createRepo()
+			const old = "const a = {\n\tx: 1,\n"
+			createConflict(repo, {
+				base: { "broken.js": old },
+				ours: { "broken.js": old.replace("x: 1", "x: 10") },
+				theirs: { "broken.js": old + "\ty: 2,\n" },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "broken.js", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stdout).toMatch(/resolved \((non-overlapping|delta-apply), clean\)/)
+			expect(repo.read("broken.js")).toBe("const a = {\n\tx: 10,\n\ty: 2,\n")
+		})
+	})
+})
@@ -0,0 +1,361 @@
+const path = require("path")
+const { spawnSync } = require("child_process")
+const { pathToFileURL } = require("url")
+
+const { createServer, createMessageReader, formatMessage } = require("../lsp.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+const conflictedText = `\
+header
+<<<<<<< HEAD
+    line-2
+||||||| parent
+    line-1
+    line-2
+=======
+    line-1
+    line-2
+    line-3
+>>>>>>> branch
+middle
+<<<<<<< HEAD
+    ours
+||||||| parent
+    base
+=======
+    theirs
+>>>>>>> branch
+footer
+`
+
+// Run the server with `messages` as its whole input, and return the messages it sent & its exit code
+function runServer(messages, options = {}) {
+	const result = spawnSync("node", [CLI, "lsp", "--stdio"], {
+		...options,
+		input: messages.map(formatMessage).join(""),
+		encoding: "utf-8",
+	})
+
+	const received = []
+	createMessageReader(message => received.push(message), error => {
+		throw error
+	})(result.stdout)
+
+	return { messages: received, status: result.status, stderr: result.stderr }
+}
+
+function initialize(id = 1) {
+	return [
+		{ jsonrpc: "2.0", id, method: "initialize", params: { processId: null, rootUri: null, capabilities: {} } },
+		{ jsonrpc: "2.0", method: "initialized", params: {} },
+	]
+}
+
+function didOpen(uri, text) {
+	return { jsonrpc: "2.0", method: "textDocument/didOpen", params: { textDocument: { uri, languageId: "plaintext", version: 1, text } } }
+}
+
+function codeAction(id, uri, line) {
+	return {
+		jsonrpc: "2.0",
+		id,
+		method: "textDocument/codeAction",
+		params: {
+			textDocument: { uri },
+			range: { start: { line, character: 0 }, end: { line, character: 0 } },
+			context: { diagnostics: [] },
+		},
+	}
+}
+
+const shutdownAndExit = [
+	{ jsonrpc: "2.0", id: 99, method: "shutdown" },
+	{ jsonrpc: "2.0", method: "exit" },
+]
+
+// Apply LSP text edits the way an editor does, from the last one to the first
+function applyEdits(text, edits) {
+	const offset = ({ line, character }) => {
+		const lines = text.split("\n")
+		return lines.slice(0, line).reduce((acc, lineText) => acc + lineText.length + 1, 0) + character
+	}
+
+	return [...edits]
+		.sort((a, b) => offset(b.range.start) - offset(a.range.start))
+		.reduce((acc, edit) => acc.slice(0, offset(edit.range.start)) + edit.newText + acc.slice(offset(edit.range.end)), text)
+}
+
+describe("lsp.js", () => {
+	describe("createMessageReader", () => {
+		test("should read messages split across chunks, counting Content-Length in bytes", () => {
+			const received = []
+			const read = createMessageReader(message => received.push(message), error => {
+				throw error
+			})
+
+			const stream = Buffer.from(formatMessage({ id: 1, text: "ąčę" }) + formatMessage({ id: 2 }))
+			read(stream.slice(0, 10))
+			read(stream.slice(10, 40))
+			read(stream.slice(40))
+
+			expect(received).toEqual([{ id: 1, text: "ąčę" }, { id: 2 }])
+		})
+
+		test("should report bodies that are not JSON, and carry on", () => {
+			const received = []
+			const errors = []
+			const read = createMessageReader(message => received.push(message), error => errors.push(error))
+
+			read("Content-Length: 3\r\n\r\n{x}" + formatMessage({ id: 1 }))
+
+			expect(errors.length).toBe(1)
+			expect(received).toEqual([{ id: 1 }])
+		})
+	})
+
+	describe("server", () => {
+		const uri = "untitled:conflicted.txt"
+
+		test("should initialize, shut down & exit cleanly", () => {
+			const { messages, status } = runServer([...initialize(), ...shutdownAndExit])
+
+			expect(status).toBe(0)
+			expect(messages[0].id).toBe(1)
+			expect(messages[0].result.capabilities).toEqual({
+				textDocumentSync: { openClose: true, change: 1 },
+				codeActionProvider: { codeActionKinds: ["quickfix", "source.fixAll"] },
+			})
+			expect(messages[1]).toEqual({ jsonrpc: "2.0", id: 99, result: null })
+		})
+
+		test("should exit with 1 without a shutdown first", () => {
+			const { status } = runServer([...initialize(), { jsonrpc: "2.0", method: "exit" }])
+
+			expect(status).toBe(1)
+		})
+
+		test("should reject requests before initialize, and unknown methods", () => {
+			const { messages } = runServer([
+				codeAction(1, uri, 0),
+				...initialize(2),
+				{ jsonrpc: "2.0", id: 3, method: "textDocument/hover", params: {} },
+				...shutdownAndExit,
+			])
+
+			expect(messages[0].error.code).toBe(-32002)
+			expect(messages[2].error.code).toBe(-32601)
+		})
+
+		test("should publish a diagnostic for each conflict, saying whether it can be resolved", () => {
+			const { messages } = runServer([...initialize(), didOpen(uri, conflictedText), ...shutdownAndExit])
+
+			const published = messages.find(message => message.method === "textDocument/publishDiagnostics")
+			expect(published.params.uri).toBe(uri)
+			expect(published.params.diagnostics).toEqual([
+				{
+					range: { start: { line: 1, character: 0 }, end: { line: 10, character: 14 } },
+					source: "git-conflict-resolver",
+					data: { index: 0 },
+					severity: 3,
+					code: "clean",
+					message: "conflict 1 of 2: can be resolved automatically (non-overlapping, clean)",
+				},
+				{
+					range: { start: { line: 12, character: 0 }, end: { line: 18, character: 14 } },
+					source: "git-conflict-resolver",
+					data: { index: 1 },
+					severity: 1,
+					code: "unresolved",
+					message: expect.stringMatching(/^conflict 2 of 2: cannot be resolved automatically: /),
+				},
+			])
+		})
+
+		test("should report malformed conflict markers", () => {
+			const { messages } = runServer([...initialize(), didOpen(uri, "a\n<<<<<<< HEAD\nours\n"), ...shutdownAndExit])
+
+			const published = messages.find(message => message.method === "textDocument/publishDiagnostics")
+			expect(published.params.diagnostics).toEqual([expect.objectContaining({ severity: 1, code: "malformed" })])
+			expect(published.params.diagnostics[0].range.start.line).toBe(1)
+		})
+
+		test("should offer a code action that resolves the conflict at the cursor", () => {
+			const { messages } = runServer([
+				...initialize(),
+				didOpen(uri, conflictedText),
+				codeAction(2, uri, 4),
+				codeAction(3, uri, 14),
+				...shutdownAndExit,
+			])
+
+			const actions = messages.find(message => message.id === 2).result
+			expect(actions.length).toBe(1)
+			expect(actions[0]).toMatchObject({ title: "Resolve conflict automatically", kind: "quickfix", isPreferred: true })
+			expect(actions[0].diagnostics[0].data).toEqual({ index: 0 })
+
+			const edits = actions[0].edit.changes[uri]
+			expect(applyEdits(conflictedText, edits)).toBe(conflictedText.replace(/^<<<<<<< HEAD\n[^]*?>>>>>>> branch\n/m, "    line-2\n    line-3\n"))
+
+			// the second conflict cannot be resolved
+			expect(messages.find(message => message.id === 3).result).toEqual([])
+		})
+
+		test("should offer resolving all clean conflicts at once, and keep up with changes", () => {
+			const twice = conflictedText.replace(/<<<<<<< HEAD\n    ours[^]*?>>>>>>> branch\n/, conflictedText.split("\n").slice(1, 11).join("\n") + "\n")
+			const { messages } = runServer([
+				...initialize(),
+				didOpen(uri, conflictedText),
+				{
+					jsonrpc: "2.0",
+					method: "textDocument/didChange",
+					params: { textDocument: { uri, version: 2 }, contentChanges: [{ text: twice }] },
+				},
+				codeAction(2, uri, 0),
+				...shutdownAndExit,
+			])
+
+			const published = messages.filter(message => message.method === "textDocument/publishDiagnostics")
+			expect(published.map(message => message.params.version)).toEqual([1, 2])
+
+			const [fixAll] = messages.find(message => message.id === 2).result
+			expect(fixAll).toMatchObject({ title: "Resolve all 2 conflicts that resolve cleanly", kind: "source.fixAll" })
+			expect(applyEdits(twice, fixAll.edit.changes[uri])).toBe("header\n    line-2\n    line-3\nmiddle\n    line-2\n    line-3\nfooter\n")
+		})
+
+		test("should analyze only the last of changes that come in quick succession", () => {
+			const change = (version, text) => ({
+				jsonrpc: "2.0",
+				method: "textDocument/didChange",
+				params: { textDocument: { uri, version }, contentChanges: [{ text }] },
+			})
+			const { messages } = runServer([
+				...initialize(),
+				didOpen(uri, conflictedText),
+				change(2, "no conflicts\n"),
+				change(3, conflictedText),
+				codeAction(2, uri, 4),
+				...shutdownAndExit,
+			])
+
+			const published = messages.filter(message => message.method === "textDocument/publishDiagnostics")
+			expect(published.map(message => message.params.version)).toEqual([1, 3])
+			expect(messages.find(message => message.id === 2).result.length).toBeGreaterThan(0)
+		})
+
+		test("should analyze a change once the client stops sending them", () => {
+			jest.useFakeTimers()
+			const sent = []
+			const server = createServer({ send: message => sent.push(message), exit: () => {}, changeDelay: 100 })
+			const change = (version, text) => ({
+				jsonrpc: "2.0",
+				method: "textDocument/didChange",
+				params: { textDocument: { uri, version }, contentChanges: [{ text }] },
+			})
+
+			try {
+				[...initialize(), didOpen(uri, conflictedText), change(2, "a\n"), change(3, "b\n")].forEach(server.handleMessage)
+				jest.advanceTimersByTime(99)
+				expect(server.documents.get(uri).version).toBe(1)
+
+				jest.advanceTimersByTime(1)
+				expect(server.documents.get(uri).version).toBe(3)
+				expect(sent.filter(message => message.method === "textDocument/publishDiagnostics").map(message => message.params.version)).toEqual([1, 3])
+			} finally {
+				jest.useRealTimers()
+			}
+		})
+
+		test("should log the errors of notifications & delayed analyses, and keep serving", () => {
+			jest.useFakeTimers()
+			const sent = []
+			const logged = []
+			const server = createServer({ send: message => sent.push(message), exit: () => {}, log: message => logged.push(message), changeDelay: 100 })
+
+			try {
+				[
+					...initialize(),
+					didOpen(uri, conflictedText),
+					{ jsonrpc: "2.0", method: "textDocument/didChange", params: { textDocument: { uri, version: 2 } } },
+					{ jsonrpc: "2.0", method: "textDocument/didChange", params: { textDocument: { uri, version: 3 }, contentChanges: [{ text: null }] } },
+				].forEach(server.handleMessage)
+				jest.advanceTimersByTime(100)
+
+				expect(logged).toEqual([
+					expect.stringMatching(/^Error: textDocument\/didChange: /),
+					expect.stringMatching(new RegExp(`^Error: analyzing ${uri}: `)),
+				])
+
+				server.handleMessage(codeAction(2, uri, 4))
+				expect(sent.find(message => message.id === 2).result.length).toBeGreaterThan(0)
+			} finally {
+				jest.useRealTimers()
+			}
+		})
+
+		test("should give edits the line endings of CRLF documents", () => {
+			const text = conflictedText.replace(/\n/g, "\r\n")
+			const { messages } = runServer([...initialize(), didOpen(uri, text), codeAction(2, uri, 4), ...shutdownAndExit])
+
+			const published = messages.find(message => message.method === "textDocument/publishDiagnostics")
+			expect(published.params.diagnostics[0].range.end).toEqual({ line: 10, character: 14 })
+
+			const [action] = messages.find(message => message.id === 2).result
+			expect(action.edit.changes[uri][0].newText).toBe("    line-2\r\n    line-3")
+		})
+
+		test("should clear the diagnostics of closed documents", () => {
+			const { messages } = runServer([
+				...initialize(),
+				didOpen(uri, conflictedText),
+				{ jsonrpc: "2.0", method: "textDocument/didClose", params: { textDocument: { uri } } },
+				...shutdownAndExit,
+			])
+
+			const published = messages.filter(message => message.method === "textDocument/publishDiagnostics")
+			expect(published[1].params.diagnostics).toEqual([])
+		})
+
+		test("should answer a parse error to bodies that are not JSON", () => {
+			const result = spawnSync("node", [CLI, "lsp"], {
+				input: "Content-Length: 3\r\n\r\n{x}" + formatMessage({ jsonrpc: "2.0", method: "exit" }),
+				encoding: "utf-8",
+			})
+
+			const received = []
+			createMessageReader(message => received.push(message), () => {})(result.stdout)
+			expect(received[0].error.code).toBe(-32700)
+		})
+	})
+
+	describe("files in a repository", () => {
+		let repo
+
+		beforeEach(() => {
+			repo = createRepo({ conflictStyle: "merge" })
+		})
+
+		afterEach(() => {
+			repo.cleanup()
+		})
+
+		test("should recover the OLD section of 2-way conflicts from the index", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\n" },
+				ours: { "file.txt": "a\nline-0\nb\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+			})
+			const fileUri = pathToFileURL(path.join(repo.dir, "file.txt")).href
+			const text = repo.read("file.txt")
+
+			const { messages } = runServer([...initialize(), didOpen(fileUri, text), codeAction(2, fileUri, 1), ...shutdownAndExit])
+
+			const published = messages.find(message => message.method === "textDocument/publishDiagnostics")
+			expect(published.params.diagnostics[0].code).toBe("clean")
+
+			const [action] = messages.find(message => message.id === 2).result
+			expect(applyEdits(text, action.edit.changes[fileUri])).toBe("a\nline-0\nline-2\nb\n")
+		})
+	})
+})
@@ -0,0 +1,74 @@
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+describe("merge-driver.js", () => {
+	let repo
+
+	beforeEach(() => {
+		repo = createRepo()
+		repo.git("config", "merge.gcr.name", "git-conflict-resolver")
+		repo.git("config", "merge.gcr.driver", `node "${CLI}" merge-driver %O %A %B %L %P`)
+	})
+
+	afterEach(() => {
+		repo.cleanup()
+	})
+
+	test("should resolve conflicts during git merge", () => {
+		createConflict(repo, {
+			base: { ".gitattributes": "*.txt merge=gcr\n", "file.txt": "a\nline-1\nb\n" },
+			ours: { "file.txt": "a\nline-0\nb\n" },
+			theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+		})
+
+		expect(repo.read("file.txt")).toBe("a\nline-0\nline-2\nb\n")
+		expect(repo.git("diff", "--name-only", "--diff-filter=U")).toBe("")
+		expect(repo.git("log", "-1", "--format=%s").trim()).toBe("Merge branch 'theirs'")
+	})
+
+	test("should resolve conflicts during git cherry-pick", () => {
+		repo.commit("base", { ".gitattributes": "*.txt merge=gcr\n", "file.txt": "a\nline-1\nb\n" })
+		repo.git("checkout", "-q", "-b", "theirs")
+		repo.commit("theirs", { "file.txt": "a\nline-1\nline-2\nb\n" })
+		repo.git("checkout", "-q", "main")
+		repo.commit("ours", { "file.txt": "a\nline-0\nb\n" })
+
+		const result = spawnSync("git", ["cherry-pick", "theirs"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(result.status).toBe(0)
+		expect(repo.read("file.txt")).toBe("a\nline-0\nline-2\nb\n")
+	})
+
+	test("should write diff3 markers honoring the conflict marker size", () => {
+		createConflict(repo, {
+			base: { ".gitattributes": "*.txt merge=gcr conflict-marker-size=10\n", "file.txt": "a\nb\nc\n" },
+			ours: { "file.txt": "a\nx\nc\n" },
+			theirs: { "file.txt": "a\ny\nc\n" },
+		})
+
+		expect(repo.read("file.txt")).toBe("a\n<<<<<<<<<< ours\nx\n|||||||||| base\nb\n==========\ny\n>>>>>>>>>> theirs\nc\n")
+		expect(repo.git("diff", "--name-only", "--diff-filter=U").trim()).toBe("file.txt")
+	})
+
+	test("should exit with 0 when resolved and 1 when conflicts remain", () => {
+		repo.write("base", "a\nb\nc\n")
+		repo.write("current", "a\nx\nc\n")
+		repo.write("other", "a\ny\nc\n")
+
+		const conflicted = spawnSync("node", [CLI, "merge-driver", "base", "current", "other", "7", "file.txt"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(conflicted.status).toBe(1)
+		expect(conflicted.stderr).toContain("1 of 1 conflicts left in file.txt")
+
+		repo.write("current", "a\nb\nc\nd\n")
+
+		const clean = spawnSync("node", [CLI, "merge-driver", "base", "current", "other"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(clean.status).toBe(0)
+		expect(repo.read("current")).toBe("a\ny\nc\nd\n")
+	})
+})
@@ -0,0 +1,84 @@
+const { merge3, formatMerge, getChangeChunks } = require("../merge3.js")
+
+describe("merge3.js", () => {
+	describe("getChangeChunks", () => {
+		test("should report changed ranges in both coordinates", () => {
+			expect(getChangeChunks(["a", "b", "c"], ["a", "x", "y", "c", "d"])).toEqual([
+				{ baseStart: 1, baseEnd: 2, otherStart: 1, otherEnd: 3 },
+				{ baseStart: 3, baseEnd: 3, otherStart: 4, otherEnd: 5 },
+			])
+		})
+	})
+
+	describe("merge3", () => {
+		test("should merge non-overlapping changes from both sides", () => {
+			const regions = merge3(["a", "b", "c", "d", "e"], ["a", "B", "c", "d", "e", "f"], ["a", "b", "c", "D", "e"])
+
+			expect(regions).toEqual([
+				{ type: "stable", lines: ["a", "B", "c", "D", "e", "f"] },
+			])
+		})
+
+		test("should take identical changes once", () => {
+			const regions = merge3(["a", "b"], ["a", "x"], ["a", "x"])
+
+			expect(regions).toEqual([{ type: "stable", lines: ["a", "x"] }])
+		})
+
+		test("should report overlapping changes as conflicts", () => {
+			const regions = merge3(["a", "b", "c"], ["a", "x", "c"], ["a", "y", "y", "c"])
+
+			expect(regions).toEqual([
+				{ type: "stable", lines: ["a"] },
+				{ type: "conflict", base: ["b"], ours: ["x"], theirs: ["y", "y"] },
+				{ type: "stable", lines: ["c"] },
+			])
+		})
+
+		test("should report changes to adjacent lines as conflicts, like git", () => {
+			const regions = merge3(["a", "b", "c", "d"], ["a", "B", "c", "d"], ["a", "b", "C", "d"])
+
+			expect(regions).toEqual([
+				{ type: "stable", lines: ["a"] },
+				{ type: "conflict", base: ["b", "c"], ours: ["B", "c"], theirs: ["b", "C"] },
+				{ type: "stable", lines: ["d"] },
+			])
+		})
+
+		test("should report additions at the same position as conflicts", () => {
+			const regions = merge3([], ["x"], ["y"])
+
+			expect(regions).toEqual([{ type: "conflict", base: [], ours: ["x"], theirs: ["y"] }])
+		})
+	})
+
+	describe("formatMerge", () => {
+		test("should write diff3 conflict markers", () => {
+			const regions = merge3(["a", "b", "c"], ["a", "x", "c"], ["a", "y", "c"])
+
+			expect(formatMerge(regions)).toEqual([
+				"a",
+				"<<<<<<< ours",
+				"x",
+				"||||||| base",
+				"b",
+				"=======",
+				"y",
+				">>>>>>> theirs",
+				"c",
+			])
+		})
+
+		test("should honor marker size, labels and the merge style", () => {
+			const regions = merge3(["b"], ["x"], ["y"])
+
+			expect(formatMerge(regions, { markerSize: 10, labels: { ours: "HEAD", theirs: "feature" }, style: "merge" })).toEqual([
+				"<<<<<<<<<< HEAD",
+				"x",
+				"==========",
+				"y",
+				">>>>>>>>>> feature",
+			])
+		})
+	})
+})
@@ -0,0 +1,151 @@
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { mergeAndResolve } = require("../mergetool.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+describe("mergetool.js", () => {
+	describe("mergeAndResolve", () => {
+		test("should resolve conflicting regions by applying the base -> ours delta to theirs", () => {
+			const result = mergeAndResolve("a\nline-1\nb\n", "a\nline-0\nb\n", "a\nline-1\nline-2\nb\n")
+
+			expect(result).toEqual({ content: "a\nline-0\nline-2\nb\n", resolved: 1, remaining: 0 })
+		})
+
+		test("should leave diff3 markers on regions that cannot be resolved", () => {
+			const result = mergeAndResolve("a\nb\nc\n", "a\nx\nc\n", "a\ny\nc\n", {
+				labels: { ours: "LOCAL", base: "BASE", theirs: "REMOTE" },
+			})
+
+			expect(result).toEqual({
+				content: "a\n<<<<<<< LOCAL\nx\n||||||| BASE\nb\n=======\ny\n>>>>>>> REMOTE\nc\n",
+				resolved: 0,
+				remaining: 1,
+			})
+		})
+
+		test("should keep a missing final newline", () => {
+			expect(mergeAndResolve("a\nb", "a\nb\nc", "x\na\nb").content).toBe("x\na\nb\nc")
+		})
+
+		test("should keep CRLF line endings, and take a change of them from either side", () => {
+			const crlf = text => text.replace(/\n/g, "\r\n")
+
+			expect(mergeAndResolve(crlf("a\nline-1\nb\n"), crlf("a\nline-0\nb\n"), crlf("a\nline-1\nline-2\nb\n")).content)
+				.toBe(crlf("a\nline-0\nline-2\nb\n"))
+			expect(mergeAndResolve("a\nb\n", "a\nx\nb\n", crlf("a\nb\n")).content).toBe(crlf("a\nx\nb\n"))
+		})
+	})
+
+	describe("git mergetool", () => {
+		let repo
+
+		beforeEach(() => {
+			repo = createRepo()
+			repo.git("config", "mergetool.gcr.cmd", `node "${CLI}" mergetool "$BASE" "$LOCAL" "$REMOTE" "$MERGED"`)
+			repo.git("config", "mergetool.gcr.trustExitCode", "true")
+			repo.git("config", "mergetool.keepBackup", "false")
+		})
+
+		afterEach(() => {
+			repo.cleanup()
+		})
+
+		test("should resolve conflicts and let git mark the file as merged", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\n" },
+				ours: { "file.txt": "a\nline-0\nb\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+			})
+
+			const result = spawnSync("git", ["mergetool", "--tool=gcr", "--no-prompt"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.status).toBe(0)
+			expect(repo.read("file.txt")).toBe("a\nline-0\nline-2\nb\n")
+			expect(repo.git("diff", "--name-only", "--diff-filter=U")).toBe("")
+		})
+
+		test("should exit non-zero so that git keeps the file unmerged", () => {
+			createConflict(repo, {
+				base: { "file.txt": "a\nb\nc\n" },
+				ours: { "file.txt": "a\nx\nc\n" },
+				theirs: { "file.txt": "a\ny\nc\n" },
+			})
+
+			const result = spawnSync("git", ["mergetool", "--tool=gcr", "--no-prompt"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.status).not.toBe(0)
+			expect(repo.git("diff", "--name-only", "--diff-filter=U").trim()).toBe("file.txt")
+		})
+	})
+
+	describe("mergetool command", () => {
+		test("should write the result to MERGED and not touch the inputs", () => {
+			const repo = createRepo()
+			try {
+				repo.write("base", "a\nline-1\nb\n")
+				repo.write("local", "a\nline-0\nb\n")
+				repo.write("remote", "a\nline-1\nline-2\nb\n")
+
+				const result = spawnSync("node", [CLI, "mergetool", "base", "local", "remote", "merged"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.status).toBe(0)
+				expect(repo.read("merged")).toBe("a\nline-0\nline-2\nb\n")
+				expect(repo.read("remote")).toBe("a\nline-1\nline-2\nb\n")
+			} finally {
+				repo.cleanup()
+			}
+		})
+
+		test("should treat a missing BASE as empty", () => {
+			const repo = createRepo()
+			try {
+				repo.write("local", "same\n")
+				repo.write("remote", "same\n")
+
+				const result = spawnSync("node", [CLI, "mergetool", "missing", "local", "remote", "merged"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.status).toBe(0)
+				expect(fs.readFileSync(path.join(repo.dir, "merged"), "utf-8")).toBe("same\n")
+			} finally {
+				repo.cleanup()
+			}
+		})
+
+		test("should refuse binary inputs, and leave MERGED as it is", () => {
+			const repo = createRepo()
+			try {
+				repo.write("base", "a\nline-1\nb\n")
+				repo.write("local", "a\nline-0\nb\n")
+				repo.write("remote", "a\nline-1\0\nb\n")
+
+				const result = spawnSync("node", [CLI, "mergetool", "base", "local", "remote", "merged"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.status).toBe(1)
+				expect(result.stderr).toBe("Error: remote: binary file, refusing to merge it\n")
+				expect(fs.existsSync(path.join(repo.dir, "merged"))).toBe(false)
+			} finally {
+				repo.cleanup()
+			}
+		})
+
+		test("should write MERGED in the encoding of LOCAL", () => {
+			const repo = createRepo()
+			try {
+				repo.write("base", Buffer.from("a\nline-1\nb\n", "latin1"))
+				repo.write("local", Buffer.from("a\nligne-0 é\nb\n", "latin1"))
+				repo.write("remote", Buffer.from("a\nline-1\nline-2\nb\n", "latin1"))
+
+				const result = spawnSync("node", [CLI, "mergetool", "base", "local", "remote", "merged"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.status).toBe(0)
+				expect(fs.readFileSync(path.join(repo.dir, "merged")).toString("latin1")).toBe("a\nligne-0 é\nline-2\nb\n")
+			} finally {
+				repo.cleanup()
+			}
+		})
+	})
+})
@@ -0,0 +1,108 @@
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { getOperationInProgress } = require("../rebase-continue.js")
+const { createRepo } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+const BASE = "a\nline-1\nb\nc\nd\ne\nf\ng\nh\nx\ni\n"
+
+describe("rebase-continue.js", () => {
+	let repo
+
+	beforeEach(() => {
+		repo = createRepo()
+		repo.commit("base", { "file.txt": BASE })
+		repo.git("checkout", "-q", "-b", "topic")
+		repo.commit("Add line 2", { "file.txt": BASE.replace("line-1\n", "line-1\nline-2\n") })
+		repo.commit("Add line 1b", { "file.txt": BASE.replace("line-1\n", "line-1\nline-1b\nline-2\n") })
+		repo.git("checkout", "-q", "main")
+		repo.commit("Rename line 1", { "file.txt": BASE.replace("line-1", "line-0") })
+	})
+
+	afterEach(() => {
+		repo.cleanup()
+	})
+
+	const run = () => spawnSync("node", [CLI, "rebase-continue"], { cwd: repo.dir, encoding: "utf-8" })
+
+	test("should resolve & continue through every step of a rebase", () => {
+		repo.git("checkout", "-q", "topic")
+		repo.gitMayFail("rebase", "main")
+		expect(getOperationInProgress(repo.dir).name).toBe("rebase")
+
+		const result = run()
+
+		expect(result.status).toBe(0)
+		expect(result.stdout).toMatch(/^"Add line 2" \([0-9a-f]+\): resolved 1 conflict in 1 file\n"Add line 1b" \([0-9a-f]+\): resolved 1 conflict in 1 file\nFinished the rebase\n$/)
+		expect(getOperationInProgress(repo.dir)).toBe(null)
+		expect(repo.read("file.txt")).toBe(BASE.replace("line-1\n", "line-0\nline-1b\nline-2\n"))
+		expect(repo.git("log", "--format=%s", "-3").trim().split("\n")).toEqual(["Add line 1b", "Add line 2", "Rename line 1"])
+	})
+
+	test("should stop at the first step with conflicts that cannot be resolved", () => {
+		repo.git("checkout", "-q", "topic")
+		repo.commit("Change x", { "file.txt": BASE.replace("line-1\n", "line-1\nline-1b\nline-2\n").replace("x\n", "theirs\n") })
+		repo.git("checkout", "-q", "main")
+		repo.commit("Change x too", { "file.txt": BASE.replace("line-1", "line-0").replace("x\n", "ours\n") })
+		repo.git("checkout", "-q", "topic")
+		repo.gitMayFail("rebase", "main")
+
+		const result = run()
+
+		expect(result.status).toBe(1)
+		expect(result.stdout).toContain("Stopped at \"Change x\" (")
+		expect(result.stdout).toContain("1 conflict left in file.txt")
+		expect(result.stderr).toContain("file.txt:")
+		expect(getOperationInProgress(repo.dir).name).toBe("rebase")
+		expect(repo.read("file.txt")).toContain(">>>>>>> ")
+	})
+
+	test("should not continue past a file with malformed conflict markers", () => {
+		repo.git("checkout", "-q", "topic")
+		repo.gitMayFail("rebase", "main")
+		repo.write("file.txt", repo.read("file.txt") + "<<<<<<< HEAD\nz\n")
+
+		const result = run()
+
+		expect(result.status).toBe(1)
+		expect(result.stdout).toContain("file.txt (malformed markers)")
+		expect(getOperationInProgress(repo.dir).name).toBe("rebase")
+		expect(repo.git("diff", "--name-only", "--diff-filter=U").trim()).toBe("file.txt")
+	})
+
+	test("should continue a cherry-pick of several commits", () => {
+		repo.gitMayFail("cherry-pick", "main..topic")
+		expect(getOperationInProgress(repo.dir).name).toBe("cherry-pick")
+
+		const result = run()
+
+		expect(result.status).toBe(0)
+		expect(result.stdout).toContain("\"Add line 2\" (")
+		expect(result.stdout).toContain("Finished the cherry-pick\n")
+		expect(repo.read("file.txt")).toBe(BASE.replace("line-1\n", "line-0\nline-1b\nline-2\n"))
+	})
+
+	test("should continue a revert", () => {
+		repo.commit("Drop line b", { "file.txt": BASE.replace("line-1", "line-0").replace("b\n", "") })
+		repo.commit("Rename line 0", { "file.txt": BASE.replace("line-1", "line-00").replace("b\n", "") })
+		repo.gitMayFail("revert", "--no-edit", "HEAD~1")
+		expect(getOperationInProgress(repo.dir).name).toBe("revert")
+
+		const result = run()
+
+		expect(result.stdout).toContain("\"Drop line b\" (parent of ")
+		expect(result.stdout).toContain("Finished the revert\n")
+		expect(result.status).toBe(0)
+		expect(repo.read("file.txt")).toBe(BASE.replace("line-1", "line-00"))
+		expect(repo.git("log", "-1", "--format=%s").trim()).toBe("Revert \"Drop line b\"")
+	})
+
+	test("should fail when nothing is in progress", () => {
+		const result = run()
+
+		expect(result.status).toBe(1)
+		expect(result.stderr).toBe("Error: no rebase, cherry-pick or revert in progress\n")
+	})
+})
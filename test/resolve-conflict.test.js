@@ -68,7 +68,7 @@ line4
 		resolveConflict([oldFile, newOldFile, newFile])
 
 		const result = fs.readFileSync(newFile, "utf-8")
-		expect(result).toBe("line2\nline1\nline3\nline4\n")
+		expect(result).toBe("line1\nline2\nline3\nline4\n")
 	})
 
 	test("should handle multiple changes", () => {
@@ -95,7 +95,7 @@ line5
 		resolveConflict([oldFile, newOldFile, newFile])
 
 		const result = fs.readFileSync(newFile, "utf-8")
-		expect(result).toBe("line3-modified\nline1\nline4\nline5\n")
+		expect(result).toBe("line1\nline3-modified\nline4\nline5\n")
 	})
 
 	test("should handle no differences between old and new_old", () => {
@@ -123,6 +123,39 @@ line4
 		expect(result).toBe("line1\nline2\nline3\nline4\n")
 	})
 
+	test("should apply OLD -> NEW onto NEW_OLD with --direction ours", () => {
+		const oldFile = createTempFile("a\nb\nc\n")
+		const newOldFile = createTempFile("a\nB\nc\n")
+		const newFile = createTempFile("a\nb\nc\nd\n")
+		tempFiles.push(oldFile, newOldFile, newFile)
+
+		resolveConflict(["--direction", "ours", oldFile, newOldFile, newFile])
+
+		expect(fs.readFileSync(newFile, "utf-8")).toBe("a\nB\nc\nd\n")
+	})
+
+	test("should refuse with --direction auto when both directions disagree", () => {
+		const oldFile = createTempFile("a\n")
+		const newOldFile = createTempFile("a\nx\n")
+		const newFile = createTempFile("a\ny\n")
+		tempFiles.push(oldFile, newOldFile, newFile)
+
+		expect(() => {
+			resolveConflict(["--direction=auto", oldFile, newOldFile, newFile])
+		}).toThrow(/give different results/)
+		expect(fs.readFileSync(newFile, "utf-8")).toBe("a\ny\n")
+
+		expect(() => {
+			resolveConflict(["--direction", "sideways", oldFile, newOldFile, newFile])
+		}).toThrow(/Usage/)
+	})
+
+	test("should list the usage of each command, as in its own help text", () => {
+		expect(() => resolveConflict([])).toThrow(/\n {4}hunk <FILE> --diff .*--color\[=WHEN\]\]\n/)
+		expect(() => resolveConflict([])).toThrow(/\n {4}hunk <FILE> \[-a\|--apply\] \[--all\] \[--allow-fuzzy\] .*\[-b\|-w\] \[--ignore-blank-lines\] \[--json\]/)
+		expect(() => resolveConflict([])).toThrow(/\n {4}resolve .*\[--json\]/)
+	})
+
 	test("should fail with file validation error for non-existent old file", () => {
 		const nonExistentFile = path.join(os.tmpdir(), `non-existent-${crypto.randomBytes(8).toString("hex")}.txt`)
 		const newOldFile = createTempFile(`\
@@ -138,7 +171,26 @@ line2
 		}).toThrow()
 	})
 
-	test("should cleanup temp diff file after execution", () => {
+	test("should handle file paths containing quotes and spaces", () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "test-quotes-"))
+		const oldFile = path.join(dir, `it's "old".txt`)
+		const newOldFile = path.join(dir, "new old $(echo x).txt")
+		const newFile = path.join(dir, "new`.txt")
+		fs.writeFileSync(oldFile, "line1\nline2\n")
+		fs.writeFileSync(newOldFile, "line1\n")
+		fs.writeFileSync(newFile, "line1\nline2\nline3\n")
+
+		try {
+			resolveConflict([oldFile, newOldFile, newFile])
+
+			const result = fs.readFileSync(newFile, "utf-8")
+			expect(result).toBe("line1\nline3\n")
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true })
+		}
+	})
+
+	test("should not create temp files", () => {
 		const oldFile = createTempFile(`\
 line1
 line2
@@ -0,0 +1,194 @@
+const { spawnSync } = require("child_process")
+const fs = require("fs")
+const path = require("path")
+
+const { resolveRepository, formatSummaryTable } = require("../resolve.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+describe("resolve.js", () => {
+	let repo
+
+	beforeEach(() => {
+		repo = createRepo()
+		createConflict(repo, {
+			base: {
+				"resolvable.txt": "a\nline-1\nb\n",
+				"partial.txt": "a\nline-1\nb\nc\nd\ne\nf\ng\nh\nx\ni\n",
+				"untouched.txt": "same\n",
+			},
+			ours: {
+				"resolvable.txt": "a\nline-0\nb\n",
+				"partial.txt": "a\nline-0\nb\nc\nd\ne\nf\ng\nh\nours\ni\n",
+			},
+			theirs: {
+				"resolvable.txt": "a\nline-1\nline-2\nline-3\nb\n",
+				"partial.txt": "a\nline-1\nline-2\nb\nc\nd\ne\nf\ng\nh\ntheirs\ni\n",
+			},
+		})
+	})
+
+	afterEach(() => {
+		repo.cleanup()
+	})
+
+	test("should report what would be resolved without modifying files", () => {
+		const before = repo.read("resolvable.txt")
+
+		const summary = resolveRepository({ cwd: repo.dir })
+
+		expect(summary).toEqual([
+			{ file: "partial.txt", resolved: 1, remaining: 1, status: "partial" },
+			{ file: "resolvable.txt", resolved: 1, remaining: 0, status: "resolved" },
+		])
+		expect(repo.read("resolvable.txt")).toBe(before)
+	})
+
+	test("should resolve all files and git add the ones without markers left", () => {
+		const summary = resolveRepository({ cwd: repo.dir, apply: true, add: true })
+
+		expect(summary.map(entry => entry.status)).toEqual(["partial", "added"])
+		expect(repo.read("resolvable.txt")).toBe("a\nline-0\nline-2\nline-3\nb\n")
+		expect(repo.read("partial.txt")).toMatch(/^a\nline-0\nline-2\nb\n/)
+		expect(repo.read("partial.txt")).toContain("<<<<<<<")
+		expect(repo.git("diff", "--name-only", "--diff-filter=U").trim()).toBe("partial.txt")
+	})
+
+	test("should undo the resolutions of all files at once", () => {
+		const before = [repo.read("partial.txt"), repo.read("resolvable.txt")]
+
+		resolveRepository({ cwd: repo.dir, apply: true })
+
+		const result = spawnSync("node", [CLI, "hunk", "--undo"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(result.status).toBe(0)
+		expect(result.stdout).toBe(`\
+Undone resolve 2 files: ${path.join(repo.dir, "partial.txt")}
+Undone resolve 2 files: ${path.join(repo.dir, "resolvable.txt")}
+`)
+		expect([repo.read("partial.txt"), repo.read("resolvable.txt")]).toEqual(before)
+	})
+
+	test("should print every file & hunk as JSON", () => {
+		const result = spawnSync("node", [CLI, "resolve", "--json", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(result.status).toBe(1)
+		expect(result.stderr).toBe("")
+
+		const output = JSON.parse(result.stdout)
+		expect(output.version).toBe(1)
+		expect(output.command).toBe("resolve")
+		expect(output.files.map(({ file, status, resolved, remaining, errors }) => ({ file, status, resolved, remaining, errors }))).toEqual([
+			{ file: "partial.txt", status: "partial", resolved: 1, remaining: 1, errors: [] },
+			{ file: "resolvable.txt", status: "resolved", resolved: 1, remaining: 0, errors: [] },
+		])
+		expect(output.files[1].hunks).toEqual([{
+			index: 0,
+			startLine: 2,
+			endLine: 10,
+			sections: { newOld: "line-0\n", old: "line-1\n", new: "line-1\nline-2\nline-3\n" },
+			resolution: "line-0\nline-2\nline-3\n",
+			strategy: "delta-apply",
+			confidence: "clean",
+			resolved: true,
+			applied: true,
+			reason: null,
+			unmatchedRemovals: [],
+			ambiguousMatches: [],
+			contextNotFound: [],
+			wordMerges: [],
+		}])
+		expect(output.files[0].hunks[1]).toMatchObject({ resolved: false, applied: false, confidence: "partial", unmatchedRemovals: ["x"] })
+	})
+
+	test("should work from a subdirectory of the repository", () => {
+		repo.write("sub/dir/.keep", "")
+
+		const summary = resolveRepository({ cwd: path.join(repo.dir, "sub", "dir") })
+
+		expect(summary.map(entry => entry.file)).toEqual(["partial.txt", "resolvable.txt"])
+	})
+
+	test("should not add files with malformed conflict markers left", () => {
+		// a stray marker after the hunk that resolves
+		repo.write("resolvable.txt", repo.read("resolvable.txt") + "<<<<<<< HEAD\nz\n")
+
+		const result = spawnSync("node", [CLI, "resolve", "--add"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(result.status).toBe(1)
+		expect(result.stdout).toContain("resolvable.txt   1         0          malformed markers\n")
+		expect(repo.git("diff", "--name-only", "--diff-filter=U").trim()).toBe("partial.txt\nresolvable.txt")
+	})
+
+	test("should print a summary table and exit with 1 when hunks remain", () => {
+		const result = spawnSync("node", [CLI, "resolve", "--add"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(result.status).toBe(1)
+		expect(result.stdout).toBe(`\
+FILE             RESOLVED  REMAINING  STATUS
+partial.txt      1         1          partial
+resolvable.txt   1         0          added
+total (2 files)  2         1
+`)
+	})
+
+	describe("formatSummaryTable", () => {
+		test("should align columns", () => {
+			const table = formatSummaryTable([
+				{ file: "a-long-file-name.js", resolved: 12, remaining: 0, status: "resolved" },
+				{ file: "b.js", resolved: 0, remaining: 0, status: "no conflict markers" },
+			])
+
+			expect(table).toBe(`\
+FILE                 RESOLVED  REMAINING  STATUS
+a-long-file-name.js  12        0          resolved
+b.js                 0         0          no conflict markers
+total (2 files)      12        0
+`)
+		})
+	})
+})
+
+describe("resolve.js with binary files", () => {
+	let repo
+
+	const binary = content => Buffer.concat([Buffer.from(content), Buffer.from([0, 0xff])])
+	const ours = binary("<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\n")
+
+	beforeEach(() => {
+		repo = createRepo()
+		createConflict(repo, {
+			base: { "image.bin": binary("base\n") },
+			ours: { "image.bin": ours },
+			theirs: { "image.bin": binary("theirs\n") },
+		})
+	})
+
+	afterEach(() => {
+		repo.cleanup()
+	})
+
+	test("should refuse them, even with conflict markers in them", () => {
+		const result = spawnSync("node", [CLI, "resolve", "--add"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(result.status).toBe(1)
+		expect(result.stdout).toContain("image.bin        0         0          binary\n")
+		expect(result.stderr).toBe("image.bin: binary file, refusing to resolve it\n")
+		expect(fs.readFileSync(path.join(repo.dir, "image.bin")).equals(ours)).toBe(true)
+		expect(repo.git("diff", "--name-only", "--diff-filter=U").trim()).toBe("image.bin")
+	})
+
+	test("should report why in --json", () => {
+		const result = spawnSync("node", [CLI, "resolve", "--json"], { cwd: repo.dir, encoding: "utf-8" })
+
+		expect(JSON.parse(result.stdout).files).toEqual([{
+			file: "image.bin",
+			resolved: 0,
+			remaining: 0,
+			status: "binary",
+			hunks: [],
+			errors: [{ line: null, message: "binary file, refusing to resolve it" }],
+		}])
+	})
+})
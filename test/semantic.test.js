@@ -0,0 +1,241 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { getFileFormat, getLockfileCommand, mergeStructured, validateStructured, parseVersion } = require("../semantic.js")
+const { mergeAndResolve } = require("../mergetool.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+const packageJson = dependencies => `\
+{
+  "name": "app",
+  "files": ["index.js"],
+  "dependencies": {
+${Object.entries(dependencies).map(([name, version]) => `    "${name}": "${version}"`).join(",\n")}
+  }
+}
+`
+
+describe("semantic.js", () => {
+	describe("getFileFormat", () => {
+		test("should tell the format by the file name", () => {
+			expect(getFileFormat("dir/package.json")).toBe("package.json")
+			expect(getFileFormat("tsconfig.json")).toBe("json")
+			expect(getFileFormat(".github/workflows/ci.yml")).toBe("yaml")
+			expect(getFileFormat("package-lock.json")).toBe("lockfile")
+			expect(getFileFormat("pnpm-lock.yaml")).toBe("lockfile")
+			expect(getFileFormat("src/index.ts")).toBe("typescript")
+			expect(getFileFormat("README.md")).toBe(null)
+		})
+	})
+
+	describe("getLockfileCommand", () => {
+		test("should not run the scripts of packages, and update only the lockfile of yarn 2 & later", () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), "test-lockfile-"))
+			try {
+				fs.writeFileSync(path.join(dir, "yarn.lock"), "# yarn lockfile v1\n")
+				expect(getLockfileCommand(path.join(dir, "yarn.lock"))).toBe("yarn install --ignore-scripts")
+
+				fs.writeFileSync(path.join(dir, "yarn.lock"), "__metadata:\n  version: 8\n")
+				expect(getLockfileCommand(path.join(dir, "yarn.lock"))).toBe("yarn install --mode=update-lockfile")
+
+				expect(getLockfileCommand(path.join(dir, "package-lock.json"))).toBe("npm install --package-lock-only --ignore-scripts")
+			} finally {
+				fs.rmSync(dir, { recursive: true, force: true })
+			}
+		})
+	})
+
+	describe("mergeStructured", () => {
+		test("should merge keys both sides added to the same object, keeping the formatting", () => {
+			const result = mergeStructured("json", {
+				old: packageJson({ a: "^1.0.0" }),
+				newOld: packageJson({ a: "^1.0.0", b: "^2.0.0" }),
+				new: packageJson({ a: "^1.0.0", c: "^3.0.0" }),
+			})
+
+			expect(result).toEqual({ content: packageJson({ a: "^1.0.0", b: "^2.0.0", c: "^3.0.0" }), verdict: "clean" })
+		})
+
+		test("should take removals, and keep the order of the side the delta is applied onto", () => {
+			const old = "{\n\t\"a\": 1,\n\t\"b\": 2,\n\t\"c\": 3\n}\n"
+			const versions = { old, newOld: old.replace("\t\"b\": 2,\n", ""), new: "{\n\t\"c\": 3,\n\t\"a\": 1,\n\t\"b\": 2,\n\t\"d\": 4\n}\n" }
+
+			expect(mergeStructured("json", versions).content).toBe("{\n\t\"c\": 3,\n\t\"a\": 1,\n\t\"d\": 4\n}\n")
+			// d follows the nearest key before it that is kept
+			expect(mergeStructured("json", versions, { direction: "ours" }).content).toBe("{\n\t\"a\": 1,\n\t\"d\": 4,\n\t\"c\": 3\n}\n")
+		})
+
+		test("should merge arrays item by item", () => {
+			const old = "{\n  \"name\": \"app\",\n  \"files\": [\"a\", \"b\", \"c\", \"d\"]\n}\n"
+			const result = mergeStructured("json", { old, newOld: old.replace("\"a\", ", ""), new: old.replace("\"d\"", "\"d\", \"e\"") })
+
+			expect(result.content).toBe("{\n  \"name\": \"app\",\n  \"files\": [\"b\", \"c\", \"d\", \"e\"]\n}\n")
+		})
+
+		test("should keep arrays & objects written on one line on one line", () => {
+			const old = "{\n  \"scripts\": { \"a\": \"1\" },\n  \"list\": [\"a\"]\n}\n"
+			const result = mergeStructured("json", {
+				old,
+				newOld: old.replace("\"1\" }", "\"1\", \"b\": \"2\" }"),
+				new: old.replace("{ \"a\"", "{ \"z\": \"0\", \"a\"").replace("[\"a\"]", "[\"a\", \"b\"]"),
+			})
+
+			expect(result.content).toBe("{\n  \"scripts\": { \"z\": \"0\", \"a\": \"1\", \"b\": \"2\" },\n  \"list\": [\"a\", \"b\"]\n}\n")
+			expect(mergeStructured("json", { old: "[1,2]\n", newOld: "[0,1,2]\n", new: "[1,2,3]\n" }).content).toBe("[0,1,2,3]\n")
+		})
+
+		test("should not merge a value both sides changed", () => {
+			const old = packageJson({ a: "^1.0.0" })
+			const versions = { old, newOld: packageJson({ a: "^1.2.0" }), new: packageJson({ a: "^1.1.0" }) }
+
+			expect(mergeStructured("json", versions)).toEqual({ reason: "both sides changed \"dependencies.a\"" })
+		})
+
+		test("should take the higher version of a dependency of package.json, as a fuzzy resolution", () => {
+			const old = packageJson({ a: "^1.0.0" })
+			const versions = { old, newOld: packageJson({ a: "^1.2.0" }), new: packageJson({ a: "~1.10.0" }) }
+
+			expect(mergeStructured("package.json", versions)).toEqual({ content: packageJson({ a: "~1.10.0" }), verdict: "fuzzy" })
+		})
+
+		test("should report versions that do not parse", () => {
+			const result = mergeStructured("json", { old: "{}\n", newOld: "{\"a\": 1,}\n", new: "{}\n" })
+
+			expect(result).toEqual({ reason: "NEW_OLD is not valid JSON: expected a key at line 1", unparsable: true })
+		})
+
+		test("should merge YAML mappings, keeping comments with their keys", () => {
+			const old = "# services\nservices:\n  web:\n    image: app\n    ports:\n      - \"80\"\n"
+			const result = mergeStructured("yaml", {
+				old,
+				newOld: old + "  # cache\n  cache:\n    image: redis\n",
+				new: old.replace("      - \"80\"\n", "      - \"80\"\n      - \"443\"\n") + "  db:\n    image: postgres\n",
+			})
+
+			expect(result.content).toBe(`\
+# services
+services:
+  web:
+    image: app
+    ports:
+      - "80"
+      - "443"
+  # cache
+  cache:
+    image: redis
+  db:
+    image: postgres
+`)
+		})
+	})
+
+	describe("validateStructured", () => {
+		test("should give the parse error, or null", () => {
+			expect(validateStructured("json", "{\"a\": 1}\n")).toBe(null)
+			expect(validateStructured("json", "{\"a\": 1\n\"b\": 2}\n")).toBe("invalid JSON: expected \",\" at line 2")
+			expect(validateStructured("yaml", "a: 1\n- b\n")).toBe("invalid YAML: unsupported YAML: \"- b\"")
+		})
+	})
+
+	describe("parseVersion", () => {
+		test("should parse simple version ranges only", () => {
+			expect(parseVersion("^1.2.3")).toEqual([1, 2, 3])
+			expect(parseVersion("2")).toEqual([2, 0, 0])
+			expect(parseVersion(">=1.0.0 <2")).toBe(null)
+		})
+	})
+
+	describe("mergeAndResolve", () => {
+		test("should merge structured files as a whole", () => {
+			const result = mergeAndResolve(
+				packageJson({ a: "^1.0.0" }),
+				packageJson({ a: "^1.0.0", b: "^2.0.0" }),
+				packageJson({ a: "^1.0.0", c: "^3.0.0" }),
+				{ format: "package.json" },
+			)
+
+			expect(result).toEqual({ content: packageJson({ a: "^1.0.0", b: "^2.0.0", c: "^3.0.0" }), resolved: 1, remaining: 0 })
+		})
+	})
+
+	describe("in a repository", () => {
+		let repo
+
+		afterEach(() => {
+			repo.cleanup()
+		})
+
+		for (const conflictStyle of ["diff3", "merge"]) {
+			test(`should resolve package.json as a whole (${conflictStyle} conflict style)`, () => {
+				repo = createRepo({ conflictStyle })
+				createConflict(repo, {
+					base: { "package.json": packageJson({ a: "^1.0.0" }) },
+					ours: { "package.json": packageJson({ a: "^1.0.0", b: "^2.0.0" }).replace("app", "app-2") },
+					theirs: { "package.json": packageJson({ a: "^1.0.0", c: "^3.0.0" }) },
+				})
+
+				const result = spawnSync("node", [CLI, "resolve", "--add"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.stdout).toContain("package.json     1         0          added\n")
+				expect(repo.read("package.json")).toBe(packageJson({ a: "^1.0.0", b: "^2.0.0", c: "^3.0.0" }).replace("app", "app-2"))
+			})
+		}
+
+		test("should resolve 2-way conflicts when git merged changes outside of them", () => {
+			repo = createRepo({ conflictStyle: "merge" })
+			const data = entries => `{\n${entries.map(([key, value]) => `  "${key}": ${value}`).join(",\n")}\n}\n`
+			const base = ["a", "b", "c", "d", "e", "f", "g", "h"].map((key, idx) => [key, idx])
+			createConflict(repo, {
+				base: { "data.json": data(base) },
+				ours: { "data.json": data([...base.slice(0, 2), ["b1", 1], ...base.slice(2)].map(([key, value]) => [key, key === "e" ? 40 : value])) },
+				theirs: { "data.json": data([...base.slice(0, 2), ["b2", 2], ...base.slice(2)].map(([key, value]) => [key, key === "h" ? 70 : value])) },
+			})
+			expect(repo.read("data.json")).toMatch(/"e": 40,\n.*"h": 70\n/s)
+
+			const result = spawnSync("node", [CLI, "hunk", "data.json", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stdout).toContain("resolved (json, clean)")
+			expect(repo.read("data.json")).toBe(data([["a", 0], ["b", 1], ["b1", 1], ["b2", 2], ["c", 2], ["d", 3], ["e", 40], ["f", 5], ["g", 6], ["h", 70]]))
+		})
+
+		test("should not resolve JSON line by line into invalid JSON", () => {
+			repo = createRepo()
+			createConflict(repo, {
+				base: { "data.json": "{\n  \"a\": 1,\n  \"z\": 0,\n  \"y\": 0\n}\n" },
+				ours: { "data.json": "{\n  \"a\": 1,\n  \"b\": 1,\n  \"z\": 0,\n  \"y\": 0\n}\n" },
+				// the trailing space makes the line by line resolution fuzzy
+				theirs: { "data.json": "{\n  \"a\": 1,\n  \"z\": 0, \n  \"b\": 2,\n  \"y\": 0\n}\n" },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "data.json", "--all", "--allow-fuzzy"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stderr).toContain("left unresolved: both sides changed \"b\", and resolving it line by line gives invalid JSON: duplicate key \"b\" at line 5")
+		})
+
+		test("should regenerate lockfiles once the other files are resolved", () => {
+			repo = createRepo()
+			repo.git("config", "gitConflictResolver.trustRepoConfig", "true")
+			repo.write(".git-conflict-resolver.json", JSON.stringify({ lockfiles: { "deps.lock": "git show :3:./deps.lock > deps.lock" } }))
+			createConflict(repo, {
+				base: { "deps.lock": "a 1\n", "package.json": packageJson({ a: "^1.0.0" }) },
+				ours: { "deps.lock": "a 2\n", "package.json": packageJson({ a: "^1.0.0", b: "^2.0.0" }) },
+				theirs: { "deps.lock": "a 3\n", "package.json": packageJson({ a: "^1.0.0", c: "^3.0.0" }) },
+			})
+
+			const dryRun = spawnSync("node", [CLI, "resolve"], { cwd: repo.dir, encoding: "utf-8" })
+			expect(dryRun.status).toBe(1)
+			expect(dryRun.stdout).toContain("deps.lock        0         1          lockfile\n")
+			expect(dryRun.stderr).toContain("deps.lock:1: left unresolved: lockfile, regenerate it instead (resolve -a runs `git show :3:./deps.lock > deps.lock`)")
+
+			const result = spawnSync("node", [CLI, "resolve", "--add"], { cwd: repo.dir, encoding: "utf-8" })
+			expect(result.status).toBe(0)
+			expect(result.stdout).toContain("deps.lock        1         0          added\n")
+			expect(repo.read("deps.lock")).toBe("a 3\n")
+			expect(repo.git("diff", "--name-only", "--diff-filter=U")).toBe("")
+		})
+	})
+})
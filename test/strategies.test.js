@@ -0,0 +1,322 @@
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const { applyRules, transplantDelta, getBuiltinRules, loadRules, isUnionEnabled, BUILTIN_RULES } = require("../strategies.js")
+const { formatVerdictDetails } = require("../hunk.js")
+const { createRepo, createConflict } = require("./git-repo.js")
+
+const CLI = path.join(__dirname, "..", "resolve-conflict.js")
+
+describe("strategies.js", () => {
+	describe("applyRules", () => {
+		test("should take the change made identically on both sides", () => {
+			const result = applyRules({ newOld: "a\nb\n", old: "a\n", new: "a\nb\n" })
+
+			expect(result).toEqual({ resolved: true, verdict: "clean", content: "a\nb\n", rule: "identical", unmatchedRemovals: [], ambiguousMatches: [], contextNotFound: [], wordMerges: [] })
+		})
+
+		test("should take the side that changed when the other did not", () => {
+			expect(applyRules({ newOld: "a\n", old: "a\n", new: "b\n" })).toMatchObject({ resolved: true, content: "b\n", rule: "one-side-unchanged" })
+			expect(applyRules({ newOld: "b\n", old: "a\n", new: "a\n" })).toMatchObject({ resolved: true, content: "b\n", rule: "one-side-unchanged" })
+		})
+
+		test("should merge changes to different lines", () => {
+			const result = applyRules({ newOld: "A\nb\nc\n", old: "a\nb\nc\n", new: "a\nb\nC\n" })
+
+			expect(result).toMatchObject({ resolved: true, content: "A\nb\nC\n", rule: "non-overlapping" })
+		})
+
+		test("should apply the OLD -> NEW_OLD delta onto NEW", () => {
+			// the changes touch, so they do not merge as non-overlapping
+			const result = applyRules({ newOld: "", old: "a\n", new: "a\nb\n" })
+
+			expect(result).toMatchObject({ resolved: true, verdict: "clean", content: "b\n", rule: "delta-apply" })
+		})
+
+		test("should only accept fuzzy resolutions when allowed", () => {
+			// the context line "b" is not next to "a" in NEW anymore
+			const sections = { newOld: "x\nb\n", old: "a\nb\n", new: "a\nc\nb\n" }
+
+			expect(applyRules(sections)).toMatchObject({
+				resolved: false,
+				verdict: "fuzzy",
+				content: "x\nc\nb\n",
+				reason: "only a fuzzy resolution was found (by delta-apply), use --allow-fuzzy to apply it",
+			})
+			expect(applyRules(sections, BUILTIN_RULES, { allowFuzzy: true })).toMatchObject({ resolved: true, verdict: "fuzzy", content: "x\nc\nb\n" })
+		})
+
+		test("should report ambiguous matches as fuzzy", () => {
+			const result = applyRules({ newOld: "", old: "}\n", new: "}\nx\n}\n" }, BUILTIN_RULES, { allowFuzzy: true })
+
+			expect(result).toMatchObject({ resolved: true, verdict: "fuzzy", content: "x\n}\n", ambiguousMatches: [{ line: 1, count: 2 }] })
+		})
+
+		test("should report changes without any lines to locate them by as fuzzy, rather than ambiguous", () => {
+			const result = applyRules({ newOld: "a\n", old: "", new: "b\nc\n" }, BUILTIN_RULES, { allowFuzzy: true })
+
+			expect(result).toMatchObject({ resolved: true, verdict: "fuzzy", content: "a\nb\nc\n", ambiguousMatches: [], contextNotFound: [1] })
+			expect(formatVerdictDetails(result)).toBe("context not found: line 1 of the resolution, placed by its position alone\n")
+		})
+
+		test("should take the other side when one side changed only whitespace", () => {
+			const result = applyRules({ newOld: "  a\n  b\n", old: "a\nb\n", new: "x\n" })
+
+			expect(result).toMatchObject({ resolved: true, content: "x\n", rule: "whitespace-only" })
+		})
+
+		test("should merge the different words of a line both sides changed, and list it", () => {
+			const result = applyRules({
+				old: "start(\"app\", { port: 80, debug: false })\nrun()\n",
+				newOld: "start(\"app\", { port: 8080, debug: false })\nrun()\n",
+				new: "start(\"app\", { port: 80, debug: true })\nrun(1)\n",
+			})
+
+			expect(result).toMatchObject({
+				resolved: true,
+				verdict: "clean",
+				content: "start(\"app\", { port: 8080, debug: true })\nrun(1)\n",
+				rule: "word-merge",
+				wordMerges: ["start(\"app\", { port: 8080, debug: true })"],
+			})
+		})
+
+		test("should not merge a line whose same words both sides changed", () => {
+			const result = applyRules({ old: "call(a, b)\n", newOld: "call(a, c)\n", new: "call(a, d)\n" })
+
+			expect(result).toMatchObject({ resolved: false, rule: "delta-apply" })
+			expect(applyRules({ old: "call(a, b)\n", newOld: "call(a, c)\n", new: "call(a, d)\n" }, getBuiltinRules().filter(rule => rule.name === "word-merge")))
+				.toEqual({ resolved: false, reason: "both sides changed the same words of \"call(a, b)\"" })
+		})
+
+		test("should report why nothing applied", () => {
+			const result = applyRules({ newOld: "b\n", old: "a\n", new: "c\n" })
+
+			expect(result).toEqual({
+				resolved: false,
+				verdict: "partial",
+				content: "c\n",
+				rule: "delta-apply",
+				reason: "1 change(s) from OLD -> NEW_OLD could not be located in NEW",
+				unmatchedRemovals: ["a"],
+				ambiguousMatches: [],
+				contextNotFound: [],
+				wordMerges: [],
+			})
+		})
+
+		test("should try custom rules in order, and report rules that fail", () => {
+			const failing = { name: "failing", resolve: () => { throw new Error("oops") } }
+			const refusing = { name: "refusing", resolve: () => ({ reason: "not today" }) }
+
+			expect(applyRules({ newOld: "b\n", old: "a\n", new: "c\n" }, [failing, refusing])).toEqual({ resolved: false, reason: "not today" })
+			expect(applyRules({ newOld: "b\n", old: "a\n", new: "c\n" }, [refusing, failing])).toEqual({ resolved: false, reason: "rule failing failed: oops" })
+		})
+	})
+
+	describe("transplantDelta", () => {
+		const sections = { old: "a\nb\nc\n", newOld: "a\nB\nc\n", new: "a\nb\nc\nd\n" }
+
+		test("should apply OLD -> NEW_OLD onto NEW, or OLD -> NEW onto NEW_OLD", () => {
+			expect(transplantDelta(sections, "theirs")).toMatchObject({ lines: ["a\n", "B\n", "c\n", "d\n"], rejected: [], direction: "theirs", size: 2 })
+			expect(transplantDelta(sections, "ours")).toMatchObject({ lines: ["a\n", "B\n", "c\n", "d\n"], rejected: [], direction: "ours", size: 1 })
+		})
+
+		test("should pick the smaller delta when both directions agree", () => {
+			expect(transplantDelta(sections, "auto")).toMatchObject({ direction: "ours", mismatch: false })
+		})
+
+		test("should pick the delta that can be transplanted", () => {
+			// NEW_OLD rewrote the block, except for the line NEW changed
+			const rewritten = { old: "a\nb\nc\n", newOld: "x\nb\ny\n", new: "a\nB\nc\n" }
+
+			expect(transplantDelta(rewritten, "theirs").rejected.length).toBe(1)
+			expect(transplantDelta(rewritten, "auto")).toMatchObject({ lines: ["x\n", "B\n", "y\n"], rejected: [], direction: "ours" })
+		})
+
+		test("should locate lines the other side re-indented, with the whitespace options", () => {
+			// NEW wrapped the block in an `if`, and added a blank line
+			const wrapped = {
+				old: "\tsetup()\n\trun()\n\tcleanup()\n",
+				newOld: "\tsetup()\n\trun()\n\tlog()\n\tcleanup()\n",
+				new: "\tif (ready) {\n\t\tsetup()\n\t\trun()\n\n\t\tcleanup()\n\t}\n",
+			}
+
+			expect(applyRules(wrapped)).toMatchObject({ resolved: false, verdict: "partial" })
+
+			const rules = getBuiltinRules({ whitespace: { ignoreSpaceChange: true, ignoreBlankLines: true } })
+			expect(applyRules(wrapped, rules)).toMatchObject({
+				resolved: true,
+				verdict: "clean",
+				rule: "delta-apply",
+				content: "\tif (ready) {\n\t\tsetup()\n\t\trun()\n\t\tlog()\n\n\t\tcleanup()\n\t}\n",
+			})
+		})
+
+		test("should refuse in auto direction when both directions disagree", () => {
+			const rules = getBuiltinRules({ direction: "auto" })
+
+			expect(applyRules({ old: "a\n", newOld: "a\nx\n", new: "a\ny\n" }, rules)).toEqual({
+				resolved: false,
+				reason: "OLD -> NEW_OLD onto NEW and OLD -> NEW onto NEW_OLD give different results",
+			})
+		})
+	})
+
+	describe("loadRules", () => {
+		let repo
+
+		beforeEach(() => {
+			repo = createRepo()
+		})
+
+		afterEach(() => {
+			repo.cleanup()
+		})
+
+		test("should put the rule modules of the repository config before the builtin rules", () => {
+			repo.git("config", "gitConflictResolver.trustRepoConfig", "true")
+			repo.write(".git-conflict-resolver.json", JSON.stringify({ rules: ["./rules/theirs.js"] }))
+			repo.write("rules/theirs.js", "module.exports = { name: \"theirs\", resolve: sections => ({ content: sections.new }) }\n")
+
+			const rules = loadRules(repo.dir)
+
+			expect(rules.map(rule => rule.name)).toEqual(["theirs", ...BUILTIN_RULES.map(rule => rule.name)])
+		})
+
+		test("should resolve with custom rules and report which one fired", () => {
+			repo.git("config", "gitConflictResolver.trustRepoConfig", "true")
+			repo.write(".git-conflict-resolver.json", JSON.stringify({ rules: ["./rules/both.js"] }))
+			repo.write("rules/both.js", "module.exports = [{ name: \"both\", resolve: s => ({ content: s.newOld + s.new }) }]\n")
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\n" },
+				ours: { "file.txt": "a\nline-0\nb\n" },
+				theirs: { "file.txt": "a\nline-2\nb\n" },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "file.txt", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stdout).toContain("hunk 1 (lines 2-8): resolved (both, clean)")
+			expect(repo.read("file.txt")).toBe("a\nline-0\nline-2\nb\n")
+		})
+
+		test("should not load the rule modules of a repository that is not trusted", () => {
+			repo.write(".git-conflict-resolver.json", JSON.stringify({ rules: ["./rules/theirs.js"] }))
+			repo.write("rules/theirs.js", "throw new Error(\"ran the code of the repository\")\n")
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\n" },
+				ours: { "file.txt": "a\nline-0\nb\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "file.txt", "--all"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stderr).toContain(`Warning: ignoring the rule modules & lockfile commands of ${path.join(repo.dir, ".git-conflict-resolver.json")}, run \`git config gitConflictResolver.trustRepoConfig true\``)
+			expect(result.stderr).not.toContain("ran the code of the repository")
+			expect(result.stderr).toContain("resolved (delta-apply, clean)")
+		})
+
+		test("should skip invalid config files and rule modules with a warning", () => {
+			repo.git("config", "gitConflictResolver.trustRepoConfig", "true")
+			repo.write(".git-conflict-resolver.json", JSON.stringify({ rules: ["./missing.js", "./not-a-rule.js"] }))
+			repo.write("not-a-rule.js", "module.exports = {}\n")
+			createConflict(repo, {
+				base: { "file.txt": "a\nline-1\nb\n" },
+				ours: { "file.txt": "a\nline-0\nb\n" },
+				theirs: { "file.txt": "a\nline-1\nline-2\nb\n" },
+			})
+
+			const result = spawnSync("node", [CLI, "hunk", "file.txt", "--all"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(result.stderr).toContain(`Warning: ignoring rule module ./missing.js of ${path.join(repo.dir, ".git-conflict-resolver.json")}`)
+			expect(result.stderr).toContain("Warning: ignoring rule module ./not-a-rule.js")
+			expect(result.stderr).toContain("resolved (delta-apply, clean)")
+
+			fs.writeFileSync(path.join(repo.dir, ".git-conflict-resolver.json"), "{ not json")
+
+			const invalid = spawnSync("node", [CLI, "hunk", "file.txt", "--all"], { cwd: repo.dir, encoding: "utf-8" })
+
+			expect(invalid.stderr).toContain(`Warning: ignoring config file ${path.join(repo.dir, ".git-conflict-resolver.json")}`)
+		})
+	})
+
+	describe("union", () => {
+		const unionRules = getBuiltinRules({ union: true })
+		const mergeUnion = unionRules.find(rule => rule.name === "union").resolve
+
+		test("should only be there where enabled", () => {
+			expect(BUILTIN_RULES.map(rule => rule.name)).not.toContain("union")
+			expect(unionRules.map(rule => rule.name)).toEqual(["identical", "one-side-unchanged", "non-overlapping", "union", "word-merge", "delta-apply", "whitespace-only"])
+		})
+
+		test("should merge the lines both sides added, in order if the lines were", () => {
+			const result = applyRules({ old: "import a\n", newOld: "import a\nimport d\n", new: "import a\nimport b\n" }, unionRules)
+
+			expect(result).toEqual({ resolved: true, verdict: "clean", content: "import a\nimport b\nimport d\n", rule: "union", unmatchedRemovals: [], ambiguousMatches: [], contextNotFound: [], wordMerges: [] })
+		})
+
+		test("should put NEW_OLD's lines first if the lines were not in order", () => {
+			expect(mergeUnion({ old: "", newOld: "- fix y\n- fix x\n", new: "- add z\n" })).toEqual({ content: "- fix y\n- fix x\n- add z\n" })
+		})
+
+		test("should take lines that both sides added once", () => {
+			expect(mergeUnion({ old: "", newOld: "b\nc\n", new: "a\nc\n" })).toEqual({ content: "a\nb\nc\n" })
+			expect(mergeUnion({ old: "", newOld: "z\nc\n", new: "c\ny\n" })).toEqual({ content: "z\nc\ny\n" })
+		})
+
+		test("should not take a blank OLD line as an empty section", () => {
+			expect(mergeUnion({ old: "\n", newOld: "b\n", new: "a\n" })).toBe(null)
+			expect(mergeUnion({ old: "\n", newOld: "b\n\n", new: "\na\n" })).toEqual({ content: "b\n\na\n" })
+		})
+
+		test("should not apply if a side removed or changed lines", () => {
+			expect(mergeUnion({ old: "a\n", newOld: "b\n", new: "a\nc\n" })).toBe(null)
+		})
+
+		describe("in a repository", () => {
+			let repo
+
+			beforeEach(() => {
+				repo = createRepo()
+			})
+
+			afterEach(() => {
+				repo.cleanup()
+			})
+
+			test("should be enabled by the conflict-strategy attribute", () => {
+				repo.write(".gitattributes", "CHANGELOG.md conflict-strategy=union\n")
+				createConflict(repo, {
+					base: { "CHANGELOG.md": "# changes\n\n- initial\n" },
+					ours: { "CHANGELOG.md": "# changes\n\n- initial\n- fix the parser\n" },
+					theirs: { "CHANGELOG.md": "# changes\n\n- initial\n- add a flag\n" },
+				})
+
+				const result = spawnSync("node", [CLI, "hunk", "CHANGELOG.md", "--all", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.stdout).toContain("resolved (union, clean)")
+				expect(repo.read("CHANGELOG.md")).toBe("# changes\n\n- initial\n- add a flag\n- fix the parser\n")
+			})
+
+			test("should be enabled by the path patterns of the config", () => {
+				repo.write(".git-conflict-resolver.json", JSON.stringify({ union: ["*.go", "docs/**/list.txt"] }))
+				const old = "import (\n\t\"fmt\"\n\t\"os\"\n)\n"
+				createConflict(repo, {
+					base: { "cmd/main.go": old },
+					ours: { "cmd/main.go": old.replace("\t\"os\"\n", "\t\"os\"\n\t\"strconv\"\n") },
+					theirs: { "cmd/main.go": old.replace("\t\"os\"\n", "\t\"os\"\n\t\"sort\"\n") },
+				})
+
+				repo.write("docs/a/b/list.txt", "a\n")
+				expect(isUnionEnabled(path.join(repo.dir, "docs/a/b/list.txt"))).toBe(true)
+				expect(isUnionEnabled(path.join(repo.dir, "list.txt"))).toBe(false)
+
+				const result = spawnSync("node", [CLI, "resolve", "-a"], { cwd: repo.dir, encoding: "utf-8" })
+
+				expect(result.status).toBe(0)
+				expect(repo.read("cmd/main.go")).toBe("import (\n\t\"fmt\"\n\t\"os\"\n\t\"sort\"\n\t\"strconv\"\n)\n")
+			})
+		})
+	})
+})
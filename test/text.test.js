@@ -0,0 +1,56 @@
+const { decodeText, encodeText, mergeFormats, detectEol, BOM } = require("../text.js")
+
+describe("text.js", () => {
+	describe("decodeText", () => {
+		test("should normalize CRLF line endings, the BOM & a missing final newline", () => {
+			expect(decodeText(`${BOM}a\r\nb\r\nc`)).toEqual({
+				text: "a\nb\nc\n",
+				format: { eol: "\r\n", bom: true, finalNewline: false },
+			})
+			expect(decodeText("a\nb\n")).toEqual({
+				text: "a\nb\n",
+				format: { eol: "\n", bom: false, finalNewline: true },
+			})
+			expect(decodeText("").text).toBe("")
+		})
+
+		test("should round-trip through encodeText", () => {
+			for (const content of ["", "a", "a\n", "a\r\nb", `${BOM}a\r\nb\r\n`, "a\r\nb\nc\r\n", "a\rb\n"]) {
+				const { text, format } = decodeText(content)
+				expect(encodeText(text, format)).toBe(content)
+			}
+		})
+
+		test("should keep the line ending of each line, and give inserted lines the most common one", () => {
+			const { text, format } = decodeText("a\r\nb\nc\r\nd\r\ne")
+			expect(text).toBe("a\nb\nc\nd\ne\n")
+			expect(format.eol).toBe("\r\n")
+
+			expect(encodeText("a\nb\nx\nc\ne\n", format)).toBe("a\r\nb\nx\r\nc\r\ne")
+			expect(encodeText("b\nc\nd\ne\nf\n", { ...format, finalNewline: true })).toBe("b\nc\r\nd\r\ne\r\nf\r\n")
+		})
+	})
+
+	describe("detectEol", () => {
+		test("should take the line ending most lines have", () => {
+			expect(detectEol("a\r\nb\r\nc\n")).toBe("\r\n")
+			expect(detectEol("a\r\nb\nc\n")).toBe("\n")
+			expect(detectEol("a")).toBe(null)
+		})
+	})
+
+	describe("mergeFormats", () => {
+		const lf = { eol: "\n", bom: false, finalNewline: true }
+		const crlf = { eol: "\r\n", bom: false, finalNewline: true }
+
+		test("should take the side that changed the format", () => {
+			expect(mergeFormats(lf, lf, crlf)).toEqual(crlf)
+			expect(mergeFormats(lf, crlf, lf)).toEqual(crlf)
+			expect(mergeFormats(lf, { ...lf, bom: true }, { ...lf, finalNewline: false })).toEqual({ eol: "\n", bom: true, finalNewline: false })
+		})
+
+		test("should not take a single line as a change of line endings", () => {
+			expect(mergeFormats(crlf, { ...crlf, eol: null }, crlf).eol).toBe("\r\n")
+		})
+	})
+})
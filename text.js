@@ -0,0 +1,126 @@
+const { readEncodedFile, writeEncodedFile } = require("./encoding.js")
+
+const EOL_LF = "\n"
+const EOL_CRLF = "\r\n"
+const BOM = "\uFEFF"
+
+// In diffs & patches, a line ending with NO_NEWLINE is the last line of a text that does not end with a newline --
+// split lines never contain one. It is written as a line followed by NO_NEWLINE_MARKER
+const NO_NEWLINE = "\n"
+const NO_NEWLINE_MARKER = "\\ No newline at end of file"
+
+// Everything in between reading & writing a file works on its normalized text:
+// LF line endings, no BOM, and a final newline (unless empty).
+// The `format` ({ eol, bom, finalNewline }) is what it takes to write it back the same way.
+// `eol` is the line ending most lines have, or null if there is only one line.
+// With mixed line endings, the format keeps the `original` text too, so that each line keeps its own
+function decodeText(content) {
+	const bom = content.startsWith(BOM)
+	const original = bom ? content.slice(BOM.length) : content
+
+	const eol = detectEol(original)
+	let text = original.replace(/\r\n/g, "\n")
+
+	const finalNewline = text === "" || text.endsWith("\n")
+	if (!finalNewline) {
+		text += "\n"
+	}
+
+	const format = { eol, bom, finalNewline }
+	if (original.includes("\r\n") && /(^|[^\r])\n/.test(original)) {
+		format.original = original
+	}
+
+	return { text, format }
+}
+
+function detectEol(text) {
+	const lineBreaks = (text.match(/\n/g) || []).length
+	if (lineBreaks === 0) {
+		return null
+	}
+	const crlfs = (text.match(/\r\n/g) || []).length
+	return crlfs * 2 > lineBreaks ? EOL_CRLF : EOL_LF
+}
+
+// The reverse of decodeText
+function encodeText(text, format = {}) {
+	let content = format.finalNewline === false ? text.replace(/\n$/, "") : text
+	if (format.original !== undefined) {
+		content = restoreLineEndings(content, format.original, format.eol)
+	} else if (format.eol === EOL_CRLF) {
+		content = content.replace(/\n/g, EOL_CRLF)
+	}
+	return format.bom ? BOM + content : content
+}
+
+// Lines left as they were in the original text get their own line ending back, the lines in between get `eol`
+function restoreLineEndings(content, original, eol) {
+	// required here, since both depend on this module
+	const { OP_TYPE_REMOVE, OP_TYPE_CONTEXT } = require("./apply-patch.js")
+	const { diffLines } = require("./diff.js")
+
+	const originalLines = original.split("\n")
+	originalLines.pop()
+	const endings = originalLines.map(line => line.endsWith("\r") ? EOL_CRLF : EOL_LF)
+
+	// the last line is the one without a line ending ("" if there is none)
+	const lines = content.split("\n")
+	const lastLine = lines.pop()
+
+	let index = 0
+	const result = []
+	for (const [opType, line] of diffLines(originalLines.map(line => line.replace(/\r$/, "")), lines)) {
+		if (opType === OP_TYPE_REMOVE) {
+			index++
+		} else if (opType === OP_TYPE_CONTEXT) {
+			result.push(line + endings[index++])
+		} else {
+			result.push(line + eol)
+		}
+	}
+
+	return result.join("") + lastLine
+}
+
+// The `format` of a file has its `encoding` as well, see encoding.js.
+// Returns { text, format }, or { error } for files that cannot be read as text safely
+function readTextFile(filename) {
+	const file = readEncodedFile(filename)
+	if (file.error) {
+		return file
+	}
+
+	const { text, format } = decodeText(file.content)
+	return { text, format: { ...format, encoding: file.encoding } }
+}
+
+function writeTextFile(filename, text, format) {
+	writeEncodedFile(filename, encodeText(text, format), format.encoding)
+}
+
+// The format of a 3-way merge: whatever one side changed from the base, like for the lines.
+// Without a change, ours wins
+function mergeFormats(base, ours, theirs) {
+	const pick = key => ours[key] === base[key] && theirs[key] !== base[key] ? theirs[key] : ours[key]
+
+	return {
+		eol: pick("eol") || ours.eol || theirs.eol || base.eol,
+		bom: pick("bom"),
+		finalNewline: pick("finalNewline"),
+	}
+}
+
+module.exports = {
+	decodeText,
+	encodeText,
+	readTextFile,
+	writeTextFile,
+	mergeFormats,
+	detectEol,
+	EOL_LF,
+	EOL_CRLF,
+	BOM,
+	NO_NEWLINE,
+	NO_NEWLINE_MARKER,
+}
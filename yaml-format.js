@@ -0,0 +1,184 @@
+// YAML documents as trees for semantic.js -- the block style subset that config files use:
+// mappings, sequences & scalars (block scalars and flow collections included, as opaque values), with comments.
+// Nodes are made of their source lines, so printing a parsed tree gives back the document as it was.
+// Each node carries the comment & blank lines before it (`lead`), and mappings & sequences nested
+// under a key carry its line (`header`) & the comment lines after their last child (`trailing`)
+
+const { toLines, fromLines } = require("./diff.js")
+const { NODE_MAPPING, NODE_SEQUENCE, NODE_SCALAR } = require("./json-format.js")
+
+// `key: value`, with the key plain or quoted
+const ENTRY_REGEX = /^( *)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#"'?&*!|>%@`{[\-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+(.*))?$/
+const SEQUENCE_ITEM_REGEX = /^( *)-(?: |$)/
+const BLANK_OR_COMMENT_REGEX = /^\s*(#.*)?$/
+// a value that is only an anchor and/or a tag, so that the node below belongs to it
+const NODE_PROPERTIES_REGEX = /^(?:(?:&\S+|!\S*)\s*)*(?:#.*)?$/
+
+// Returns { root }. Throws a SyntaxError for what the subset does not cover,
+// e.g. several documents, complex keys or tab indentation
+function parseYaml(text) {
+	const lines = toLines(text)
+
+	for (const line of lines) {
+		if (/^\t/.test(line) || /^(\.\.\.|%|\? )/.test(line)) {
+			throw new SyntaxError(`unsupported YAML: ${JSON.stringify(line)}`)
+		}
+	}
+
+	// a document start marker (& the comments before it) stays at the top
+	const documentStart = lines.findIndex(line => !BLANK_OR_COMMENT_REGEX.test(line))
+	let lead = []
+	let body = lines
+	if (documentStart !== -1 && /^---(\s|$)/.test(lines[documentStart])) {
+		lead = lines.slice(0, documentStart + 1)
+		body = lines.slice(documentStart + 1)
+	}
+	if (body.some(line => /^---(\s|$)/.test(line))) {
+		throw new SyntaxError("unsupported YAML: several documents")
+	}
+
+	const root = parseBlock(body, { lead, header: null })
+	if (fromLines(printLines(root)) !== text) {
+		throw new SyntaxError("unsupported YAML")
+	}
+
+	return { root }
+}
+
+// Lines of one mapping or sequence, whose first content line sets the indentation
+function parseBlock(lines, { lead, header }) {
+	const first = lines.find(line => !BLANK_OR_COMMENT_REGEX.test(line))
+	if (first === undefined) {
+		return createMapping([], { lead, header, trailing: lines })
+	}
+
+	const indent = first.match(/^ */)[0].length
+	const isSequence = SEQUENCE_ITEM_REGEX.test(first)
+	if (!isSequence && !ENTRY_REGEX.test(first)) {
+		throw new SyntaxError(`unsupported YAML: ${JSON.stringify(first)}`)
+	}
+
+	// each child is its lead, its first line, and the lines below it
+	const children = []
+	let pending = []
+	for (const line of lines) {
+		if (BLANK_OR_COMMENT_REGEX.test(line)) {
+			pending.push(line)
+			continue
+		}
+
+		const lineIndent = line.match(/^ */)[0].length
+		const current = children[children.length - 1]
+		// a sequence may be nested under a key at the key's own indentation
+		const nestedSequence = !isSequence && current && isOpenEntry(current.first) && SEQUENCE_ITEM_REGEX.test(line)
+
+		if (lineIndent > indent || (lineIndent === indent && nestedSequence)) {
+			if (!current) {
+				throw new SyntaxError(`unsupported YAML: ${JSON.stringify(line)}`)
+			}
+			current.body.push(...pending, line)
+		} else if (lineIndent === indent && (isSequence ? SEQUENCE_ITEM_REGEX.test(line) : ENTRY_REGEX.test(line))) {
+			children.push({ lead: pending, first: line, body: [] })
+		} else {
+			throw new SyntaxError(`unsupported YAML: ${JSON.stringify(line)}`)
+		}
+		pending = []
+	}
+
+	if (isSequence) {
+		const items = children.map(child => createScalar([...child.lead, child.first, ...child.body]))
+		return createSequence(items, { lead, header, trailing: pending })
+	}
+
+	const entries = children.map(child => ({ key: parseKey(child.first), node: parseEntry(child) }))
+	const keys = new Set(entries.map(entry => entry.key))
+	if (keys.size !== entries.length) {
+		throw new SyntaxError("duplicate keys")
+	}
+
+	return createMapping(entries, { lead, header, trailing: pending })
+}
+
+// The value of a mapping entry: a nested mapping or sequence, or a scalar of all its lines
+function parseEntry({ lead, first, body }) {
+	// the body ends with a content line, comments & blank lines after it are left to the next entry
+	if (isOpenEntry(first) && body.length > 0) {
+		return parseBlock(body, { lead, header: first })
+	}
+
+	return createScalar([...lead, first, ...body])
+}
+
+// Whether the entry has no value on its line, but below it
+function isOpenEntry(line) {
+	const match = line.match(ENTRY_REGEX)
+	return Boolean(match) && NODE_PROPERTIES_REGEX.test(match[3] || "")
+}
+
+function parseKey(line) {
+	const key = line.match(ENTRY_REGEX)[2]
+	if (key.startsWith("\"")) {
+		return JSON.parse(key)
+	}
+	if (key.startsWith("'")) {
+		return key.slice(1, -1).replace(/''/g, "'")
+	}
+	return key
+}
+
+function createScalar(lines) {
+	return { type: NODE_SCALAR, lines, canonical: lines.join("\n") }
+}
+
+// `attributes` are { lead, header, trailing }, see the top
+function createMapping(entries, { lead, header, trailing }) {
+	return {
+		type: NODE_MAPPING,
+		entries,
+		lead,
+		header,
+		trailing,
+		canonical: JSON.stringify([lead, header, trailing, entries.map(entry => entry.node.canonical)]),
+	}
+}
+
+function createSequence(items, { lead, header, trailing }) {
+	return {
+		type: NODE_SEQUENCE,
+		items,
+		lead,
+		header,
+		trailing,
+		canonical: JSON.stringify([lead, header, trailing, items.map(item => item.canonical)]),
+	}
+}
+
+function getAttributes(node) {
+	return JSON.stringify([node.lead, node.header, node.trailing])
+}
+
+function printYaml(document, root) {
+	return fromLines(printLines(root))
+}
+
+function printLines(node) {
+	if (node.type === NODE_SCALAR) {
+		return node.lines
+	}
+
+	const children = node.type === NODE_MAPPING ? node.entries.map(entry => entry.node) : node.items
+	return [
+		...node.lead,
+		...(node.header === null ? [] : [node.header]),
+		...children.flatMap(printLines),
+		...node.trailing,
+	]
+}
+
+module.exports = {
+	parseYaml,
+	printYaml,
+	createMapping,
+	createSequence,
+	getAttributes,
+}